@@ -0,0 +1,51 @@
+// src/ai/anthropic.js
+
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Creates the provider for the Anthropic Messages API.
+ * Anthropic has no JSON response mode, so the prompt's JSON instructions are
+ * reinforced with a system prompt and the JSON is extracted from the text.
+ * @param {object} config - The resolved provider configuration.
+ * @param {string} [config.apiKey] - The Anthropic API key.
+ * @param {string} [config.baseURL] - An optional override for the API base URL.
+ * @returns {object} The provider.
+ * @throws {Error} If no API key is configured.
+ */
+function createAnthropicProvider(config) {
+  if (!config.apiKey) {
+    throw new Error(
+      'ANTHROPIC_API_KEY is not set in your environment variables. Please set it to use the anthropic provider.'
+    );
+  }
+  const client = new Anthropic({
+    apiKey: config.apiKey,
+    ...(config.baseURL ? { baseURL: config.baseURL } : {}),
+    maxRetries: 0, // Retries are handled by callAI
+  });
+  return {
+    name: 'anthropic',
+    label: 'Anthropic',
+    defaultModel: 'claude-3-5-sonnet-latest',
+    async complete(prompt, request) {
+      const message = await client.messages.create(
+        {
+          model: request.model,
+          system: 'Respond with a single valid JSON object and nothing else.',
+          messages: [{ role: 'user', content: prompt }],
+          temperature: request.temperature,
+          max_tokens: request.maxTokens,
+        },
+        { timeout: request.timeout }
+      );
+      return message.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+    },
+  };
+}
+
+module.exports = {
+  createAnthropicProvider,
+};
@@ -0,0 +1,212 @@
+// src/ai/cache.js
+
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Directory, relative to the working directory, where AI responses are cached.
+const DEFAULT_CACHE_DIR = '.aidoccli-cache';
+
+// Marks a directory as a cache, following the Cache Directory Tagging
+// Specification, so that only directories aidoccli created are ever cleared.
+const CACHE_TAG_FILE = 'CACHEDIR.TAG';
+const CACHE_TAG = [
+  'Signature: 8a477f597d28d172789f06886806bc55',
+  '# This file is a cache directory tag created by aidoccli.',
+  '',
+].join('\n');
+
+// Bump when the format of cache entries changes, so stale entries are never read.
+const CACHE_VERSION = 1;
+
+/**
+ * Creates the cache key for an AI request.
+ * The prompt embeds both the node's source code and the prompt template, so any
+ * change to either, or to the provider, model or temperature, yields a new key.
+ * @param {object} request - The request to key.
+ * @param {string} request.prompt - The full prompt sent to the model.
+ * @param {string} request.provider - The provider label, e.g. "OpenAI".
+ * @param {string} request.model - The model name.
+ * @param {number} [request.temperature] - The temperature setting.
+ * @returns {string} A hex-encoded SHA-256 hash.
+ */
+function createCacheKey({ prompt, provider, model, temperature }) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify({
+        version: CACHE_VERSION,
+        prompt,
+        provider,
+        model,
+        temperature: temperature ?? null,
+      })
+    )
+    .digest('hex');
+}
+
+/**
+ * Returns the path of the file that stores a cache entry.
+ * Entries are sharded by the first two characters of the key to keep directories small.
+ * @param {string} key - The cache key.
+ * @param {string} [cacheDir] - The cache directory.
+ * @returns {string} The path of the cache entry.
+ */
+function getEntryPath(key, cacheDir = DEFAULT_CACHE_DIR) {
+  return path.join(cacheDir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Determines whether an entry file belongs in a shard of the cache.
+ * @param {string} shard - The name of the shard directory.
+ * @param {string} file - The name of the file.
+ * @returns {boolean} True if the file is a cache entry.
+ */
+function isEntryFile(shard, file) {
+  return file.endsWith('.json') && file.startsWith(shard);
+}
+
+/**
+ * Determines whether a directory was created as a cache, by its tag file.
+ * @param {string} cacheDir - The cache directory.
+ * @returns {Promise<boolean>} True if the directory holds a cache.
+ */
+async function isCacheDir(cacheDir) {
+  const tagPath = path.join(cacheDir, CACHE_TAG_FILE);
+  return (
+    (await fs.pathExists(tagPath)) &&
+    (await fs.readFile(tagPath, 'utf-8')).startsWith(CACHE_TAG.split('\n')[0])
+  );
+}
+
+/**
+ * Reads a cached response.
+ * Unreadable or corrupt entries are treated as cache misses.
+ * @param {string} key - The cache key.
+ * @param {string} [cacheDir] - The cache directory.
+ * @returns {Promise<string|null>} The cached response, or null on a cache miss.
+ */
+async function getCachedResponse(key, cacheDir = DEFAULT_CACHE_DIR) {
+  try {
+    const entry = await fs.readJson(getEntryPath(key, cacheDir));
+    return typeof entry.response === 'string' ? entry.response : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores a response in the cache.
+ * The cache directory is created with its own `.gitignore` so it is never
+ * committed, and a `CACHEDIR.TAG` file that marks it as safe to clear.
+ * @param {string} key - The cache key.
+ * @param {string} response - The response to store.
+ * @param {object} [metadata] - Extra information stored alongside the response (e.g. the model).
+ * @param {string} [cacheDir] - The cache directory.
+ * @returns {Promise<void>}
+ */
+async function setCachedResponse(
+  key,
+  response,
+  metadata = {},
+  cacheDir = DEFAULT_CACHE_DIR
+) {
+  const gitignorePath = path.join(cacheDir, '.gitignore');
+  if (!(await fs.pathExists(gitignorePath))) {
+    await fs.outputFile(gitignorePath, '*\n', 'utf-8');
+  }
+  const tagPath = path.join(cacheDir, CACHE_TAG_FILE);
+  if (!(await fs.pathExists(tagPath))) {
+    await fs.outputFile(tagPath, CACHE_TAG, 'utf-8');
+  }
+  await fs.outputJson(getEntryPath(key, cacheDir), {
+    ...metadata,
+    response,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Lists the paths of all entries in the cache.
+ * Directories without a cache tag hold no entries.
+ * @param {string} cacheDir - The cache directory.
+ * @returns {Promise<string[]>} The paths of the cache entry files.
+ */
+async function listEntries(cacheDir) {
+  if (!(await isCacheDir(cacheDir))) {
+    return [];
+  }
+  const entries = [];
+  for (const shard of await fs.readdir(cacheDir)) {
+    const shardPath = path.join(cacheDir, shard);
+    if (!(await fs.stat(shardPath)).isDirectory()) continue;
+    for (const file of await fs.readdir(shardPath)) {
+      if (isEntryFile(shard, file)) entries.push(path.join(shardPath, file));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Removes a directory if it is empty.
+ * @param {string} dir - The directory.
+ * @returns {Promise<void>}
+ */
+async function removeIfEmpty(dir) {
+  if ((await fs.readdir(dir)).length === 0) {
+    await fs.rmdir(dir);
+  }
+}
+
+/**
+ * Removes every entry from the cache.
+ * Only the entry files and the cache's own `.gitignore` and tag are deleted, so
+ * other files are kept and their directories with them.
+ * @param {string} [cacheDir] - The cache directory.
+ * @returns {Promise<number>} The number of entries removed.
+ * @throws {Error} If the directory exists but is not a cache.
+ */
+async function clearCache(cacheDir = DEFAULT_CACHE_DIR) {
+  if (!(await fs.pathExists(cacheDir))) {
+    return 0;
+  }
+  if (!(await isCacheDir(cacheDir))) {
+    throw new Error(
+      `${cacheDir} is not an aidoccli cache directory (no ${CACHE_TAG_FILE} found); refusing to clear it.`
+    );
+  }
+  const entries = await listEntries(cacheDir);
+  for (const entry of entries) {
+    await fs.remove(entry);
+  }
+  await fs.remove(path.join(cacheDir, '.gitignore'));
+  await fs.remove(path.join(cacheDir, CACHE_TAG_FILE));
+  for (const shard of new Set(entries.map((entry) => path.dirname(entry)))) {
+    await removeIfEmpty(shard);
+  }
+  await removeIfEmpty(cacheDir);
+  return entries.length;
+}
+
+/**
+ * Reports the number of entries in the cache and their total size.
+ * @param {string} [cacheDir] - The cache directory.
+ * @returns {Promise<{entries: number, sizeBytes: number}>} The cache statistics.
+ */
+async function getCacheStats(cacheDir = DEFAULT_CACHE_DIR) {
+  const entries = await listEntries(cacheDir);
+  let sizeBytes = 0;
+  for (const entry of entries) {
+    sizeBytes += (await fs.stat(entry)).size;
+  }
+  return { entries: entries.length, sizeBytes };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  createCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearCache,
+  getCacheStats,
+};
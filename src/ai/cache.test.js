@@ -0,0 +1,104 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  createCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearCache,
+  getCacheStats,
+} = require('./cache');
+
+describe('AI response cache', () => {
+  let cacheDir;
+
+  beforeEach(async () => {
+    cacheDir = path.join(
+      await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-cache-')),
+      'cache'
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(path.dirname(cacheDir));
+  });
+
+  describe('createCacheKey', () => {
+    const request = {
+      prompt: 'Document function add(a, b) {}',
+      provider: 'OpenAI',
+      model: 'gpt-4o',
+      temperature: 0.7,
+    };
+
+    it('should be stable for identical requests', () => {
+      expect(createCacheKey(request)).toBe(createCacheKey({ ...request }));
+    });
+
+    it('should change when the prompt, model or temperature changes', () => {
+      const key = createCacheKey(request);
+      expect(createCacheKey({ ...request, prompt: 'other' })).not.toBe(key);
+      expect(createCacheKey({ ...request, model: 'gpt-4o-mini' })).not.toBe(
+        key
+      );
+      expect(createCacheKey({ ...request, temperature: 0 })).not.toBe(key);
+    });
+  });
+
+  it('should return null on a cache miss', async () => {
+    expect(await getCachedResponse('ab12', cacheDir)).toBeNull();
+  });
+
+  it('should store and read back responses, and keep the cache out of git', async () => {
+    await setCachedResponse('ab12', '{"description":"x"}', {}, cacheDir);
+    expect(await getCachedResponse('ab12', cacheDir)).toBe(
+      '{"description":"x"}'
+    );
+    expect(await fs.readFile(path.join(cacheDir, '.gitignore'), 'utf-8')).toBe(
+      '*\n'
+    );
+    expect(await fs.pathExists(path.join(cacheDir, 'CACHEDIR.TAG'))).toBe(true);
+  });
+
+  it('should report stats and clear all entries', async () => {
+    await setCachedResponse('ab12', '{}', {}, cacheDir);
+    await setCachedResponse('cd34', '{}', {}, cacheDir);
+
+    const stats = await getCacheStats(cacheDir);
+    expect(stats.entries).toBe(2);
+    expect(stats.sizeBytes).toBeGreaterThan(0);
+
+    expect(await clearCache(cacheDir)).toBe(2);
+    expect(await fs.pathExists(cacheDir)).toBe(false);
+    expect(await getCacheStats(cacheDir)).toEqual({
+      entries: 0,
+      sizeBytes: 0,
+    });
+  });
+
+  it('should keep other files in the cache directory', async () => {
+    await setCachedResponse('ab12', '{}', {}, cacheDir);
+    await fs.outputFile(path.join(cacheDir, 'notes.txt'), 'keep');
+
+    expect(await clearCache(cacheDir)).toBe(1);
+    expect(await fs.readdir(cacheDir)).toEqual(['notes.txt']);
+  });
+
+  it('should refuse to clear a directory that is not a cache', async () => {
+    const keptFile = path.join(cacheDir, 'keep', 'file.txt');
+    await fs.outputFile(keptFile, 'keep');
+    await fs.outputJson(path.join(cacheDir, 'ab', 'ab12.json'), {});
+
+    await expect(clearCache(cacheDir)).rejects.toThrow(
+      'is not an aidoccli cache directory'
+    );
+    expect(await getCacheStats(cacheDir)).toEqual({
+      entries: 0,
+      sizeBytes: 0,
+    });
+    expect(await fs.readFile(keptFile, 'utf-8')).toBe('keep');
+    expect(await fs.pathExists(path.join(cacheDir, 'ab', 'ab12.json'))).toBe(
+      true
+    );
+  });
+});
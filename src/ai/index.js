@@ -0,0 +1,270 @@
+// src/ai/index.js
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const {
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createOpenAICompatibleProvider,
+} = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const {
+  DEFAULT_CACHE_DIR,
+  createCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+} = require('./cache');
+const { DEFAULT_MAX_RETRIES, withRetry } = require('./retry');
+const { estimateTokens, createRateLimiter } = require('./rateLimiter');
+
+// Maximum number of tokens requested for a single completion.
+const MAX_TOKENS = 800;
+
+// Time allowed for a single request when --ai-timeout is not given.
+const DEFAULT_TIMEOUT_SECONDS = 60;
+
+// Presets for popular self-hosted servers that speak the OpenAI chat completions API.
+const LOCAL_SERVER_PRESETS = {
+  ollama: {
+    label: 'Ollama',
+    baseURL: 'http://localhost:11434/v1',
+    defaultModel: 'llama3.1',
+  },
+  lmstudio: {
+    label: 'LM Studio',
+    baseURL: 'http://localhost:1234/v1',
+    defaultModel: 'local-model',
+  },
+  llamacpp: {
+    label: 'llama.cpp',
+    baseURL: 'http://localhost:8080/v1',
+    defaultModel: 'local-model',
+  },
+};
+
+// Factories for each supported provider, keyed by the --ai-provider value.
+// Each factory receives the CLI options and the environment, and returns a provider.
+const PROVIDER_FACTORIES = {
+  openai: (options, env) =>
+    createOpenAIProvider({
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: options.aiBaseUrl || env.OPENAI_BASE_URL,
+    }),
+  'azure-openai': (options, env) =>
+    createAzureOpenAIProvider({
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      endpoint: options.aiBaseUrl || env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || env.OPENAI_API_VERSION,
+    }),
+  'openai-compatible': (options, env) =>
+    createOpenAICompatibleProvider({
+      baseURL: options.aiBaseUrl || env.AIDOCCLI_AI_BASE_URL,
+      apiKey: env.AIDOCCLI_AI_API_KEY,
+    }),
+  anthropic: (options, env) =>
+    createAnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseURL: options.aiBaseUrl || env.ANTHROPIC_BASE_URL,
+    }),
+  ...Object.fromEntries(
+    Object.entries(LOCAL_SERVER_PRESETS).map(([name, preset]) => [
+      name,
+      (options, env) =>
+        createOpenAICompatibleProvider({
+          ...preset,
+          baseURL:
+            options.aiBaseUrl || env.AIDOCCLI_AI_BASE_URL || preset.baseURL,
+          apiKey: env.AIDOCCLI_AI_API_KEY,
+        }),
+    ])
+  ),
+};
+
+// The names accepted by --ai-provider.
+const PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+// Providers are created lazily and reused for every request with the same settings.
+const providerCache = new Map();
+
+/**
+ * Resolves and creates the AI provider selected by the CLI options.
+ * The provider is taken from `--ai-provider`, then the AIDOCCLI_AI_PROVIDER
+ * environment variable, and defaults to `openai`.
+ * @param {object} [options] - The CLI options object.
+ * @param {string} [options.aiProvider] - The name of the provider.
+ * @param {string} [options.aiBaseUrl] - A base URL or endpoint override.
+ * @param {object} [env] - The environment variables to read credentials from.
+ * @returns {object} The provider.
+ * @throws {Error} If the provider is unknown or its configuration is incomplete.
+ */
+function getProvider(options = {}, env = process.env) {
+  const name = (
+    options.aiProvider ||
+    env.AIDOCCLI_AI_PROVIDER ||
+    'openai'
+  ).toLowerCase();
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${name}". Supported providers: ${PROVIDER_NAMES.join(', ')}.`
+    );
+  }
+  return factory(options, env);
+}
+
+// Rate limiters are shared by every request to the same provider.
+const rateLimiterCache = new Map();
+
+/**
+ * Returns the rate limiter for the CLI options, creating it on first use.
+ * @param {object} options - The CLI options object.
+ * @param {number} [options.aiRpm] - The maximum number of requests per minute.
+ * @param {number} [options.aiTpm] - The maximum number of tokens per minute.
+ * @returns {{acquire: (tokens: number) => Promise<void>}} The rate limiter.
+ */
+function getRateLimiter(options) {
+  const cacheKey = `${options.aiProvider || ''}|${options.aiBaseUrl || ''}`;
+  if (!rateLimiterCache.has(cacheKey)) {
+    rateLimiterCache.set(
+      cacheKey,
+      createRateLimiter({
+        requestsPerMinute: options.aiRpm,
+        tokensPerMinute: options.aiTpm,
+      })
+    );
+  }
+  return rateLimiterCache.get(cacheKey);
+}
+
+/**
+ * Returns the provider for the CLI options, creating it on first use.
+ * @param {object} options - The CLI options object.
+ * @returns {object} The provider.
+ */
+function getCachedProvider(options) {
+  const cacheKey = `${options.aiProvider || ''}|${options.aiBaseUrl || ''}`;
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, getProvider(options));
+  }
+  return providerCache.get(cacheKey);
+}
+
+/**
+ * Extracts a JSON object from a model response.
+ * Models without a JSON mode may wrap the object in prose or a Markdown code fence.
+ * @param {string} text - The raw response text.
+ * @returns {string} The JSON object text, or the original text if none was found.
+ */
+function extractJSONObject(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return text;
+  }
+  return candidate.slice(start, end + 1);
+}
+
+/**
+ * Checks whether a string is valid JSON.
+ * @param {string} text - The text to check.
+ * @returns {boolean} True if the text parses as JSON.
+ */
+function isJSON(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Calls the configured AI provider with a given prompt.
+ * Responses are served from and stored in the on-disk cache unless `--no-cache` is set.
+ * Requests are rate limited, time out after `--ai-timeout` seconds, and transient
+ * failures (rate limits, timeouts, 5xx) are retried with exponential backoff.
+ * @param {string} prompt - The prompt for the model.
+ * @param {object} options - CLI options.
+ * @param {string} [options.aiProvider] - The name of the provider to use.
+ * @param {string} [options.aiModel] - The model to use; defaults to the provider's default model.
+ * @param {number} options.aiTemperature - The creativity/randomness setting.
+ * @param {boolean} [options.cache] - Set to false to bypass the response cache.
+ * @param {string} [options.cacheDir] - The directory of the response cache.
+ * @param {number} [options.aiTimeout] - The request timeout in seconds.
+ * @param {number} [options.aiMaxRetries] - The maximum number of retries per request.
+ * @param {number} [options.aiRpm] - The maximum number of requests per minute.
+ * @param {number} [options.aiTpm] - The maximum number of tokens per minute.
+ * @returns {Promise<string>} The JSON response content from the model.
+ * @throws {Error} If the provider is misconfigured or the request fails.
+ */
+async function callAI(prompt, options) {
+  const provider = getCachedProvider(options);
+  const model = options.aiModel || provider.defaultModel;
+  const useCache = options.cache !== false;
+  const cacheDir = options.cacheDir || DEFAULT_CACHE_DIR;
+  const cacheKey = createCacheKey({
+    prompt,
+    provider: provider.label,
+    model,
+    temperature: options.aiTemperature,
+  });
+
+  if (useCache) {
+    const cached = await getCachedResponse(cacheKey, cacheDir);
+    if (cached !== null) {
+      return cached;
+    }
+  }
+
+  const rateLimiter = getRateLimiter(options);
+  let response;
+  try {
+    const content = await withRetry(
+      async () => {
+        await rateLimiter.acquire(estimateTokens(prompt, MAX_TOKENS));
+        return provider.complete(prompt, {
+          model,
+          temperature: options.aiTemperature,
+          maxTokens: MAX_TOKENS,
+          timeout: (options.aiTimeout || DEFAULT_TIMEOUT_SECONDS) * 1000,
+        });
+      },
+      {
+        maxRetries: options.aiMaxRetries ?? DEFAULT_MAX_RETRIES,
+        onRetry: (error, attempt, delay) =>
+          console.warn(
+            `  ${provider.label} request failed (${error.message}); retry ${attempt} in ${(delay / 1000).toFixed(1)}s.`
+          ),
+      }
+    );
+    response = extractJSONObject(content);
+  } catch (error) {
+    console.error(`Error calling ${provider.label} API:`, error.message);
+    throw new Error(`Failed to get response from ${provider.label} API.`);
+  }
+
+  if (useCache && isJSON(response)) {
+    // Only well-formed responses are cached, so a bad answer is retried next run
+    await setCachedResponse(
+      cacheKey,
+      response,
+      { provider: provider.label, model },
+      cacheDir
+    );
+  }
+  return response;
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_SECONDS,
+  PROVIDER_NAMES,
+  getProvider,
+  extractJSONObject,
+  callAI,
+};
@@ -0,0 +1,76 @@
+const { getProvider, extractJSONObject, PROVIDER_NAMES } = require('./index');
+
+describe('AI provider layer', () => {
+  describe('getProvider', () => {
+    it('should default to the openai provider', () => {
+      const provider = getProvider({}, { OPENAI_API_KEY: 'sk-test' });
+      expect(provider.name).toBe('openai');
+      expect(provider.defaultModel).toBe('gpt-4o');
+    });
+
+    it('should honor the AIDOCCLI_AI_PROVIDER environment variable', () => {
+      const provider = getProvider(
+        {},
+        { AIDOCCLI_AI_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: 'test' }
+      );
+      expect(provider.name).toBe('anthropic');
+    });
+
+    it('should throw for an unknown provider', () => {
+      expect(() => getProvider({ aiProvider: 'nope' }, {})).toThrow(
+        `Unknown AI provider "nope". Supported providers: ${PROVIDER_NAMES.join(', ')}.`
+      );
+    });
+
+    it('should throw a clear error when credentials are missing', () => {
+      expect(() => getProvider({ aiProvider: 'openai' }, {})).toThrow(
+        'OPENAI_API_KEY is not set'
+      );
+      expect(() => getProvider({ aiProvider: 'azure-openai' }, {})).toThrow(
+        'AZURE_OPENAI_ENDPOINT'
+      );
+      expect(() =>
+        getProvider({ aiProvider: 'openai-compatible' }, {})
+      ).toThrow('--ai-base-url');
+    });
+
+    it('should configure local server presets without an API key', () => {
+      const provider = getProvider({ aiProvider: 'ollama' }, {});
+      expect(provider.name).toBe('openai-compatible');
+      expect(provider.label).toBe('Ollama');
+      expect(provider.defaultModel).toBe('llama3.1');
+    });
+
+    it('should accept any OpenAI-compatible base URL', () => {
+      const provider = getProvider(
+        {
+          aiProvider: 'openai-compatible',
+          aiBaseUrl: 'http://gpu-box:8000/v1',
+        },
+        {}
+      );
+      expect(provider.label).toBe(
+        'OpenAI-compatible server at http://gpu-box:8000/v1'
+      );
+    });
+  });
+
+  describe('extractJSONObject', () => {
+    it('should return plain JSON unchanged', () => {
+      expect(extractJSONObject('{"a":1}')).toBe('{"a":1}');
+    });
+
+    it('should extract JSON wrapped in prose or a code fence', () => {
+      expect(
+        extractJSONObject('Sure! Here it is:\n```json\n{"a": {"b": 2}}\n```')
+      ).toBe('{"a": {"b": 2}}');
+      expect(extractJSONObject('Result: {"a":1} Hope this helps')).toBe(
+        '{"a":1}'
+      );
+    });
+
+    it('should return the text unchanged when it contains no object', () => {
+      expect(extractJSONObject('no json here')).toBe('no json here');
+    });
+  });
+});
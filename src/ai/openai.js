@@ -1,40 +1,131 @@
 // src/ai/openai.js
 
-const OpenAI = require('openai');
-const dotenv = require('dotenv');
-dotenv.config();
+const { OpenAI, AzureOpenAI } = require('openai');
 
-// --- OpenAI Configuration ---
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Default API version used when talking to Azure OpenAI deployments.
+const DEFAULT_AZURE_API_VERSION = '2024-06-01';
 
 /**
- * Calls the OpenAI API with a given prompt.
- * @param {string} prompt - The prompt for the OpenAI API.
- * @param {object} options - CLI options.
- * @param {string} options.aiModel - The OpenAI model to use.
- * @param {number} options.aiTemperature - The creativity/randomness setting.
- * @returns {Promise<string>} The response content from the OpenAI API.
+ * Sends a chat completion request through an OpenAI SDK client.
+ * @param {OpenAI} client - The OpenAI (or Azure OpenAI) client.
+ * @param {string} prompt - The prompt to send.
+ * @param {object} request - The request settings.
+ * @param {string} request.model - The model (or Azure deployment) to use.
+ * @param {number} request.temperature - The creativity/randomness setting.
+ * @param {number} request.maxTokens - The maximum number of tokens to generate.
+ * @param {boolean} request.jsonMode - Whether to ask the server for a JSON object response.
+ * @param {number} [request.timeout] - The request timeout in milliseconds.
+ * @returns {Promise<string>} The response content.
  */
-exports.callOpenAI = async function callOpenAI(prompt, options) {
-  if (!openai.apiKey) {
+async function createChatCompletion(client, prompt, request) {
+  const completion = await client.chat.completions.create(
+    {
+      model: request.model,
+      messages: [{ role: 'user', content: prompt }],
+      ...(request.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+    },
+    { timeout: request.timeout }
+  );
+  return completion.choices[0].message.content;
+}
+
+/**
+ * Creates the provider for the hosted OpenAI API.
+ * @param {object} config - The resolved provider configuration.
+ * @param {string} [config.apiKey] - The OpenAI API key.
+ * @param {string} [config.baseURL] - An optional override for the API base URL.
+ * @returns {object} The provider.
+ * @throws {Error} If no API key is configured.
+ */
+function createOpenAIProvider(config) {
+  if (!config.apiKey) {
     throw new Error(
       'OPENAI_API_KEY is not set in your environment variables. Please set it to use AI features.'
     );
   }
+  const client = new OpenAI({
+    apiKey: config.apiKey,
+    ...(config.baseURL ? { baseURL: config.baseURL } : {}),
+    maxRetries: 0, // Retries are handled by callAI
+  });
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+    defaultModel: 'gpt-4o',
+    complete: (prompt, request) =>
+      createChatCompletion(client, prompt, { ...request, jsonMode: true }),
+  };
+}
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: options.aiModel,
-      messages: [{ role: 'user', content: prompt }],
-      response_format: { type: 'json_object' },
-      temperature: options.aiTemperature,
-      max_tokens: 800, // Increased token limit for more complex code
-    });
-    return completion.choices[0].message.content;
-  } catch (error) {
-    console.error('Error calling OpenAI API:', error.message);
-    throw new Error('Failed to get response from OpenAI API.');
+/**
+ * Creates the provider for Azure OpenAI deployments.
+ * The model name passed at request time is used as the deployment name.
+ * @param {object} config - The resolved provider configuration.
+ * @param {string} [config.apiKey] - The Azure OpenAI API key.
+ * @param {string} [config.endpoint] - The Azure OpenAI resource endpoint.
+ * @param {string} [config.apiVersion] - The Azure OpenAI API version.
+ * @returns {object} The provider.
+ * @throws {Error} If the API key or endpoint is missing.
+ */
+function createAzureOpenAIProvider(config) {
+  if (!config.apiKey || !config.endpoint) {
+    throw new Error(
+      'AZURE_OPENAI_API_KEY and AZURE_OPENAI_ENDPOINT (or --ai-base-url) must be set to use the azure-openai provider.'
+    );
+  }
+  const client = new AzureOpenAI({
+    apiKey: config.apiKey,
+    endpoint: config.endpoint,
+    apiVersion: config.apiVersion || DEFAULT_AZURE_API_VERSION,
+    maxRetries: 0, // Retries are handled by callAI
+  });
+  return {
+    name: 'azure-openai',
+    label: 'Azure OpenAI',
+    defaultModel: 'gpt-4o',
+    complete: (prompt, request) =>
+      createChatCompletion(client, prompt, { ...request, jsonMode: true }),
+  };
+}
+
+/**
+ * Creates a provider for any server exposing an OpenAI-compatible chat completions
+ * endpoint, such as Ollama, llama.cpp or LM Studio.
+ * JSON mode is not requested because not every server supports it; the prompt asks
+ * for JSON and the response is extracted from the text instead.
+ * @param {object} config - The resolved provider configuration.
+ * @param {string} [config.baseURL] - The base URL of the server, e.g. `http://localhost:11434/v1`.
+ * @param {string} [config.apiKey] - An API key, if the server requires one.
+ * @param {string} [config.defaultModel] - The model to use when none is specified.
+ * @param {string} [config.label] - A human-readable name used in messages.
+ * @returns {object} The provider.
+ * @throws {Error} If no base URL is configured.
+ */
+function createOpenAICompatibleProvider(config) {
+  if (!config.baseURL) {
+    throw new Error(
+      'A base URL is required for the openai-compatible provider. Pass --ai-base-url or set AIDOCCLI_AI_BASE_URL.'
+    );
   }
+  const client = new OpenAI({
+    // Local servers usually ignore the key, but the SDK requires a value
+    apiKey: config.apiKey || 'not-needed',
+    baseURL: config.baseURL,
+    maxRetries: 0, // Retries are handled by callAI
+  });
+  return {
+    name: 'openai-compatible',
+    label: config.label || `OpenAI-compatible server at ${config.baseURL}`,
+    defaultModel: config.defaultModel,
+    complete: (prompt, request) =>
+      createChatCompletion(client, prompt, { ...request, jsonMode: false }),
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createAzureOpenAIProvider,
+  createOpenAICompatibleProvider,
 };
@@ -0,0 +1,77 @@
+// src/ai/rateLimiter.js
+
+const { sleep } = require('./retry');
+
+// Length of the sliding window the limits apply to.
+const WINDOW_MS = 60000;
+
+/**
+ * Roughly estimates the number of tokens a request will consume: about four
+ * characters per prompt token, plus the completion budget.
+ * @param {string} prompt - The prompt text.
+ * @param {number} maxTokens - The maximum number of completion tokens.
+ * @returns {number} The estimated token count.
+ */
+function estimateTokens(prompt, maxTokens) {
+  return Math.ceil(prompt.length / 4) + maxTokens;
+}
+
+/**
+ * Creates a sliding-window limiter for requests per minute and tokens per minute.
+ * Callers are served one at a time in arrival order, so concurrent requests
+ * cannot jointly overshoot the limits.
+ * @param {object} [limits] - The limits to enforce; omitted limits are not enforced.
+ * @param {number} [limits.requestsPerMinute] - The maximum number of requests per minute.
+ * @param {number} [limits.tokensPerMinute] - The maximum number of tokens per minute.
+ * @param {() => number} [limits.now] - Clock source, for testing.
+ * @param {(ms: number) => Promise<void>} [limits.wait] - The function used to wait, for testing.
+ * @returns {{acquire: (tokens: number) => Promise<void>}} The limiter.
+ */
+function createRateLimiter(limits = {}) {
+  const { requestsPerMinute, tokensPerMinute } = limits;
+  const now = limits.now || Date.now;
+  const wait = limits.wait || sleep;
+  const history = []; // { time, tokens } of requests inside the window
+  let queue = Promise.resolve();
+
+  const getWaitTime = (tokens) => {
+    const current = now();
+    while (history.length > 0 && history[0].time <= current - WINDOW_MS) {
+      history.shift();
+    }
+    let waitMs = 0;
+    if (requestsPerMinute && history.length >= requestsPerMinute) {
+      const oldest = history[history.length - requestsPerMinute];
+      waitMs = Math.max(waitMs, oldest.time + WINDOW_MS - current);
+    }
+    if (tokensPerMinute && history.length > 0) {
+      // Find how many of the oldest requests must expire to make room
+      let used = history.reduce((sum, entry) => sum + entry.tokens, 0);
+      for (const entry of history) {
+        if (used + tokens <= tokensPerMinute) break;
+        used -= entry.tokens;
+        waitMs = Math.max(waitMs, entry.time + WINDOW_MS - current);
+      }
+    }
+    return waitMs;
+  };
+
+  return {
+    acquire(tokens = 0) {
+      const turn = queue.then(async () => {
+        for (let waitMs = getWaitTime(tokens); waitMs > 0; ) {
+          await wait(waitMs);
+          waitMs = getWaitTime(tokens);
+        }
+        history.push({ time: now(), tokens });
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  createRateLimiter,
+};
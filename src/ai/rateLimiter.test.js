@@ -0,0 +1,58 @@
+const { estimateTokens, createRateLimiter } = require('./rateLimiter');
+
+/**
+ * Creates a fake clock whose `wait` advances time instantly.
+ * @returns {{now: () => number, wait: jest.Mock}} The clock.
+ */
+function createFakeClock() {
+  let time = 0;
+  return {
+    now: () => time,
+    wait: jest.fn(async (ms) => {
+      time += ms;
+    }),
+  };
+}
+
+describe('AI rate limiter', () => {
+  it('should estimate tokens from the prompt length and completion budget', () => {
+    expect(estimateTokens('x'.repeat(400), 800)).toBe(900);
+  });
+
+  it('should not wait when no limits are configured', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter(clock);
+
+    await Promise.all([1, 2, 3].map(() => limiter.acquire(1000)));
+    expect(clock.wait).not.toHaveBeenCalled();
+  });
+
+  it('should delay requests beyond the per-minute request limit', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ requestsPerMinute: 2, ...clock });
+
+    await Promise.all([1, 2, 3].map(() => limiter.acquire()));
+    expect(clock.wait).toHaveBeenCalledTimes(1);
+    expect(clock.wait).toHaveBeenCalledWith(60000);
+  });
+
+  it('should delay requests beyond the per-minute token limit', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 1000, ...clock });
+
+    await limiter.acquire(600);
+    await clock.wait(10000);
+    await limiter.acquire(600);
+    // The second request must wait until the first leaves the window
+    expect(clock.wait).toHaveBeenLastCalledWith(50000);
+    expect(clock.now()).toBe(60000);
+  });
+
+  it('should let an oversized request through once the window is empty', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ tokensPerMinute: 100, ...clock });
+
+    await limiter.acquire(500);
+    expect(clock.wait).not.toHaveBeenCalled();
+  });
+});
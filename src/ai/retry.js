@@ -0,0 +1,128 @@
+// src/ai/retry.js
+
+// Number of retries after the first failed attempt when --ai-max-retries is not given.
+const DEFAULT_MAX_RETRIES = 5;
+
+// Delay before the first retry; each further retry doubles it, up to MAX_DELAY_MS.
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// HTTP statuses that indicate a transient failure worth retrying.
+const RETRYABLE_STATUSES = new Set([408, 409, 429]);
+
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Reads a header from either a plain object or a Fetch `Headers` instance.
+ * @param {object|Headers} [headers] - The response headers.
+ * @param {string} name - The lowercase header name.
+ * @returns {string|undefined} The header value, if present.
+ */
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name) ?? undefined;
+  return headers[name] ?? undefined;
+}
+
+/**
+ * Determines how long the server asked us to wait before retrying.
+ * Supports `retry-after-ms`, and `retry-after` as seconds or an HTTP date.
+ * @param {object|Headers} [headers] - The response headers.
+ * @param {number} [now] - The current time in milliseconds, for HTTP dates.
+ * @returns {number|null} The delay in milliseconds, or null if the server gave none.
+ */
+function getRetryAfterMs(headers, now = Date.now()) {
+  const retryAfterMs = Number(getHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+    return retryAfterMs;
+  }
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return null;
+  }
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Determines whether an error from an AI provider is transient.
+ * Rate limits, timeouts, conflicts, server errors and connection failures are retried;
+ * authentication and validation errors are not.
+ * @param {Error} error - The error thrown by the provider SDK.
+ * @returns {boolean} True if the request should be retried.
+ */
+function isRetryableError(error) {
+  const status = error?.status;
+  if (typeof status === 'number') {
+    return RETRYABLE_STATUSES.has(status) || status >= 500;
+  }
+  // SDK connection errors and timeouts carry no HTTP status
+  return /connection|timeout|timed out|ECONNRESET|ETIMEDOUT|EAI_AGAIN/i.test(
+    `${error?.name} ${error?.code} ${error?.message}`
+  );
+}
+
+/**
+ * Computes the delay before the next retry: the server's `Retry-After` if given,
+ * otherwise exponential backoff with full jitter.
+ * @param {Error} error - The error that triggered the retry.
+ * @param {number} attempt - The number of the retry about to be made, starting at 1.
+ * @param {() => number} [random] - Random number source, for testing.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(error, attempt, random = Math.random) {
+  const retryAfter = getRetryAfterMs(error?.headers);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, MAX_DELAY_MS);
+  }
+  const backoff = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  return Math.round(backoff / 2 + (random() * backoff) / 2);
+}
+
+/**
+ * Runs an async operation, retrying transient failures with backoff.
+ * @template T
+ * @param {() => Promise<T>} operation - The operation to run.
+ * @param {object} [settings] - The retry settings.
+ * @param {number} [settings.maxRetries] - The maximum number of retries.
+ * @param {(error: Error, attempt: number, delay: number) => void} [settings.onRetry] - Called before each retry.
+ * @param {(ms: number) => Promise<void>} [settings.wait] - The function used to wait, for testing.
+ * @returns {Promise<T>} The result of the first successful attempt.
+ * @throws {Error} The last error, once retries are exhausted or the error is not retryable.
+ */
+async function withRetry(operation, settings = {}) {
+  const maxRetries = settings.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const wait = settings.wait || sleep;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt + 1);
+      settings.onRetry?.(error, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_RETRIES,
+  sleep,
+  getRetryAfterMs,
+  isRetryableError,
+  getRetryDelay,
+  withRetry,
+};
@@ -0,0 +1,105 @@
+const {
+  getRetryAfterMs,
+  isRetryableError,
+  getRetryDelay,
+  withRetry,
+} = require('./retry');
+
+/**
+ * Creates an error shaped like the ones thrown by the provider SDKs.
+ * @param {number} [status] - The HTTP status.
+ * @param {object} [headers] - The response headers.
+ * @returns {Error} The error.
+ */
+function apiError(status, headers) {
+  return Object.assign(new Error(`status ${status}`), { status, headers });
+}
+
+describe('AI request retries', () => {
+  describe('getRetryAfterMs', () => {
+    it('should read retry-after-ms and retry-after in seconds', () => {
+      expect(getRetryAfterMs({ 'retry-after-ms': '250' })).toBe(250);
+      expect(getRetryAfterMs(new Headers({ 'retry-after': '3' }))).toBe(3000);
+    });
+
+    it('should read retry-after as an HTTP date', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+      expect(
+        getRetryAfterMs({ 'retry-after': 'Mon, 01 Jan 2024 00:00:10 GMT' }, now)
+      ).toBe(10000);
+    });
+
+    it('should return null when the server gave no delay', () => {
+      expect(getRetryAfterMs(undefined)).toBeNull();
+      expect(getRetryAfterMs({ 'retry-after': 'soon' })).toBeNull();
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry rate limits, timeouts and server errors', () => {
+      for (const status of [408, 429, 500, 503]) {
+        expect(isRetryableError(apiError(status))).toBe(true);
+      }
+      expect(isRetryableError(new Error('Request timed out.'))).toBe(true);
+      expect(isRetryableError(new Error('Connection error.'))).toBe(true);
+    });
+
+    it('should not retry client errors', () => {
+      for (const status of [400, 401, 404]) {
+        expect(isRetryableError(apiError(status))).toBe(false);
+      }
+      expect(isRetryableError(new Error('Unexpected token'))).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should honor Retry-After', () => {
+      expect(getRetryDelay(apiError(429, { 'retry-after': '2' }), 1)).toBe(
+        2000
+      );
+    });
+
+    it('should back off exponentially with jitter', () => {
+      const error = apiError(503);
+      expect(getRetryDelay(error, 1, () => 0)).toBe(500);
+      expect(getRetryDelay(error, 3, () => 1)).toBe(4000);
+      expect(getRetryDelay(error, 20, () => 1)).toBe(60000);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should retry transient failures until the operation succeeds', async () => {
+      const operation = jest
+        .fn()
+        .mockRejectedValueOnce(apiError(429, { 'retry-after': '1' }))
+        .mockRejectedValueOnce(apiError(502))
+        .mockResolvedValue('ok');
+      const wait = jest.fn().mockResolvedValue();
+      const onRetry = jest.fn();
+
+      await expect(withRetry(operation, { wait, onRetry })).resolves.toBe('ok');
+      expect(operation).toHaveBeenCalledTimes(3);
+      expect(wait).toHaveBeenNthCalledWith(1, 1000);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up after maxRetries', async () => {
+      const operation = jest.fn().mockRejectedValue(apiError(500));
+      const wait = jest.fn().mockResolvedValue();
+
+      await expect(
+        withRetry(operation, { maxRetries: 2, wait })
+      ).rejects.toThrow('status 500');
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry errors that are not transient', async () => {
+      const operation = jest.fn().mockRejectedValue(apiError(401));
+      const wait = jest.fn();
+
+      await expect(withRetry(operation, { wait })).rejects.toThrow();
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+  });
+});
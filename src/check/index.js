@@ -0,0 +1,70 @@
+// src/check/index.js
+
+const { collectDocumentationTargets } = require('../jsdocGenerator');
+const { checkTarget, resolveRuleSeverities } = require('./rules');
+
+/**
+ * Checks the documentation of the matching files without modifying them or
+ * calling the AI.
+ * @param {string[]} globPatterns - The glob patterns of the files to check.
+ * @param {object} options - The CLI options object.
+ * @param {string[]} [options.exclude] - Glob patterns to exclude.
+ * @param {object} [options.rules] - Rule severities from the configuration file.
+ * @param {object} [options.rule] - Rule severities from the command line; these win.
+ * @returns {Promise<{fileCount: number, violations: Array<object>}>} The number of
+ * files checked and the violations found, ordered by file and position.
+ */
+async function checkFiles(globPatterns, options) {
+  const severities = resolveRuleSeverities(options.rules, options.rule);
+  const { files, checker, targets } = await collectDocumentationTargets(
+    globPatterns,
+    options
+  );
+  const violations = targets
+    .flatMap((target) => checkTarget(target, checker, severities))
+    .sort(
+      (a, b) =>
+        a.filePath.localeCompare(b.filePath) ||
+        a.line - b.line ||
+        a.column - b.column
+    );
+  return { fileCount: files.length, violations };
+}
+
+/**
+ * Formats violations for the terminal, grouped by file.
+ * @param {Array<object>} violations - The violations, ordered by file.
+ * @returns {string} The report, e.g. `src/a.js\n  3:1  error  Missing JSDoc ...  missing-jsdoc`.
+ */
+function formatViolations(violations) {
+  const lines = [];
+  let currentFile = null;
+  for (const violation of violations) {
+    if (violation.filePath !== currentFile) {
+      if (currentFile !== null) lines.push('');
+      currentFile = violation.filePath;
+      lines.push(currentFile);
+    }
+    const position = `${violation.line}:${violation.column}`;
+    lines.push(
+      `  ${position.padEnd(7)} ${violation.severity.padEnd(7)} ${violation.message}  ${violation.rule}`
+    );
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Summarizes the violations by severity.
+ * @param {Array<object>} violations - The violations found.
+ * @returns {{errors: number, warnings: number}} The number of errors and warnings.
+ */
+function countViolations(violations) {
+  const errors = violations.filter((v) => v.severity === 'error').length;
+  return { errors, warnings: violations.length - errors };
+}
+
+module.exports = {
+  checkFiles,
+  formatViolations,
+  countViolations,
+};
@@ -0,0 +1,227 @@
+// Mock the AI layer so the generator can be loaded without credentials
+jest.mock('../ai', () => ({
+  ...jest.requireActual('../ai'),
+  callAI: jest.fn(),
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { callAI } = require('../ai');
+const { checkFiles, formatViolations, countViolations } = require('./index');
+
+describe('check command', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-check-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  /**
+   * Writes a file into the temporary directory and checks it.
+   * @param {string} code - The contents of the file.
+   * @param {object} [options] - The check options.
+   * @returns {Promise<Array<object>>} The violations found.
+   */
+  async function checkCode(code, options = {}) {
+    const filePath = path.join(tempDir, 'sample.js');
+    await fs.writeFile(filePath, code);
+    const { violations } = await checkFiles(
+      [filePath.split(path.sep).join('/')],
+      options
+    );
+    return violations.map(({ rule, severity, line, message }) => ({
+      rule,
+      severity,
+      line,
+      message,
+    }));
+  }
+
+  it('should report undocumented declarations but not inline callbacks', async () => {
+    const violations = await checkCode(
+      'function add(a, b) {\n  return [a, b].map((n) => n).length;\n}\n'
+    );
+    expect(violations).toEqual([
+      {
+        rule: 'missing-jsdoc',
+        severity: 'error',
+        line: 1,
+        message: 'Missing JSDoc for function "add".',
+      },
+    ]);
+    expect(callAI).not.toHaveBeenCalled();
+  });
+
+  it('should report stale @param names, missing @returns and placeholders', async () => {
+    const violations = await checkCode(
+      [
+        '/**',
+        ' * Description placeholder.',
+        ' * @param {number} x - The x.',
+        ' * @param {number} y - Renamed.',
+        ' */',
+        'function scale(x, factor) {',
+        '  return x * factor;',
+        '}',
+        '',
+      ].join('\n')
+    );
+    expect(violations.map((v) => v.message)).toEqual([
+      'JSDoc for function "scale" contains the placeholder "Description placeholder.".',
+      '@param "y" does not match any parameter of function "scale".',
+      'Parameter "factor" of function "scale" is not documented.',
+      'Missing @returns for function "scale", which returns number.',
+    ]);
+    expect(violations[0].severity).toBe('warning');
+  });
+
+  it('should accept complete documentation and void functions', async () => {
+    const violations = await checkCode(
+      [
+        '/**',
+        ' * Logs a message.',
+        ' * @param {string} message - The message.',
+        ' */',
+        'const log = (message) => console.log(message);',
+        '',
+      ].join('\n')
+    );
+    expect(violations).toEqual([]);
+  });
+
+  it('should name CommonJS exports and methods of named objects', async () => {
+    const violations = await checkCode(
+      [
+        'exports.run = function () {};',
+        'module.exports.helpers = {',
+        '  trim(text) {},',
+        "  'to-upper': (text) => text,",
+        '};',
+        'setup({ onReady() {} });',
+        'module.exports = function () {};',
+        '',
+      ].join('\n')
+    );
+    expect(violations.map((v) => v.message)).toEqual([
+      'Missing JSDoc for function "run".',
+      'Missing JSDoc for function "trim".',
+      'Missing JSDoc for function "to-upper".',
+      'Missing JSDoc for function "sample".',
+    ]);
+  });
+
+  it('should report class fields and not require @returns for getters', async () => {
+    const violations = await checkCode(
+      [
+        '/** A connection pool. */',
+        'class Pool {',
+        '  static #instances = 0;',
+        '  /** The connections. */',
+        '  connections = [];',
+        '  /** Gets the size. */',
+        '  get size() {',
+        '    return this.connections.length;',
+        '  }',
+        '}',
+        '',
+      ].join('\n')
+    );
+    expect(violations.map((v) => v.message)).toEqual([
+      'Missing JSDoc for property "#instances".',
+    ]);
+  });
+
+  it('should accept constructors documented by their class block', async () => {
+    const classBlock = [
+      '/**',
+      ' * A point.',
+      ' * @class',
+      ' * @constructor Creates a new Point instance.',
+      ' * @param {number} x - The x.',
+      ' * @param {number} y - The y.',
+      ' */',
+    ];
+    const source = [
+      'class Point {',
+      '  constructor(x, y) {',
+      '    this.x = x;',
+      '  }',
+      '}',
+      '',
+    ];
+    expect(await checkCode([...classBlock, ...source].join('\n'))).toEqual([]);
+
+    const violations = await checkCode(
+      [...classBlock.filter((line) => !line.includes('y -')), ...source].join(
+        '\n'
+      )
+    );
+    expect(violations.map((v) => v.message)).toEqual([
+      'Parameter "y" of class "Point" is not documented.',
+    ]);
+  });
+
+  it('should check documented nodes when onlyNew is configured', async () => {
+    const violations = await checkCode(
+      [
+        '/**',
+        ' * Scales a number.',
+        ' * @param {number} y - Renamed.',
+        ' */',
+        'function scale(x) {}',
+        '',
+      ].join('\n'),
+      { onlyNew: true }
+    );
+    expect(violations.map((v) => v.message)).toEqual([
+      '@param "y" does not match any parameter of function "scale".',
+      'Parameter "x" of function "scale" is not documented.',
+    ]);
+  });
+
+  it('should honor configured severities', async () => {
+    const violations = await checkCode('function noop() {}\n', {
+      rules: { 'missing-jsdoc': 'warning' },
+      rule: { 'missing-jsdoc': 'off' },
+    });
+    expect(violations).toEqual([]);
+  });
+
+  describe('formatViolations', () => {
+    it('should group violations by file and summarize them', () => {
+      const violations = [
+        {
+          filePath: 'a.js',
+          line: 3,
+          column: 1,
+          severity: 'error',
+          message: 'Missing JSDoc for function "a".',
+          rule: 'missing-jsdoc',
+        },
+        {
+          filePath: 'b.js',
+          line: 10,
+          column: 3,
+          severity: 'warning',
+          message: 'Placeholder.',
+          rule: 'placeholder',
+        },
+      ];
+      expect(formatViolations(violations)).toBe(
+        [
+          'a.js',
+          '  3:1     error   Missing JSDoc for function "a".  missing-jsdoc',
+          '',
+          'b.js',
+          '  10:3    warning Placeholder.  placeholder',
+        ].join('\n')
+      );
+      expect(countViolations(violations)).toEqual({ errors: 1, warnings: 1 });
+    });
+  });
+});
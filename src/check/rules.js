@@ -0,0 +1,252 @@
+// src/check/rules.js
+
+const ts = require('typescript');
+const { PLACEHOLDER_DESCRIPTIONS } = require('../jsdoc/constants');
+const { readTypeExpression } = require('../jsdoc/parser');
+const { resolveDocStyle } = require('../jsdoc/tsdoc');
+
+// Every rule and the severity it has unless configured otherwise.
+const DEFAULT_RULE_SEVERITIES = {
+  'missing-jsdoc': 'error',
+  'param-mismatch': 'error',
+  'missing-returns': 'error',
+  placeholder: 'warning',
+};
+
+const RULE_NAMES = Object.keys(DEFAULT_RULE_SEVERITIES);
+
+// `off` disables a rule; only `error` violations fail the check.
+const SEVERITIES = ['error', 'warning', 'off'];
+
+// Return types that need no @returns tag.
+const VOID_RETURN_TYPES = new Set([
+  'void',
+  'undefined',
+  'never',
+  'Promise<void>',
+  'Promise<undefined>',
+]);
+
+/**
+ * Merges severity settings over the defaults. Later settings win.
+ * @param {...object} settings - Maps of rule names to severities, e.g. from the
+ * configuration file and the command line.
+ * @returns {object} The severity of every rule.
+ */
+function resolveRuleSeverities(...settings) {
+  return Object.assign({}, DEFAULT_RULE_SEVERITIES, ...settings);
+}
+
+/**
+ * Extracts the names of the top-level parameters documented by `@param` tags.
+ * Properties of documented parameters, such as `options.cwd`, are not included.
+ * @param {string[]} jsdocLines - The lines of a JSDoc block, without comment markers.
+ * @returns {string[]} The documented parameter names, in order.
+ */
+function getDocumentedParamNames(jsdocLines) {
+  const names = [];
+  for (const line of jsdocLines) {
+    const tag = line.trim().match(/^@(?:param|arg|argument)\s+(.*)$/);
+    if (!tag) continue;
+    const name = readTypeExpression(tag[1].trim())
+      .rest.trim()
+      .match(/^\[?\s*([\w$.]+)/)?.[1];
+    if (name && !name.includes('.')) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Returns the parameter names of a function as written in its signature.
+ * @param {object} node - The Babel function node.
+ * @returns {Array<string|null>} The names, with null for destructured parameters.
+ */
+function getSignatureParamNames(node) {
+  const nameOf = (param) => {
+    if (param.type === 'TSParameterProperty') return nameOf(param.parameter);
+    if (param.type === 'AssignmentPattern') return nameOf(param.left);
+    if (param.type === 'RestElement') return nameOf(param.argument);
+    return param.type === 'Identifier' ? param.name : null;
+  };
+  return (node.params || []).map(nameOf).filter((name) => name !== 'this'); // TypeScript `this` parameters are not real arguments
+}
+
+/**
+ * Finds the TypeScript function declaration behind a target's symbol.
+ * @param {object} symbol - The symbol collected for the target.
+ * @returns {ts.SignatureDeclaration|undefined} The declaration, if it is function-like.
+ */
+function getFunctionDeclaration(symbol) {
+  let declaration = symbol.declarations?.[0];
+  if (
+    declaration &&
+    (ts.isVariableDeclaration(declaration) ||
+      ts.isPropertyDeclaration(declaration))
+  ) {
+    declaration = declaration.initializer;
+  }
+  return declaration && ts.isFunctionLike(declaration)
+    ? declaration
+    : undefined;
+}
+
+// Babel node types of class methods, including `#private` ones.
+const CLASS_METHOD_TYPES = new Set(['ClassMethod', 'ClassPrivateMethod']);
+
+/**
+ * Describes a target for use in messages.
+ * @param {object} target - The documentation target.
+ * @returns {string} For example `function "add"`, `property "size"` or
+ * `class "UserService"`.
+ */
+function describeTarget(target) {
+  if (target.kind === 'class' || target.kind === 'property') {
+    return `${target.kind} "${target.symbol.getName()}"`;
+  }
+  const kind = CLASS_METHOD_TYPES.has(target.node.type) ? 'method' : 'function';
+  return `${kind} "${target.symbol.getName()}"`;
+}
+
+/**
+ * Finds the constructor whose parameters a class block documents. JSDoc class
+ * blocks cover the constructor with `@constructor` and `@param` tags, while TSDoc
+ * constructors have a block of their own.
+ * @param {object} target - The documentation target of the class.
+ * @returns {object|undefined} The Babel constructor node, if the class declares
+ * one and is documented in JSDoc.
+ */
+function getClassBlockConstructor(target) {
+  if (resolveDocStyle(target.options?.style, target.filePath) !== 'jsdoc') {
+    return undefined;
+  }
+  return target.node.body.body.find((member) => member.kind === 'constructor');
+}
+
+/**
+ * Determines whether a collected node is expected to have documentation.
+ * Inline callbacks and constructors without parameters are exempt.
+ * @param {object} target - The documentation target collected by the generator.
+ * @returns {boolean} True if a missing docblock should be reported.
+ */
+function isDocumentationRequired(target) {
+  const { node } = target;
+  return (
+    target.standalone &&
+    !(node.kind === 'constructor' && node.params.length === 0)
+  );
+}
+
+/**
+ * Checks the documentation of a single collected node.
+ * @param {object} target - The documentation target collected by the generator.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {object} severities - The severity of each rule, from `resolveRuleSeverities`.
+ * @returns {Array<object>} The violations found, each with its rule, severity,
+ * message, file, line and column.
+ */
+function checkTarget(target, checker, severities) {
+  const violations = [];
+  const report = (rule, message) => {
+    if (severities[rule] && severities[rule] !== 'off') {
+      violations.push({
+        rule,
+        severity: severities[rule],
+        message,
+        filePath: target.filePath,
+        line: target.line,
+        column: target.column,
+      });
+    }
+  };
+  const { node, jsdocComment } = target;
+  const isConstructor = node.kind === 'constructor';
+
+  if (!jsdocComment) {
+    if (isDocumentationRequired(target)) {
+      report('missing-jsdoc', `Missing JSDoc for ${describeTarget(target)}.`);
+    }
+    return violations;
+  }
+
+  const text = jsdocComment.join('\n');
+  for (const placeholder of PLACEHOLDER_DESCRIPTIONS) {
+    if (text.includes(placeholder)) {
+      report(
+        'placeholder',
+        `JSDoc for ${describeTarget(target)} contains the placeholder "${placeholder}".`
+      );
+    }
+  }
+
+  // A JSDoc class block documents the parameters of the class's constructor
+  const signatureNode =
+    target.kind === 'class' ? getClassBlockConstructor(target) : node;
+  if (target.kind === 'property' || !signatureNode) {
+    return violations;
+  }
+
+  const signatureNames = getSignatureParamNames(signatureNode);
+  const documentedNames = getDocumentedParamNames(jsdocComment);
+  let unmatchedPatterns = signatureNames.filter((name) => !name).length;
+  for (const name of documentedNames) {
+    if (signatureNames.includes(name)) continue;
+    if (unmatchedPatterns > 0) {
+      unmatchedPatterns--; // Documents a destructured parameter under its own name
+      continue;
+    }
+    report(
+      'param-mismatch',
+      `@param "${name}" does not match any parameter of ${describeTarget(target)}.`
+    );
+  }
+  for (const name of signatureNames) {
+    if (name && !documentedNames.includes(name)) {
+      report(
+        'param-mismatch',
+        `Parameter "${name}" of ${describeTarget(target)} is not documented.`
+      );
+    }
+  }
+
+  if (target.kind === 'class') {
+    return violations;
+  }
+
+  const hasReturnsTag = jsdocComment.some((line) =>
+    /^@(?:returns?|yields?)\b/.test(line.trim())
+  );
+  const declaration = getFunctionDeclaration(target.symbol);
+  // Getters are documented with `@type` rather than `@returns`
+  const signature =
+    !isConstructor &&
+    node.kind !== 'get' &&
+    !hasReturnsTag &&
+    declaration &&
+    checker.getSignatureFromDeclaration(declaration);
+  if (signature) {
+    const returnType = checker.typeToString(
+      checker.getReturnTypeOfSignature(signature)
+    );
+    if (!VOID_RETURN_TYPES.has(returnType)) {
+      report(
+        'missing-returns',
+        `Missing @returns for ${describeTarget(target)}, which returns ${returnType}.`
+      );
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  CLASS_METHOD_TYPES,
+  DEFAULT_RULE_SEVERITIES,
+  RULE_NAMES,
+  SEVERITIES,
+  resolveRuleSeverities,
+  isDocumentationRequired,
+  getDocumentedParamNames,
+  getSignatureParamNames,
+  checkTarget,
+};
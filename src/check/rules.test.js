@@ -0,0 +1,58 @@
+const babelParser = require('@babel/parser');
+const {
+  resolveRuleSeverities,
+  getDocumentedParamNames,
+  getSignatureParamNames,
+} = require('./rules');
+
+/**
+ * Parses a function declaration.
+ * @param {string} code - The code of the function.
+ * @returns {object} The Babel function node.
+ */
+function parseFunction(code) {
+  return babelParser.parse(code, { plugins: ['typescript'] }).program.body[0];
+}
+
+describe('documentation rules', () => {
+  describe('resolveRuleSeverities', () => {
+    it('should apply later settings over the defaults', () => {
+      const severities = resolveRuleSeverities(
+        { placeholder: 'error', 'missing-returns': 'warning' },
+        { 'missing-returns': 'off' }
+      );
+      expect(severities).toEqual({
+        'missing-jsdoc': 'error',
+        'param-mismatch': 'error',
+        'missing-returns': 'off',
+        placeholder: 'error',
+      });
+    });
+  });
+
+  describe('getDocumentedParamNames', () => {
+    it('should read names after simple, nested and optional types', () => {
+      expect(
+        getDocumentedParamNames([
+          'Does things.',
+          '@param {string} name - The name.',
+          '@param {{id: number}} [record] - The record.',
+          '@param {object} options - Options.',
+          '@param {string} options.cwd - Nested property.',
+          '@arg count',
+          '@param {number} [limit=10] - The limit.',
+          '@returns {void}',
+        ])
+      ).toEqual(['name', 'record', 'options', 'count', 'limit']);
+    });
+  });
+
+  describe('getSignatureParamNames', () => {
+    it('should name plain, default, rest and destructured parameters', () => {
+      const node = parseFunction(
+        'function f(this: Window, a, b = 1, { c }, ...rest) {}'
+      );
+      expect(getSignatureParamNames(node)).toEqual(['a', 'b', null, 'rest']);
+    });
+  });
+});
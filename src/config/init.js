@@ -0,0 +1,181 @@
+// src/config/init.js
+
+const path = require('path');
+const fs = require('fs-extra');
+const ts = require('typescript');
+const { DEFAULT_CACHE_DIR } = require('../ai/cache');
+
+// Directories that commonly hold a project's source code, in order of preference.
+const SOURCE_DIR_CANDIDATES = ['src', 'lib', 'app', 'source', 'packages'];
+
+// Test files rarely benefit from generated documentation.
+const DEFAULT_EXCLUDE = ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'];
+
+// Starting point for .aidocignore; rules use .gitignore syntax.
+const AIDOCIGNORE_TEMPLATE = `# Files aidoccli should never document (.gitignore syntax).
+# node_modules, dist, build, coverage and .git are always skipped.
+*.min.js
+*.bundle.js
+vendor/
+${DEFAULT_CACHE_DIR}/
+`;
+
+// Environment variables read by the AI providers.
+const ENV_EXAMPLE_TEMPLATE = `# Copy to .env and fill in the key for the provider you use.
+
+# Provider used when --ai-provider is not given (openai, azure-openai, anthropic,
+# openai-compatible, ollama, lmstudio, llamacpp)
+AIDOCCLI_AI_PROVIDER=openai
+
+# openai
+OPENAI_API_KEY=
+
+# azure-openai
+AZURE_OPENAI_API_KEY=
+AZURE_OPENAI_ENDPOINT=
+AZURE_OPENAI_API_VERSION=
+
+# anthropic
+ANTHROPIC_API_KEY=
+
+# openai-compatible, ollama, lmstudio, llamacpp
+AIDOCCLI_AI_BASE_URL=
+AIDOCCLI_AI_API_KEY=
+`;
+
+/**
+ * Reads the top-level directories named in the `include` list of a tsconfig.json
+ * or jsconfig.json file.
+ * @param {string} configPath - The path of the tsconfig.json or jsconfig.json file.
+ * @returns {string[]} The included directories, e.g. `['src']`; empty if none are listed.
+ */
+function readIncludedDirs(configPath) {
+  // TypeScript's reader tolerates the comments and trailing commas these files often contain
+  const { config } = ts.readConfigFile(configPath, ts.sys.readFile);
+  const include = Array.isArray(config?.include) ? config.include : [];
+  const dirs = include
+    .map((pattern) => pattern.replace(/^\.\//, '').split('/')[0])
+    .filter((dir) => dir && !/[*?{[]/.test(dir) && !path.extname(dir));
+  return [...new Set(dirs)];
+}
+
+/**
+ * Inspects a project to choose sensible defaults for its configuration.
+ * @param {string} cwd - The root directory of the project.
+ * @returns {Promise<object>} The detected project: whether it uses TypeScript,
+ * its tsconfig.json or jsconfig.json (if any), and its source directories.
+ */
+async function detectProject(cwd) {
+  const tsconfig = (await fs.pathExists(path.join(cwd, 'tsconfig.json')))
+    ? 'tsconfig.json'
+    : null;
+  const jsconfig = (await fs.pathExists(path.join(cwd, 'jsconfig.json')))
+    ? 'jsconfig.json'
+    : null;
+
+  let typescript = Boolean(tsconfig);
+  const packageJsonPath = path.join(cwd, 'package.json');
+  if (!typescript && (await fs.pathExists(packageJsonPath))) {
+    const pkg = await fs.readJson(packageJsonPath, { throws: false });
+    typescript = Boolean(
+      pkg?.dependencies?.typescript || pkg?.devDependencies?.typescript
+    );
+  }
+
+  const projectConfig = tsconfig || jsconfig;
+  const sourceDirs = projectConfig
+    ? readIncludedDirs(path.join(cwd, projectConfig))
+    : [];
+  if (sourceDirs.length === 0) {
+    for (const dir of SOURCE_DIR_CANDIDATES) {
+      if (await fs.pathExists(path.join(cwd, dir))) {
+        sourceDirs.push(dir);
+      }
+    }
+  }
+  return { typescript, tsconfig, jsconfig, sourceDirs };
+}
+
+/**
+ * Builds the starter configuration for a detected project.
+ * @param {object} project - The project, as returned by `detectProject`.
+ * @returns {object} The configuration to write.
+ */
+function createStarterConfig(project) {
+  const extensions = project.typescript ? '{js,jsx,ts,tsx}' : '{js,jsx}';
+  const roots = project.sourceDirs.length > 0 ? project.sourceDirs : ['.'];
+  const patterns = roots.map((dir) =>
+    dir === '.' ? `**/*.${extensions}` : `${dir}/**/*.${extensions}`
+  );
+  const exclude = project.typescript
+    ? [...DEFAULT_EXCLUDE, '**/*.d.ts']
+    : DEFAULT_EXCLUDE;
+  return {
+    patterns,
+    exclude,
+    aiProvider: 'openai',
+    aiTemperature: 0.7,
+    concurrency: 4,
+  };
+}
+
+/**
+ * Serializes the starter configuration in the requested format.
+ * @param {object} config - The configuration to write.
+ * @param {string} format - `json` for .aidoccli.json or `js` for .aidoccli.js.
+ * @returns {{fileName: string, contents: string}} The file to write.
+ */
+function formatConfigFile(config, format) {
+  const json = JSON.stringify(config, null, 2);
+  if (format === 'js') {
+    return {
+      fileName: '.aidoccli.js',
+      contents: `// aidoccli configuration\nmodule.exports = ${json};\n`,
+    };
+  }
+  return { fileName: '.aidoccli.json', contents: `${json}\n` };
+}
+
+/**
+ * Scaffolds the aidoccli files for a project: a configuration file, an
+ * `.aidocignore` and an `.env.example`. Existing files are left alone unless
+ * `force` is set.
+ * @param {object} [options] - The init options.
+ * @param {string} [options.cwd] - The root directory of the project.
+ * @param {string} [options.format] - The configuration format, `json` (default) or `js`.
+ * @param {boolean} [options.force] - Overwrite files that already exist.
+ * @returns {Promise<object>} The detected project and, for each file, whether it
+ * was `created`, `overwritten` or `skipped`.
+ */
+async function initProject(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const project = await detectProject(cwd);
+  const configFile = formatConfigFile(
+    createStarterConfig(project),
+    options.format
+  );
+  const files = [
+    configFile,
+    { fileName: '.aidocignore', contents: AIDOCIGNORE_TEMPLATE },
+    { fileName: '.env.example', contents: ENV_EXAMPLE_TEMPLATE },
+  ];
+
+  const results = [];
+  for (const { fileName, contents } of files) {
+    const filePath = path.join(cwd, fileName);
+    const exists = await fs.pathExists(filePath);
+    if (exists && !options.force) {
+      results.push({ fileName, status: 'skipped' });
+      continue;
+    }
+    await fs.writeFile(filePath, contents, 'utf-8');
+    results.push({ fileName, status: exists ? 'overwritten' : 'created' });
+  }
+  return { project, files: results };
+}
+
+module.exports = {
+  detectProject,
+  createStarterConfig,
+  initProject,
+};
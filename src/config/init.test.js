@@ -0,0 +1,99 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { detectProject, createStarterConfig, initProject } = require('./init');
+const { validateConfig } = require('./loader');
+
+describe('project scaffolding', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-init-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('detectProject', () => {
+    it('should detect a JavaScript project from its source directories', async () => {
+      await fs.ensureDir(path.join(tempDir, 'lib'));
+      await fs.writeJson(path.join(tempDir, 'package.json'), { name: 'app' });
+
+      expect(await detectProject(tempDir)).toEqual({
+        typescript: false,
+        tsconfig: null,
+        jsconfig: null,
+        sourceDirs: ['lib'],
+      });
+    });
+
+    it('should read source directories from a commented tsconfig.json', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'tsconfig.json'),
+        '{\n  // compiler settings\n  "include": ["./src/**/*", "types/*.d.ts",],\n}\n'
+      );
+
+      const project = await detectProject(tempDir);
+      expect(project.typescript).toBe(true);
+      expect(project.tsconfig).toBe('tsconfig.json');
+      expect(project.sourceDirs).toEqual(['src', 'types']);
+    });
+  });
+
+  describe('createStarterConfig', () => {
+    it('should produce a valid configuration for the detected project', () => {
+      const config = createStarterConfig({
+        typescript: true,
+        sourceDirs: ['src'],
+      });
+      expect(config.patterns).toEqual(['src/**/*.{js,jsx,ts,tsx}']);
+      expect(config.exclude).toContain('**/*.d.ts');
+      expect(validateConfig(config, '.aidoccli.json')).toBe(config);
+    });
+
+    it('should fall back to the whole project when no source directory is found', () => {
+      const config = createStarterConfig({ typescript: false, sourceDirs: [] });
+      expect(config.patterns).toEqual(['**/*.{js,jsx}']);
+    });
+  });
+
+  describe('initProject', () => {
+    it('should write the configuration, .aidocignore and .env.example', async () => {
+      const { files } = await initProject({ cwd: tempDir });
+
+      expect(files.map((file) => file.status)).toEqual([
+        'created',
+        'created',
+        'created',
+      ]);
+      const config = await fs.readJson(path.join(tempDir, '.aidoccli.json'));
+      expect(config.patterns).toEqual(['**/*.{js,jsx}']);
+      expect(
+        await fs.readFile(path.join(tempDir, '.env.example'), 'utf-8')
+      ).toContain('OPENAI_API_KEY=');
+      expect(await fs.pathExists(path.join(tempDir, '.aidocignore'))).toBe(
+        true
+      );
+    });
+
+    it('should write a JavaScript configuration module when asked', async () => {
+      await initProject({ cwd: tempDir, format: 'js' });
+      const config = require(path.join(tempDir, '.aidoccli.js'));
+      expect(config.aiProvider).toBe('openai');
+    });
+
+    it('should keep existing files unless forced', async () => {
+      const ignorePath = path.join(tempDir, '.aidocignore');
+      await fs.writeFile(ignorePath, 'custom/\n');
+
+      const { files } = await initProject({ cwd: tempDir });
+      expect(files[1]).toEqual({ fileName: '.aidocignore', status: 'skipped' });
+      expect(await fs.readFile(ignorePath, 'utf-8')).toBe('custom/\n');
+
+      const forced = await initProject({ cwd: tempDir, force: true });
+      expect(forced.files[1].status).toBe('overwritten');
+      expect(await fs.readFile(ignorePath, 'utf-8')).not.toBe('custom/\n');
+    });
+  });
+});
@@ -0,0 +1,308 @@
+// src/config/loader.js
+
+const path = require('path');
+const fs = require('fs-extra');
+const ignore = require('ignore');
+const { PROVIDER_NAMES } = require('../ai');
+const { RULE_NAMES, SEVERITIES } = require('../check/rules');
+const { DOC_STYLES } = require('../jsdoc/constants');
+
+// Configuration files looked for in each directory, in order of precedence.
+// A package.json is only used if it has an "aidoccli" key.
+const CONFIG_FILE_NAMES = ['.aidoccli.json', '.aidoccli.js', 'package.json'];
+
+// Key holding the configuration inside package.json.
+const PACKAGE_JSON_KEY = 'aidoccli';
+
+const isString = (value) => typeof value === 'string';
+const isBoolean = (value) => typeof value === 'boolean';
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === 'string');
+const isPositiveInteger = (value) => Number.isInteger(value) && value >= 1;
+
+// Settings accepted in a configuration file, keyed by their CLI option names in camelCase.
+const CONFIG_SCHEMA = {
+  patterns: { check: isStringArray, expected: 'an array of glob patterns' },
+  output: { check: isString, expected: 'a string' },
+  exclude: { check: isStringArray, expected: 'an array of strings' },
+  verbose: { check: isBoolean, expected: 'a boolean' },
+  quiet: { check: isBoolean, expected: 'a boolean' },
+  onlyNew: { check: isBoolean, expected: 'a boolean' },
+  overwriteAllJsdoc: { check: isBoolean, expected: 'a boolean' },
+  keepTags: { check: isStringArray, expected: 'an array of strings' },
+  removeTags: { check: isStringArray, expected: 'an array of strings' },
+  style: {
+    check: (value) => DOC_STYLES.includes(value),
+    expected: `one of ${DOC_STYLES.join(', ')}`,
+  },
+  ai: { check: isBoolean, expected: 'a boolean' },
+  aiProvider: {
+    check: (value) => PROVIDER_NAMES.includes(value),
+    expected: `one of ${PROVIDER_NAMES.join(', ')}`,
+  },
+  aiBaseUrl: { check: isString, expected: 'a string' },
+  aiModel: { check: isString, expected: 'a string' },
+  aiTemperature: {
+    check: (value) => typeof value === 'number' && value >= 0 && value <= 2,
+    expected: 'a number between 0 and 2',
+  },
+  aiTimeout: { check: isPositiveInteger, expected: 'a positive integer' },
+  aiMaxRetries: {
+    check: (value) => Number.isInteger(value) && value >= 0,
+    expected: 'zero or a positive integer',
+  },
+  aiRpm: { check: isPositiveInteger, expected: 'a positive integer' },
+  aiTpm: { check: isPositiveInteger, expected: 'a positive integer' },
+  concurrency: { check: isPositiveInteger, expected: 'a positive integer' },
+  cache: { check: isBoolean, expected: 'a boolean' },
+  cacheDir: { check: isString, expected: 'a string' },
+  minCoverage: {
+    check: (value) => typeof value === 'number' && value >= 0 && value <= 100,
+    expected: 'a number from 0 to 100',
+  },
+  rules: {
+    check: (value) =>
+      value !== null &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      Object.entries(value).every(
+        ([rule, severity]) =>
+          RULE_NAMES.includes(rule) && SEVERITIES.includes(severity)
+      ),
+    expected: `an object mapping rules (${RULE_NAMES.join(', ')}) to ${SEVERITIES.join(', ')}`,
+  },
+};
+
+// Settings that may differ between files and can therefore appear in `overrides`.
+const OVERRIDABLE_KEYS = new Set([
+  'onlyNew',
+  'overwriteAllJsdoc',
+  'keepTags',
+  'removeTags',
+  'style',
+  'ai',
+  'aiProvider',
+  'aiBaseUrl',
+  'aiModel',
+  'aiTemperature',
+  'cache',
+]);
+
+/**
+ * Collects the validation problems of a set of settings.
+ * @param {object} settings - The settings to check.
+ * @param {string} where - Describes where the settings are, for error messages.
+ * @param {Set<string>} [allowedKeys] - Restricts the keys that may appear.
+ * @returns {string[]} The problems found.
+ */
+function validateSettings(settings, where, allowedKeys) {
+  const problems = [];
+  for (const [key, value] of Object.entries(settings)) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) {
+      problems.push(`Unknown option "${key}"${where}.`);
+    } else if (allowedKeys && !allowedKeys.has(key)) {
+      problems.push(`"${key}" cannot be overridden per file${where}.`);
+    } else if (!rule.check(value)) {
+      problems.push(`"${key}"${where} must be ${rule.expected}.`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validates a configuration object, reporting every problem at once.
+ * @param {object} config - The configuration to validate.
+ * @param {string} filePath - The file the configuration was read from.
+ * @returns {object} The configuration, unchanged.
+ * @throws {Error} If the configuration contains unknown options or invalid values.
+ */
+function validateConfig(config, filePath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(
+      `Invalid configuration in ${filePath}: expected an object of options.`
+    );
+  }
+  const { overrides, ...settings } = config;
+  const problems = validateSettings(settings, '');
+  if (overrides !== undefined) {
+    if (!Array.isArray(overrides)) {
+      problems.push('"overrides" must be an array.');
+    } else {
+      overrides.forEach((override, index) => {
+        const where = ` in overrides[${index}]`;
+        const { files, ...overrideSettings } = override || {};
+        if (!isString(files) && !(isStringArray(files) && files.length > 0)) {
+          problems.push(
+            `"files"${where} must be a glob pattern or an array of glob patterns.`
+          );
+        }
+        problems.push(
+          ...validateSettings(overrideSettings, where, OVERRIDABLE_KEYS)
+        );
+      });
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid configuration in ${filePath}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`
+    );
+  }
+  return config;
+}
+
+/**
+ * Reads the configuration stored in a file.
+ * @param {string} filePath - The path of a `.json`, `.js` or `package.json` file.
+ * @returns {Promise<object|undefined>} The configuration, or undefined if a
+ * package.json has no "aidoccli" key.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+async function readConfigFile(filePath) {
+  if (path.extname(filePath) === '.js') {
+    const resolved = path.resolve(filePath);
+    delete require.cache[resolved]; // Pick up edits when loaded more than once
+    try {
+      return require(resolved);
+    } catch (error) {
+      throw new Error(
+        `Failed to load configuration from ${filePath}: ${error.message}`
+      );
+    }
+  }
+  const contents = await fs.readFile(filePath, 'utf-8');
+  let data;
+  try {
+    data = JSON.parse(contents);
+  } catch (error) {
+    throw new Error(
+      `Failed to parse configuration in ${filePath}: ${error.message}`
+    );
+  }
+  return path.basename(filePath) === 'package.json'
+    ? data[PACKAGE_JSON_KEY]
+    : data;
+}
+
+/**
+ * Searches a directory and its ancestors for a configuration file.
+ * @param {string} startDir - The directory to start searching from.
+ * @returns {Promise<{config: object, filePath: string}|null>} The first
+ * configuration found, or null if there is none.
+ */
+async function findConfig(startDir) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    for (const fileName of CONFIG_FILE_NAMES) {
+      const filePath = path.join(dir, fileName);
+      if (await fs.pathExists(filePath)) {
+        const config = await readConfigFile(filePath);
+        if (config !== undefined) {
+          return { config, filePath };
+        }
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Loads and validates the project configuration.
+ * @param {object} [options] - The loading options.
+ * @param {string} [options.configPath] - An explicit configuration file (from `--config`).
+ * @param {string} [options.cwd] - The directory to start searching from.
+ * @returns {Promise<{config: object, filePath: string|null}>} The configuration and
+ * the file it came from; an empty configuration if no file was found.
+ * @throws {Error} If the explicit file is missing or any configuration is invalid.
+ */
+async function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  let found;
+  if (options.configPath) {
+    const filePath = path.resolve(cwd, options.configPath);
+    if (!(await fs.pathExists(filePath))) {
+      throw new Error(`Configuration file not found: ${options.configPath}`);
+    }
+    const config = await readConfigFile(filePath);
+    if (config === undefined) {
+      throw new Error(
+        `${options.configPath} has no "${PACKAGE_JSON_KEY}" configuration.`
+      );
+    }
+    found = { config, filePath };
+  } else {
+    found = await findConfig(cwd);
+  }
+  if (!found) {
+    return { config: {}, filePath: null };
+  }
+  validateConfig(found.config, found.filePath);
+  return found;
+}
+
+/**
+ * Merges configuration into the CLI options. Options given on the command line
+ * take precedence over the configuration file, which takes precedence over defaults.
+ * @param {object} options - The CLI options object, updated in place.
+ * @param {object} config - The validated configuration.
+ * @param {string|null} filePath - The file the configuration came from.
+ * @param {(key: string) => boolean} isSetOnCommandLine - Whether an option was given explicitly.
+ * @returns {object} The updated options.
+ */
+function mergeConfigIntoOptions(options, config, filePath, isSetOnCommandLine) {
+  const { overrides, ...settings } = config;
+  for (const [key, value] of Object.entries(settings)) {
+    if (!isSetOnCommandLine(key)) {
+      options[key] = value;
+    }
+  }
+  if (filePath) {
+    options.configFile = filePath;
+  }
+  if (overrides?.length) {
+    options.overrides = overrides;
+  }
+  return options;
+}
+
+/**
+ * Resolves the options for a single file by applying every matching override in order.
+ * Override patterns use .gitignore syntax, relative to the configuration file.
+ * @param {object} options - The merged CLI options.
+ * @param {string} filePath - The path of the file being processed.
+ * @returns {object} The options for the file; the original object when no override applies.
+ */
+function resolveFileOptions(options, filePath) {
+  if (!options.overrides?.length) {
+    return options;
+  }
+  const baseDir = options.configFile
+    ? path.dirname(options.configFile)
+    : process.cwd();
+  const relativePath = path
+    .relative(baseDir, path.resolve(filePath))
+    .split(path.sep)
+    .join('/');
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    return options; // Overrides only apply below the configuration file
+  }
+  let fileOptions = options;
+  for (const { files, ...settings } of options.overrides) {
+    if (ignore().add(files).ignores(relativePath)) {
+      fileOptions = { ...fileOptions, ...settings };
+    }
+  }
+  return fileOptions;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  validateConfig,
+  loadConfig,
+  mergeConfigIntoOptions,
+  resolveFileOptions,
+};
@@ -0,0 +1,156 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  validateConfig,
+  loadConfig,
+  mergeConfigIntoOptions,
+  resolveFileOptions,
+} = require('./loader');
+
+describe('configuration loader', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  describe('loadConfig', () => {
+    it('should find .aidoccli.json in a parent directory', async () => {
+      await fs.writeJson(path.join(tempDir, '.aidoccli.json'), {
+        aiModel: 'gpt-4o-mini',
+      });
+      const nested = path.join(tempDir, 'packages', 'app');
+      await fs.ensureDir(nested);
+
+      const { config, filePath } = await loadConfig({ cwd: nested });
+      expect(config).toEqual({ aiModel: 'gpt-4o-mini' });
+      expect(filePath).toBe(path.join(tempDir, '.aidoccli.json'));
+    });
+
+    it('should load .aidoccli.js modules', async () => {
+      await fs.writeFile(
+        path.join(tempDir, '.aidoccli.js'),
+        'module.exports = { concurrency: 2 };'
+      );
+      const { config } = await loadConfig({ cwd: tempDir });
+      expect(config).toEqual({ concurrency: 2 });
+    });
+
+    it('should read the "aidoccli" key of package.json and skip packages without it', async () => {
+      await fs.writeJson(path.join(tempDir, 'package.json'), {
+        name: 'root',
+        aidoccli: { onlyNew: true },
+      });
+      const nested = path.join(tempDir, 'lib');
+      await fs.ensureDir(nested);
+      await fs.writeJson(path.join(nested, 'package.json'), { name: 'lib' });
+
+      const { config, filePath } = await loadConfig({ cwd: nested });
+      expect(config).toEqual({ onlyNew: true });
+      expect(filePath).toBe(path.join(tempDir, 'package.json'));
+    });
+
+    it('should load an explicit --config file', async () => {
+      await fs.writeJson(path.join(tempDir, 'docs.json'), { quiet: true });
+      const { config } = await loadConfig({
+        configPath: 'docs.json',
+        cwd: tempDir,
+      });
+      expect(config).toEqual({ quiet: true });
+    });
+
+    it('should fail clearly when the explicit file is missing or malformed', async () => {
+      await expect(
+        loadConfig({ configPath: 'missing.json', cwd: tempDir })
+      ).rejects.toThrow('Configuration file not found: missing.json');
+
+      await fs.writeFile(path.join(tempDir, 'bad.json'), '{ "quiet": ');
+      await expect(
+        loadConfig({ configPath: 'bad.json', cwd: tempDir })
+      ).rejects.toThrow(/Failed to parse configuration in .*bad\.json/);
+    });
+  });
+
+  describe('validateConfig', () => {
+    it('should accept valid settings and overrides', () => {
+      const config = {
+        aiProvider: 'anthropic',
+        aiTemperature: 0.2,
+        exclude: ['**/*.test.js'],
+        overrides: [
+          { files: 'src/core/**', aiModel: 'gpt-4o' },
+          { files: 'lib/**', style: 'tsdoc' },
+        ],
+      };
+      expect(validateConfig(config, '.aidoccli.json')).toBe(config);
+    });
+
+    it('should report every problem at once', () => {
+      const config = {
+        aiModle: 'gpt-4o',
+        aiProvider: 'skynet',
+        concurrency: 0,
+        style: 'javadoc',
+        overrides: [{ aiModel: 'x' }, { files: ['lib/**'], concurrency: 2 }],
+      };
+      let message;
+      try {
+        validateConfig(config, '.aidoccli.json');
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).toContain('Invalid configuration in .aidoccli.json:');
+      expect(message).toContain('Unknown option "aiModle".');
+      expect(message).toContain('"aiProvider" must be one of openai');
+      expect(message).toContain('"concurrency" must be a positive integer.');
+      expect(message).toContain('"style" must be one of auto, jsdoc, tsdoc');
+      expect(message).toContain('"files" in overrides[0] must be');
+      expect(message).toContain(
+        '"concurrency" cannot be overridden per file in overrides[1].'
+      );
+    });
+  });
+
+  describe('mergeConfigIntoOptions', () => {
+    it('should let command-line options win over the configuration', () => {
+      const options = { aiModel: 'cli-model', aiTemperature: 0.7 };
+      mergeConfigIntoOptions(
+        options,
+        { aiModel: 'config-model', aiTemperature: 0.1 },
+        '/project/.aidoccli.json',
+        (key) => key === 'aiModel'
+      );
+      expect(options).toEqual({
+        aiModel: 'cli-model',
+        aiTemperature: 0.1,
+        configFile: '/project/.aidoccli.json',
+      });
+    });
+  });
+
+  describe('resolveFileOptions', () => {
+    const options = {
+      aiModel: 'gpt-4o-mini',
+      configFile: path.join(process.cwd(), '.aidoccli.json'),
+      overrides: [
+        { files: 'src/core/**', aiModel: 'gpt-4o' },
+        { files: ['*.test.js'], ai: false },
+      ],
+    };
+
+    it('should apply matching overrides in order', () => {
+      expect(resolveFileOptions(options, 'src/core/a.test.js')).toEqual(
+        expect.objectContaining({ aiModel: 'gpt-4o', ai: false })
+      );
+    });
+
+    it('should return the original options when nothing matches', () => {
+      expect(resolveFileOptions(options, 'src/util.js')).toBe(options);
+    });
+  });
+});
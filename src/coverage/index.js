@@ -0,0 +1,94 @@
+// src/coverage/index.js
+
+const { collectDocumentationTargets } = require('../jsdocGenerator');
+const {
+  CLASS_METHOD_TYPES,
+  RULE_NAMES,
+  checkTarget,
+  isDocumentationRequired,
+} = require('../check/rules');
+const { PLACEHOLDER_DESCRIPTIONS } = require('../jsdoc/constants');
+
+// Every rule is enforced when deciding whether a docblock is complete.
+const COMPLETE_DOCS_SEVERITIES = Object.fromEntries(
+  RULE_NAMES.map((rule) => [rule, 'error'])
+);
+
+/**
+ * Computes a percentage, treating an empty set as fully covered.
+ * @param {number} documented - The number of documented symbols.
+ * @param {number} total - The total number of symbols.
+ * @returns {number} The percentage, rounded to one decimal place.
+ */
+function toPercentage(documented, total) {
+  return total === 0 ? 100 : Math.round((documented / total) * 1000) / 10;
+}
+
+/**
+ * Describes the kind of a documentation target.
+ * @param {object} target - The documentation target.
+ * @returns {string} `class`, `property`, `method` or `function`.
+ */
+function getTargetKind(target) {
+  if (target.kind === 'class' || target.kind === 'property') return target.kind;
+  return CLASS_METHOD_TYPES.has(target.node.type) ? 'method' : 'function';
+}
+
+/**
+ * Measures the documentation coverage of the matching files. A symbol counts as
+ * documented when its docblock exists and passes every `check` rule.
+ * @param {string[]} globPatterns - The glob patterns of the files to measure.
+ * @param {object} options - The CLI options object.
+ * @returns {Promise<object>} Per-file results, each listing its incomplete symbols,
+ * and the overall totals.
+ */
+async function computeCoverage(globPatterns, options) {
+  const { checker, parsedFiles } = await collectDocumentationTargets(
+    globPatterns,
+    options
+  );
+  const files = parsedFiles.map(({ filePath, targets, constants }) => {
+    const symbols = [
+      ...targets.filter(isDocumentationRequired).map((target) => ({
+        name: target.symbol.getName(),
+        kind: getTargetKind(target),
+        line: target.line,
+        documented:
+          Boolean(target.jsdocComment) &&
+          checkTarget(target, checker, COMPLETE_DOCS_SEVERITIES).length === 0,
+      })),
+      ...constants.map((constant) => ({
+        name: constant.name,
+        kind: 'constant',
+        line: constant.line,
+        documented:
+          Boolean(constant.jsdocComment) &&
+          !PLACEHOLDER_DESCRIPTIONS.some((text) =>
+            constant.jsdocComment.join('\n').includes(text)
+          ),
+      })),
+    ].sort((a, b) => a.line - b.line);
+    const documented = symbols.filter((symbol) => symbol.documented).length;
+    return {
+      filePath,
+      total: symbols.length,
+      documented,
+      percentage: toPercentage(documented, symbols.length),
+      undocumented: symbols
+        .filter((symbol) => !symbol.documented)
+        .map(({ name, kind, line }) => ({ name, kind, line })),
+    };
+  });
+  const total = files.reduce((sum, file) => sum + file.total, 0);
+  const documented = files.reduce((sum, file) => sum + file.documented, 0);
+  return {
+    files,
+    total,
+    documented,
+    percentage: toPercentage(documented, total),
+  };
+}
+
+module.exports = {
+  computeCoverage,
+};
@@ -0,0 +1,157 @@
+// Mock the AI layer so the generator can be loaded without credentials
+jest.mock('../ai', () => ({
+  ...jest.requireActual('../ai'),
+  callAI: jest.fn(),
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { computeCoverage } = require('./index');
+
+describe('computeCoverage', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-coverage-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  /**
+   * Writes files into the temporary directory and measures their coverage.
+   * @param {object} files - File contents keyed by file name.
+   * @param {object} [options] - The coverage options.
+   * @returns {Promise<object>} The coverage result.
+   */
+  async function measure(files, options = {}) {
+    for (const [name, code] of Object.entries(files)) {
+      await fs.writeFile(path.join(tempDir, name), code);
+    }
+    const pattern = path.join(tempDir, '*.js').split(path.sep).join('/');
+    return computeCoverage([pattern], options);
+  }
+
+  it('should count functions, classes, methods and exported constants', async () => {
+    const coverage = await measure({
+      'a.js': [
+        '/** The default port. */',
+        'export const PORT = 80;',
+        'export const HOST = "localhost";',
+        '',
+        '/**',
+        ' * Adds two numbers.',
+        ' * @param {number} a - The first number.',
+        ' * @param {number} b - The second number.',
+        ' * @returns {number} The sum.',
+        ' */',
+        'export function add(a, b) {',
+        '  return [a, b].reduce((sum, n) => sum + n, 0);',
+        '}',
+        '',
+        'class Store {',
+        '  get(key) {',
+        '    return key;',
+        '  }',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    expect(coverage.total).toBe(5);
+    expect(coverage.documented).toBe(2);
+    expect(coverage.percentage).toBe(40);
+    expect(coverage.files[0].undocumented).toEqual([
+      { name: 'HOST', kind: 'constant', line: 3 },
+      { name: 'Store', kind: 'class', line: 15 },
+      { name: 'get', kind: 'method', line: 16 },
+    ]);
+  });
+
+  it('should not count local bindings exported under a name as constants', async () => {
+    const coverage = await measure({
+      'd.js': [
+        '/** Does nothing. */',
+        'function noop() {}',
+        'const program = {};',
+        '',
+        'exports.noop = noop;',
+        'module.exports.program = program;',
+        'exports.VERSION = "1.0.0";',
+        '',
+      ].join('\n'),
+    });
+
+    expect(coverage.total).toBe(2);
+    expect(coverage.files[0].undocumented).toEqual([
+      { name: 'VERSION', kind: 'constant', line: 7 },
+    ]);
+  });
+
+  it('should count the members of an exported object literal instead of the object', async () => {
+    const coverage = await measure({
+      'e.js': [
+        'module.exports.helpers = {',
+        '  /** Does nothing. */',
+        '  foo() {},',
+        '  bar: () => {},',
+        '};',
+        'export const settings = { retries: 3 };',
+        '',
+      ].join('\n'),
+    });
+
+    expect(coverage.total).toBe(3);
+    expect(coverage.files[0].undocumented).toEqual([
+      { name: 'bar', kind: 'function', line: 4 },
+      { name: 'settings', kind: 'constant', line: 6 },
+    ]);
+  });
+
+  it('should count documented nodes when onlyNew is configured', async () => {
+    const coverage = await measure(
+      {
+        'c.js': [
+          '/** Does nothing. */',
+          'function noop() {}',
+          'function a() {}',
+          'function b() {}',
+          '',
+        ].join('\n'),
+      },
+      { onlyNew: true }
+    );
+
+    expect(coverage.total).toBe(3);
+    expect(coverage.documented).toBe(1);
+  });
+
+  it('should not count incomplete docblocks as documented', async () => {
+    const coverage = await measure({
+      'b.js': [
+        '/**',
+        ' * Description placeholder.',
+        ' */',
+        'function noop() {}',
+        '',
+        '/**',
+        ' * Doubles a number.',
+        ' */',
+        'function double(n) {',
+        '  return n * 2;',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    expect(coverage.documented).toBe(0);
+    expect(coverage.total).toBe(2);
+  });
+
+  it('should report full coverage when there is nothing to document', async () => {
+    const coverage = await measure({ 'empty.js': 'console.log("hi");\n' });
+    expect(coverage.percentage).toBe(100);
+  });
+});
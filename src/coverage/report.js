@@ -0,0 +1,148 @@
+// src/coverage/report.js
+
+const { escapeHtml } = require('../utils/html');
+
+// Output formats supported by the coverage command.
+const COVERAGE_FORMATS = ['text', 'json', 'html'];
+
+/**
+ * Formats a percentage for display.
+ * @param {number} percentage - The percentage.
+ * @returns {string} The percentage with one decimal place, e.g. `87.5%`.
+ */
+function formatPercentage(percentage) {
+  return `${percentage.toFixed(1)}%`;
+}
+
+/**
+ * Formats a coverage result as a plain-text table followed by the incomplete symbols.
+ * @param {object} coverage - The result of `computeCoverage`.
+ * @returns {string} The report.
+ */
+function formatCoverageText(coverage) {
+  const rows = [
+    ['File', 'Documented', 'Coverage'],
+    ...coverage.files.map((file) => [
+      file.filePath,
+      `${file.documented}/${file.total}`,
+      formatPercentage(file.percentage),
+    ]),
+    [
+      'All files',
+      `${coverage.documented}/${coverage.total}`,
+      formatPercentage(coverage.percentage),
+    ],
+  ];
+  const widths = [0, 1, 2].map((column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  const lines = rows.map(
+    ([file, documented, percentage]) =>
+      `${file.padEnd(widths[0])}  ${documented.padStart(widths[1])}  ${percentage.padStart(widths[2])}`
+  );
+  const separator = '-'.repeat(lines[0].length);
+  lines.splice(1, 0, separator);
+  lines.splice(lines.length - 1, 0, separator);
+
+  const incomplete = coverage.files.flatMap((file) =>
+    file.undocumented.map(
+      (symbol) =>
+        `  ${file.filePath}:${symbol.line}  ${symbol.kind} ${symbol.name}`
+    )
+  );
+  if (incomplete.length > 0) {
+    lines.push('', 'Missing or incomplete JSDoc:', ...incomplete);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats a coverage result as JSON, for tracking the metric over time.
+ * @param {object} coverage - The result of `computeCoverage`.
+ * @returns {string} The pretty-printed JSON.
+ */
+function formatCoverageJSON(coverage) {
+  return JSON.stringify(coverage, null, 2);
+}
+
+/**
+ * Formats a coverage result as a self-contained HTML page.
+ * @param {object} coverage - The result of `computeCoverage`.
+ * @returns {string} The HTML document.
+ */
+function formatCoverageHtml(coverage) {
+  const level = (percentage) =>
+    percentage >= 80 ? 'high' : percentage >= 50 ? 'medium' : 'low';
+  const fileRows = coverage.files
+    .map(
+      (file) => `      <tr class="${level(file.percentage)}">
+        <td>${escapeHtml(file.filePath)}${
+          file.undocumented.length > 0
+            ? `<ul>${file.undocumented
+                .map(
+                  (symbol) =>
+                    `<li>${escapeHtml(`${symbol.kind} ${symbol.name}`)} <span>line ${symbol.line}</span></li>`
+                )
+                .join('')}</ul>`
+            : ''
+        }</td>
+        <td>${file.documented}/${file.total}</td>
+        <td>${formatPercentage(file.percentage)}</td>
+      </tr>`
+    )
+    .join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Documentation coverage: ${formatPercentage(coverage.percentage)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.5rem; text-align: left; vertical-align: top; }
+    td:nth-child(n + 2), th:nth-child(n + 2) { text-align: right; white-space: nowrap; }
+    tr.high td:last-child { color: #1a7f37; }
+    tr.medium td:last-child { color: #9a6700; }
+    tr.low td:last-child { color: #cf222e; }
+    ul { margin: 0.25rem 0 0; padding-left: 1.25rem; font-size: 0.875rem; }
+    li span { color: #777; }
+    tfoot td { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Documentation coverage</h1>
+  <p>${coverage.documented} of ${coverage.total} symbols have complete JSDoc (${formatPercentage(coverage.percentage)}).</p>
+  <table>
+    <thead>
+      <tr><th>File</th><th>Documented</th><th>Coverage</th></tr>
+    </thead>
+    <tbody>
+${fileRows}
+    </tbody>
+    <tfoot>
+      <tr class="${level(coverage.percentage)}"><td>All files</td><td>${coverage.documented}/${coverage.total}</td><td>${formatPercentage(coverage.percentage)}</td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Formats a coverage result in the requested format.
+ * @param {object} coverage - The result of `computeCoverage`.
+ * @param {string} format - One of `text`, `json` or `html`.
+ * @returns {string} The report.
+ */
+function formatCoverage(coverage, format) {
+  if (format === 'json') return formatCoverageJSON(coverage);
+  if (format === 'html') return formatCoverageHtml(coverage);
+  return formatCoverageText(coverage);
+}
+
+module.exports = {
+  COVERAGE_FORMATS,
+  formatCoverageText,
+  formatCoverageHtml,
+  formatCoverage,
+};
@@ -0,0 +1,53 @@
+const { formatCoverageText, formatCoverage } = require('./report');
+
+const coverage = {
+  files: [
+    {
+      filePath: 'src/a.js',
+      total: 4,
+      documented: 3,
+      percentage: 75,
+      undocumented: [{ name: 'render<T>', kind: 'function', line: 12 }],
+    },
+    {
+      filePath: 'src/b.js',
+      total: 1,
+      documented: 1,
+      percentage: 100,
+      undocumented: [],
+    },
+  ],
+  total: 5,
+  documented: 4,
+  percentage: 80,
+};
+
+describe('coverage reports', () => {
+  it('should format a text table with totals and incomplete symbols', () => {
+    expect(formatCoverageText(coverage)).toBe(
+      [
+        'File       Documented  Coverage',
+        '-------------------------------',
+        'src/a.js          3/4     75.0%',
+        'src/b.js          1/1    100.0%',
+        '-------------------------------',
+        'All files         4/5     80.0%',
+        '',
+        'Missing or incomplete JSDoc:',
+        '  src/a.js:12  function render<T>',
+      ].join('\n')
+    );
+  });
+
+  it('should format JSON that round-trips', () => {
+    expect(JSON.parse(formatCoverage(coverage, 'json'))).toEqual(coverage);
+  });
+
+  it('should format an HTML page with escaped names', () => {
+    const html = formatCoverage(coverage, 'html');
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Documentation coverage: 80.0%</title>');
+    expect(html).toContain('function render&lt;T&gt;');
+    expect(html).not.toContain('render<T>');
+  });
+});
@@ -0,0 +1,43 @@
+// src/docs/anchors.js
+
+/**
+ * Returns the qualified name of a symbol. Class members are qualified with their
+ * class, using `#` for instance members and `.` for static ones; members of an
+ * object (a `namespace`) are always qualified with `.`.
+ * @param {object} symbol - The symbol from the API reference.
+ * @param {object} [owner] - The class or object the symbol belongs to.
+ * @returns {string} The qualified name, e.g. `Store#get` or `helpers.trim`.
+ */
+function getQualifiedName(symbol, owner) {
+  if (!owner) return symbol.name;
+  const separator = owner.kind !== 'namespace' && !symbol.static ? '#' : '.';
+  return `${owner.name}${separator}${symbol.name}`;
+}
+
+/**
+ * Creates a function that assigns the anchors of a page, in page order, the way
+ * GitHub numbers duplicate headings: the second `foo` becomes `foo-1`, the third
+ * `foo-2`.
+ * @param {function(string): string} toAnchor - Converts a heading into its anchor.
+ * @returns {function(string): string} Returns the unique anchor of the next
+ * heading on the page.
+ */
+function createAnchorGenerator(toAnchor) {
+  const occurrences = new Map();
+  return (text) => {
+    const base = toAnchor(text);
+    let anchor = base;
+    while (occurrences.has(anchor)) {
+      const count = occurrences.get(base) + 1;
+      occurrences.set(base, count);
+      anchor = `${base}-${count}`;
+    }
+    occurrences.set(anchor, 0);
+    return anchor;
+  };
+}
+
+module.exports = {
+  getQualifiedName,
+  createAnchorGenerator,
+};
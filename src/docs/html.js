@@ -0,0 +1,471 @@
+// src/docs/html.js
+
+const path = require('path');
+const { escapeHtml } = require('../utils/html');
+const { getQualifiedName, createAnchorGenerator } = require('./anchors');
+
+// Name of the search index written next to the index page.
+const SEARCH_INDEX_FILE = 'search-index.json';
+
+// Styles inlined into every page, so the site needs no other assets.
+const STYLES = `
+    body { font-family: system-ui, sans-serif; line-height: 1.5; margin: 0; color: #222; }
+    header { background: #24292f; padding: 0.75rem 2rem; }
+    header a { color: #fff; font-weight: bold; text-decoration: none; }
+    main { max-width: 60rem; margin: 0 auto; padding: 1rem 2rem 3rem; }
+    a { color: #0969da; }
+    code, pre { font-family: ui-monospace, monospace; font-size: 0.875rem; }
+    pre { background: #f6f8fa; border-radius: 6px; overflow-x: auto; padding: 0.75rem 1rem; }
+    :not(pre) > code { background: #f6f8fa; border-radius: 4px; padding: 0.1rem 0.3rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 0.4rem 0.5rem; text-align: left; vertical-align: top; }
+    section { border-top: 1px solid #ddd; margin-top: 2rem; }
+    section section { border-top: none; margin-left: 1rem; }
+    .kind { color: #777; font-size: 0.75rem; font-weight: normal; margin-left: 0.5rem; text-transform: uppercase; }
+    .deprecated { border-left: 4px solid #cf222e; padding-left: 0.75rem; }
+    #search { box-sizing: border-box; font-size: 1rem; padding: 0.5rem; width: 100%; }
+    #results li span { color: #777; }`;
+
+// Filters the embedded search index as the user types.
+const SEARCH_SCRIPT = `
+    const entries = JSON.parse(document.getElementById('search-data').textContent);
+    const results = document.getElementById('results');
+    document.getElementById('search').addEventListener('input', (event) => {
+      const query = event.target.value.trim().toLowerCase();
+      results.replaceChildren(
+        ...entries
+          .filter((entry) => query && entry.name.toLowerCase().includes(query))
+          .slice(0, 50)
+          .map((entry) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = entry.url;
+            link.textContent = entry.name;
+            const details = document.createElement('span');
+            details.textContent = \` \${entry.kind} in \${entry.module}\`;
+            item.append(link, details);
+            return item;
+          })
+      );
+    });`;
+
+/**
+ * Converts a qualified symbol name into an element id.
+ * @param {string} qualifiedName - The qualified name, e.g. `Store#get`.
+ * @returns {string} The id, e.g. `Store-get`.
+ */
+function getAnchor(qualifiedName) {
+  return qualifiedName.replace(/[^\w$-]+/g, '-');
+}
+
+/**
+ * Assigns the element id of every symbol and member on a module page, in page
+ * order. Ids stay unique even when names repeat or convert to the same id, such
+ * as `a.b` and `a-b`: the second is numbered, e.g. `a-b-1`.
+ * @param {object} module - The module from the API reference.
+ * @returns {Map<object, {qualifiedName: string, anchor: string}>} The qualified
+ * name and id of each symbol.
+ */
+function getModuleAnchors(module) {
+  const anchorFor = createAnchorGenerator(getAnchor);
+  const anchors = new Map();
+  const visit = (symbol, owner) => {
+    const qualifiedName = getQualifiedName(symbol, owner);
+    anchors.set(symbol, { qualifiedName, anchor: anchorFor(qualifiedName) });
+    for (const member of symbol.members || []) visit(member, symbol);
+  };
+  for (const symbol of module.symbols) visit(symbol);
+  return anchors;
+}
+
+/**
+ * Lists every symbol and member of the reference with the page that documents it.
+ * @param {Array<{module: object, pagePath: string}>} pages - The module pages.
+ * @returns {Array<object>} The qualified name, kind, module, page path and anchor
+ * of each symbol, in page order.
+ */
+function listSymbols(pages) {
+  return pages.flatMap(({ module, pagePath }) =>
+    Array.from(
+      getModuleAnchors(module),
+      ([symbol, { qualifiedName, anchor }]) => ({
+        qualifiedName,
+        kind: symbol.kind,
+        description: symbol.description,
+        module: module.name,
+        pagePath,
+        anchor,
+      })
+    )
+  );
+}
+
+/**
+ * Creates a function that resolves symbol names to links relative to a page.
+ * The first symbol with a given name wins.
+ * @param {Array<{module: object, pagePath: string}>} pages - The module pages.
+ * @param {string} fromPagePath - The page the links appear on.
+ * @returns {function(string): (string|undefined)} Returns the URL of a symbol, if
+ * it is documented anywhere in the reference.
+ */
+function createLinkResolver(pages, fromPagePath) {
+  const urls = new Map();
+  for (const entry of listSymbols(pages)) {
+    if (urls.has(entry.qualifiedName)) continue;
+    const relativePath =
+      entry.pagePath === fromPagePath
+        ? ''
+        : path.posix.relative(path.posix.dirname(fromPagePath), entry.pagePath);
+    urls.set(entry.qualifiedName, `${relativePath}#${entry.anchor}`);
+  }
+  return (name) => urls.get(name);
+}
+
+/**
+ * Links the names of documented symbols in a type expression. A qualified name
+ * such as `Store#find` links to the member, or else to its class.
+ * @param {string} type - The type expression.
+ * @param {function(string): (string|undefined)} resolve - Resolves symbol names to URLs.
+ * @returns {string} The HTML.
+ */
+function linkTypeNames(type, resolve) {
+  return type
+    .split(/([A-Za-z_$][\w$]*(?:[#.][A-Za-z_$][\w$]*)*)/)
+    .map((part, index) => {
+      const isName = index % 2 === 1;
+      const url = isName && resolve(part);
+      if (url) return `<a href="${escapeHtml(url)}">${escapeHtml(part)}</a>`;
+      if (isName && /[#.]/.test(part)) {
+        return part
+          .split(/([#.])/)
+          .map((segment) => linkTypeNames(segment, resolve))
+          .join('');
+      }
+      return escapeHtml(part);
+    })
+    .join('');
+}
+
+/**
+ * Renders a type expression as code, linking the names of documented symbols.
+ * @param {string} type - The type, without braces.
+ * @param {function(string): (string|undefined)} resolve - Resolves symbol names to URLs.
+ * @returns {string} The HTML.
+ */
+function renderType(type, resolve) {
+  return `<code>${linkTypeNames(type, resolve)}</code>`;
+}
+
+/**
+ * Renders an inline `{@link target}`, `{@link target|label}` or
+ * `{@link target label}` tag.
+ * @param {string} content - The text between `{@link` and `}`.
+ * @param {function(string): (string|undefined)} resolve - Resolves symbol names to URLs.
+ * @returns {string} The HTML.
+ */
+function renderInlineLink(content, resolve) {
+  const match = content.trim().match(/^(\S+?)(?:\s*\|\s*|\s+|$)(.*)$/);
+  if (!match) return '';
+  const [, target, label] = match;
+  const text = escapeHtml(label || target);
+  const url = /^https?:\/\//.test(target) ? target : resolve(target);
+  return url
+    ? `<a href="${escapeHtml(url)}">${text}</a>`
+    : `<code>${text}</code>`;
+}
+
+/**
+ * Renders description text: paragraphs, inline code and `{@link}` tags.
+ * @param {string} text - The description.
+ * @param {function(string): (string|undefined)} resolve - Resolves symbol names to URLs.
+ * @returns {string} The HTML, one `<p>` per paragraph.
+ */
+function renderText(text, resolve) {
+  return text
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => {
+      const html = paragraph
+        .trim()
+        .split(/(\{@link\s[^}]*\}|`[^`]+`)/)
+        .map((part) => {
+          if (part.startsWith('{@link')) {
+            return renderInlineLink(part.slice(6, -1), resolve);
+          }
+          if (part.startsWith('`') && part.endsWith('`') && part.length > 1) {
+            return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+          }
+          return escapeHtml(part);
+        })
+        .join('');
+      return `<p>${html}</p>`;
+    })
+    .join('\n');
+}
+
+/**
+ * Renders inline text that is not split into paragraphs, such as a table cell.
+ * @param {string} text - The text.
+ * @param {function(string): (string|undefined)} resolve - Resolves symbol names to URLs.
+ * @returns {string} The HTML.
+ */
+function renderInlineText(text, resolve) {
+  return renderText(text, resolve)
+    .replace(/<\/p>\n<p>/g, ' ')
+    .replace(/^<p>|<\/p>$/g, '');
+}
+
+/**
+ * Renders the documentation of a single symbol and, for classes and objects, its
+ * members.
+ * @param {object} symbol - The symbol from the API reference.
+ * @param {object} context - Rendering settings.
+ * @param {number} context.level - The heading level of the symbol.
+ * @param {function(string): (string|undefined)} context.resolve - Resolves symbol
+ * names to URLs.
+ * @param {Map<object, object>} context.anchors - The qualified name and id of each
+ * symbol on the page, from `getModuleAnchors`.
+ * @returns {string} The HTML section.
+ */
+function renderSymbol(symbol, context) {
+  const { level, resolve, anchors } = context;
+  const { qualifiedName, anchor } = anchors.get(symbol);
+  const subheading = `h${level + 1}`;
+  const parts = [
+    `<section id="${escapeHtml(anchor)}">`,
+    `<h${level}>${escapeHtml(qualifiedName)}<span class="kind">${symbol.kind}</span></h${level}>`,
+  ];
+  if (symbol.signature) {
+    parts.push(`<pre><code>${escapeHtml(symbol.signature)}</code></pre>`);
+  }
+  if (symbol.deprecated !== undefined) {
+    parts.push(
+      `<div class="deprecated"><p><strong>Deprecated.</strong> ${renderInlineText(symbol.deprecated, resolve)}</p></div>`
+    );
+  }
+  if (symbol.description) {
+    parts.push(renderText(symbol.description, resolve));
+  }
+  if (symbol.params.length > 0) {
+    const rows = symbol.params.map((param) => {
+      const notes = [
+        param.optional ? '<em>Optional.</em>' : '',
+        param.defaultValue !== undefined
+          ? `Defaults to <code>${escapeHtml(param.defaultValue)}</code>.`
+          : '',
+      ].filter(Boolean);
+      return `<tr><td><code>${escapeHtml(param.name)}</code></td><td>${param.type ? renderType(param.type, resolve) : ''}</td><td>${[renderInlineText(param.description || '', resolve), ...notes].filter(Boolean).join(' ')}</td></tr>`;
+    });
+    parts.push(
+      `<${subheading}>Parameters</${subheading}>`,
+      '<table>',
+      '<thead><tr><th>Name</th><th>Type</th><th>Description</th></tr></thead>',
+      `<tbody>\n${rows.join('\n')}\n</tbody>`,
+      '</table>'
+    );
+  }
+  if (symbol.yields) {
+    parts.push(
+      `<${subheading}>Yields</${subheading}>`,
+      `<p>${[
+        symbol.yields.type && renderType(symbol.yields.type, resolve),
+        renderInlineText(symbol.yields.description || '', resolve),
+      ]
+        .filter(Boolean)
+        .join(' — ')}</p>`
+    );
+  }
+  if (symbol.returns) {
+    parts.push(
+      `<${subheading}>Returns</${subheading}>`,
+      `<p>${[
+        symbol.returns.type && renderType(symbol.returns.type, resolve),
+        renderInlineText(symbol.returns.description || '', resolve),
+      ]
+        .filter(Boolean)
+        .join(' — ')}</p>`
+    );
+  }
+  if (symbol.throws.length > 0) {
+    const items = symbol.throws.map(
+      (error) =>
+        `<li>${[
+          error.type && renderType(error.type, resolve),
+          renderInlineText(error.description || '', resolve),
+        ]
+          .filter(Boolean)
+          .join(' — ')}</li>`
+    );
+    parts.push(
+      `<${subheading}>Throws</${subheading}>`,
+      `<ul>\n${items.join('\n')}\n</ul>`
+    );
+  }
+  for (const example of symbol.examples) {
+    parts.push(
+      `<${subheading}>Example</${subheading}>`,
+      `<pre><code>${escapeHtml(example)}</code></pre>`
+    );
+  }
+  for (const member of symbol.members || []) {
+    parts.push(
+      renderSymbol(member, { ...context, level: Math.min(level + 1, 5) })
+    );
+  }
+  parts.push('</section>');
+  return parts.join('\n');
+}
+
+/**
+ * Wraps page content in a complete HTML document.
+ * @param {object} page - The page settings.
+ * @param {string} page.title - The document title.
+ * @param {string} page.indexUrl - The URL of the index page, relative to this page.
+ * @param {string} page.body - The HTML of the main content.
+ * @param {string} [page.script] - A script to run at the end of the page.
+ * @returns {string} The HTML document.
+ */
+function renderPage({ title, indexUrl, body, script }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+<header><a href="${escapeHtml(indexUrl)}">API Reference</a></header>
+<main>
+${body}
+</main>${script ? `\n<script>${script}\n</script>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders the page of a module.
+ * @param {object} module - The module from the API reference.
+ * @param {object} context - The page being rendered.
+ * @param {string} context.pagePath - The path of this page, relative to the output directory.
+ * @param {Array<{module: object, pagePath: string}>} context.pages - Every module page,
+ * used to link symbols across modules.
+ * @returns {string} The HTML document.
+ */
+function renderModuleHtml(module, { pagePath, pages }) {
+  const resolve = createLinkResolver(pages, pagePath);
+  const anchors = getModuleAnchors(module);
+  const link = (symbol) => {
+    const { qualifiedName, anchor } = anchors.get(symbol);
+    return `<a href="#${escapeHtml(anchor)}">${escapeHtml(qualifiedName)}</a>`;
+  };
+  const toc = module.symbols.map((symbol) => {
+    const members = (symbol.members || []).map(
+      (member) => `<li>${link(member)}</li>`
+    );
+    return `<li>${link(symbol)}${
+      members.length > 0 ? `<ul>${members.join('')}</ul>` : ''
+    }</li>`;
+  });
+  const body = [
+    `<h1>${escapeHtml(module.name)}</h1>`,
+    module.description && renderText(module.description, resolve),
+    toc.length > 0 && `<nav><ul>\n${toc.join('\n')}\n</ul></nav>`,
+    ...module.symbols.map((symbol) =>
+      renderSymbol(symbol, { level: 2, resolve, anchors })
+    ),
+  ].filter(Boolean);
+  return renderPage({
+    title: module.name,
+    indexUrl: path.posix.relative(path.posix.dirname(pagePath), 'index.html'),
+    body: body.join('\n'),
+  });
+}
+
+/**
+ * Returns the first line of a description as plain text, replacing `{@link}` tags
+ * with their labels.
+ * @param {string} description - The description.
+ * @returns {string} The summary.
+ */
+function getSummary(description) {
+  return description
+    .split('\n')[0]
+    .replace(
+      /\{@link\s+([^}|\s]+)(?:\s*\|\s*|\s+)?([^}]*)\}/g,
+      (_, target, label) => (label.trim() ? label.trim() : target)
+    );
+}
+
+/**
+ * Builds the search index: one entry per symbol, with the URL of its section.
+ * @param {Array<{module: object, pagePath: string}>} pages - The module pages.
+ * @returns {Array<object>} The entries, each with a name, kind, module, URL
+ * relative to the output directory and one-line summary.
+ */
+function buildSearchIndex(pages) {
+  return listSymbols(pages).map((entry) => ({
+    name: entry.qualifiedName,
+    kind: entry.kind,
+    module: entry.module,
+    url: `${entry.pagePath}#${entry.anchor}`,
+    summary: getSummary(entry.description),
+  }));
+}
+
+/**
+ * Renders the index page: a search box and a list of every module page. The
+ * search index is embedded so that searching works without a web server.
+ * @param {Array<{module: object, pagePath: string}>} pages - The module pages.
+ * @returns {string} The HTML document.
+ */
+function renderIndexHtml(pages) {
+  const items = pages.map(({ module, pagePath }) => {
+    const summary = getSummary(module.description);
+    return `<li><a href="${escapeHtml(pagePath)}">${escapeHtml(module.name)}</a>${
+      summary ? ` — ${escapeHtml(summary)}` : ''
+    }</li>`;
+  });
+  // `<` is escaped so that no symbol name can close the script element
+  const searchData = JSON.stringify(buildSearchIndex(pages)).replace(
+    /</g,
+    '\\u003c'
+  );
+  return renderPage({
+    title: 'API Reference',
+    indexUrl: 'index.html',
+    body: [
+      '<h1>API Reference</h1>',
+      '<input id="search" type="search" placeholder="Search symbols…" aria-label="Search symbols">',
+      '<ul id="results"></ul>',
+      '<h2>Modules</h2>',
+      `<ul>\n${items.join('\n')}\n</ul>`,
+      `<script id="search-data" type="application/json">${searchData}</script>`,
+    ].join('\n'),
+    script: SEARCH_SCRIPT,
+  });
+}
+
+/**
+ * Renders the files written alongside the pages.
+ * @param {Array<{module: object, pagePath: string}>} pages - The module pages.
+ * @returns {Array<{path: string, content: string}>} The search index, as JSON for
+ * use by other tools.
+ */
+function renderHtmlAssets(pages) {
+  return [
+    {
+      path: SEARCH_INDEX_FILE,
+      content: `${JSON.stringify(buildSearchIndex(pages), null, 2)}\n`,
+    },
+  ];
+}
+
+module.exports = {
+  renderModuleHtml,
+  renderIndexHtml,
+  renderHtmlAssets,
+  buildSearchIndex,
+};
@@ -0,0 +1,194 @@
+const {
+  renderModuleHtml,
+  renderIndexHtml,
+  renderHtmlAssets,
+  buildSearchIndex,
+} = require('./html');
+
+/**
+ * Creates a symbol of the API reference with empty documentation.
+ * @param {object} fields - The fields to set.
+ * @returns {object} The symbol.
+ */
+function symbol(fields) {
+  return {
+    description: '',
+    params: [],
+    throws: [],
+    examples: [],
+    ...fields,
+  };
+}
+
+const pages = [
+  {
+    pagePath: 'src/store.html',
+    module: {
+      name: 'src/store.js',
+      language: 'js',
+      description: 'An in-memory store. See {@link createStore|the factory}.',
+      symbols: [
+        symbol({
+          name: 'Store',
+          kind: 'class',
+          signature: 'class Store',
+          description: 'Holds <values>.',
+          members: [
+            symbol({
+              name: 'find',
+              kind: 'method',
+              static: false,
+              signature: 'find(key)',
+              description: 'Finds a value.',
+            }),
+          ],
+        }),
+        symbol({
+          name: 'createStore',
+          kind: 'function',
+          signature: 'function createStore()',
+          description: 'Creates a {@link Store}.',
+          returns: { type: 'Store', description: 'The `store`.' },
+        }),
+      ],
+    },
+  },
+  {
+    pagePath: 'lib/wrap.html',
+    module: {
+      name: 'lib/wrap.js',
+      language: 'js',
+      description: '',
+      symbols: [
+        symbol({
+          name: 'wrap',
+          kind: 'function',
+          signature: 'function wrap(store)',
+          params: [
+            {
+              name: 'store',
+              type: 'Array<Store>',
+              optional: true,
+              description: 'The stores.',
+            },
+          ],
+          returns: { type: 'Store#find', description: 'The finder.' },
+        }),
+      ],
+    },
+  },
+];
+
+describe('HTML API reference', () => {
+  it('should render a module page with escaped content and local links', () => {
+    const html = renderModuleHtml(pages[0].module, {
+      pagePath: 'src/store.html',
+      pages,
+    });
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<header><a href="../index.html">');
+    expect(html).toContain(
+      '<p>An in-memory store. See <a href="#createStore">the factory</a>.</p>'
+    );
+    expect(html).toContain('<section id="Store-find">');
+    expect(html).toContain('<p>Holds &lt;values&gt;.</p>');
+    expect(html).toContain(
+      '<p><code><a href="#Store">Store</a></code> — The <code>store</code>.</p>'
+    );
+  });
+
+  it('should link types to symbols documented on other pages', () => {
+    const html = renderModuleHtml(pages[1].module, {
+      pagePath: 'lib/wrap.html',
+      pages,
+    });
+
+    expect(html).toContain(
+      '<td><code>Array&lt;<a href="../src/store.html#Store">Store</a>&gt;</code></td>'
+    );
+    expect(html).toContain(
+      '<code><a href="../src/store.html#Store-find">Store#find</a></code>'
+    );
+  });
+
+  it('should build a search index of every symbol', () => {
+    expect(buildSearchIndex(pages)).toEqual([
+      {
+        name: 'Store',
+        kind: 'class',
+        module: 'src/store.js',
+        url: 'src/store.html#Store',
+        summary: 'Holds <values>.',
+      },
+      {
+        name: 'Store#find',
+        kind: 'method',
+        module: 'src/store.js',
+        url: 'src/store.html#Store-find',
+        summary: 'Finds a value.',
+      },
+      {
+        name: 'createStore',
+        kind: 'function',
+        module: 'src/store.js',
+        url: 'src/store.html#createStore',
+        summary: 'Creates a Store.',
+      },
+      {
+        name: 'wrap',
+        kind: 'function',
+        module: 'lib/wrap.js',
+        url: 'lib/wrap.html#wrap',
+        summary: '',
+      },
+    ]);
+    expect(JSON.parse(renderHtmlAssets(pages)[0].content)).toEqual(
+      buildSearchIndex(pages)
+    );
+  });
+
+  it('should give every section of a page a unique id', () => {
+    const module = {
+      name: 'src/names.js',
+      language: 'js',
+      description: '',
+      symbols: [
+        symbol({ name: 'a-b', kind: 'constant', signature: 'const a-b' }),
+        symbol({
+          name: 'a',
+          kind: 'namespace',
+          members: [
+            symbol({ name: 'b', kind: 'function', signature: 'function b()' }),
+          ],
+        }),
+      ],
+    };
+    const html = renderModuleHtml(module, {
+      pagePath: 'src/names.html',
+      pages: [{ module, pagePath: 'src/names.html' }],
+    });
+
+    const ids = Array.from(
+      html.matchAll(/ id="([^"]+)"/g),
+      (match) => match[1]
+    );
+    expect(ids).toEqual(['a-b', 'a', 'a-b-1']);
+    expect(html).toContain('<li><a href="#a-b-1">a.b</a></li>');
+    expect(buildSearchIndex([{ module, pagePath: 'src/names.html' }])).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ name: 'a.b', url: 'src/names.html#a-b-1' }),
+      ])
+    );
+  });
+
+  it('should embed the search index safely in the index page', () => {
+    const html = renderIndexHtml(pages);
+
+    expect(html).toContain(
+      '<li><a href="src/store.html">src/store.js</a> — An in-memory store. See the factory.</li>'
+    );
+    expect(html).toContain('"summary":"Holds \\u003cvalues>."');
+    expect(html).not.toContain('Holds <values>');
+  });
+});
@@ -0,0 +1,416 @@
+// src/docs/index.js
+
+const path = require('path');
+const fs = require('fs-extra');
+const { collectDocumentationTargets } = require('../jsdocGenerator');
+const { parseJSDocComment } = require('../jsdoc/parser');
+const { getExampleCode } = require('../jsdoc/tsdoc');
+const { renderModuleMarkdown, renderIndexMarkdown } = require('./markdown');
+const {
+  renderModuleHtml,
+  renderIndexHtml,
+  renderHtmlAssets,
+} = require('./html');
+
+// Output formats supported by the docs command.
+const DOCS_FORMATS = ['markdown', 'html'];
+
+// Renderers and file extensions for each output format. `renderAssets` returns
+// any extra files written next to the index.
+const RENDERERS = {
+  markdown: {
+    extension: '.md',
+    renderModule: renderModuleMarkdown,
+    renderIndex: renderIndexMarkdown,
+    renderAssets: () => [],
+  },
+  html: {
+    extension: '.html',
+    renderModule: renderModuleHtml,
+    renderIndex: renderIndexHtml,
+    renderAssets: renderHtmlAssets,
+  },
+};
+
+// Tags that keep a symbol out of the published reference.
+const HIDDEN_TAGS = new Set(['private', 'ignore', 'internal']);
+
+// Tags that mark a file-level comment rather than a symbol's docblock.
+const MODULE_TAGS = new Set(['file', 'module']);
+
+// Babel node types of class members: methods, accessors and fields.
+const CLASS_MEMBER_TYPES = new Set([
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'ClassProperty',
+  'ClassPrivateProperty',
+  'ClassAccessorProperty',
+]);
+
+/**
+ * Returns the source text of a node.
+ * @param {string} code - The source code of the file.
+ * @param {object|null|undefined} node - The Babel node.
+ * @returns {string} The text the node spans, or an empty string if there is no node.
+ */
+function sourceOf(code, node) {
+  return node ? code.slice(node.start, node.end) : '';
+}
+
+/**
+ * Builds the parameter list, type parameters and return type of a function as
+ * written in the source, e.g. `<T>(items: T[], limit = 10): T[]`.
+ * @param {string} code - The source code of the file.
+ * @param {object} node - The Babel function node.
+ * @returns {string} The signature after the function's name.
+ */
+function formatCallSignature(code, node) {
+  const params = node.params.map((param) => sourceOf(code, param)).join(', ');
+  return `${sourceOf(code, node.typeParameters)}(${params})${sourceOf(code, node.returnType)}`;
+}
+
+/**
+ * Names the class member described by a method or field node.
+ * @param {object} node - The Babel class method or field node.
+ * @param {string} code - The source code of the file.
+ * @returns {string} The member name, e.g. `get`, `#items` or `[Symbol.iterator]`.
+ */
+function getMemberName(node, code) {
+  if (node.computed) return `[${sourceOf(code, node.key)}]`;
+  if (node.key.type === 'PrivateName') return `#${node.key.id.name}`;
+  return node.key.name ?? String(node.key.value);
+}
+
+/**
+ * Formats the declaration line shown above a symbol's documentation.
+ * @param {object} target - The documentation target.
+ * @param {string} name - The symbol's name.
+ * @param {object} [member] - The Babel class member node, if the symbol is a
+ * class member; for a field holding a function, the field.
+ * @param {string} [documentedType] - The type given by a field's `@type` tag,
+ * shown when the field has no type annotation.
+ * @returns {string} The declaration, e.g. `async function load(path)`.
+ */
+function formatSignature(target, name, member, documentedType) {
+  const { code, node } = target;
+  if (target.kind === 'class') {
+    const superClass = node.superClass
+      ? ` extends ${sourceOf(code, node.superClass)}${sourceOf(code, node.superTypeParameters)}`
+      : '';
+    return `class ${name}${sourceOf(code, node.typeParameters)}${superClass}`;
+  }
+  if (target.kind === 'property') {
+    const type =
+      sourceOf(code, node.typeAnnotation) ||
+      (documentedType ? `: ${documentedType}` : '');
+    return `${node.static ? 'static ' : ''}${node.readonly ? 'readonly ' : ''}${name}${type}`;
+  }
+  const modifiers = `${member?.static ? 'static ' : ''}${node.async ? 'async ' : ''}`;
+  if (member) {
+    const accessor = node.kind === 'get' || node.kind === 'set';
+    return `${modifiers}${accessor ? `${node.kind} ` : ''}${node.generator ? '*' : ''}${name}${formatCallSignature(code, node)}`;
+  }
+  return `${modifiers}function${node.generator ? '*' : ''} ${name}${formatCallSignature(code, node)}`;
+}
+
+/**
+ * Converts a parsed JSDoc or TSDoc comment into the fields shown in the
+ * reference. TSDoc remarks are appended to the description.
+ * @param {{description: string, tags: Array<object>}} jsdoc - The parsed comment.
+ * @returns {object} The description, parameters, yielded and return values,
+ * thrown errors, examples and deprecation notice.
+ */
+function describeJSDoc(jsdoc) {
+  const tagsNamed = (name) => jsdoc.tags.filter((tag) => tag.tag === name);
+  const [yields] = tagsNamed('yields');
+  const [returns] = tagsNamed('returns');
+  const [deprecated] = tagsNamed('deprecated');
+  const [remarks] = tagsNamed('remarks');
+  return {
+    description: [jsdoc.description, remarks?.text]
+      .filter(Boolean)
+      .join('\n\n'),
+    params: tagsNamed('param').map(
+      ({ name, type, optional, defaultValue, description }) => ({
+        name,
+        type,
+        optional,
+        defaultValue,
+        description,
+      })
+    ),
+    yields: yields && {
+      type: yields.type,
+      description: yields.description,
+    },
+    returns: returns && {
+      type: returns.type,
+      description: returns.description,
+    },
+    // TSDoc names the error with `{@link Type}` instead of a type expression
+    throws: tagsNamed('throws').map(({ type, description }) => ({
+      type: type?.replace(/^@link\s+/, ''),
+      description,
+    })),
+    examples: tagsNamed('example').map((tag) => getExampleCode(tag.text)),
+    deprecated: deprecated && deprecated.text,
+  };
+}
+
+/**
+ * Determines whether a parsed docblock hides its symbol from the reference.
+ * @param {{tags: Array<object>}} jsdoc - The parsed comment.
+ * @returns {boolean} True for `@private`, `@ignore` and `@internal` symbols.
+ */
+function isHidden(jsdoc) {
+  return jsdoc.tags.some((tag) => HIDDEN_TAGS.has(tag.tag));
+}
+
+/**
+ * Finds the file-level description, taken from a leading docblock with a `@file`,
+ * `@fileoverview` or `@module` tag.
+ * @param {string} code - The source code of the file.
+ * @returns {string} The description, or an empty string if there is none.
+ */
+function getModuleDescription(code) {
+  for (const [, value] of code.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+    const jsdoc = parseJSDocComment(value);
+    const moduleTag = jsdoc.tags.find((tag) => MODULE_TAGS.has(tag.tag));
+    if (moduleTag) {
+      return [jsdoc.description, moduleTag.description]
+        .filter(Boolean)
+        .join('\n\n');
+    }
+  }
+  return '';
+}
+
+/**
+ * Names the object a function is a member of, such as `helpers` for a method of
+ * `module.exports.helpers = { ... }`. Functions exported on the module itself
+ * belong to no object.
+ * @param {object} target - The documentation target of the function.
+ * @param {string} moduleName - The name of the module the file defines.
+ * @returns {string|null} The object's name, or null for top-level functions.
+ */
+function getObjectName(target, moduleName) {
+  const { memberOf } = target;
+  if (!memberOf || memberOf === `module:${moduleName}`) return null;
+  const modulePrefix = `module:${moduleName}.`;
+  return memberOf.startsWith(modulePrefix)
+    ? memberOf.slice(modulePrefix.length)
+    : memberOf;
+}
+
+/**
+ * Merges the entry of an accessor into that of its pair, so that a getter and its
+ * setter are documented as one member. The first accessor's documentation wins.
+ * @param {object} entry - The entry of the first accessor.
+ * @param {object} pair - The entry of the other accessor.
+ */
+function mergeAccessorPair(entry, pair) {
+  entry.signature = `${entry.signature}\n${pair.signature}`;
+  entry.description = entry.description || pair.description;
+  if (entry.params.length === 0) entry.params = pair.params;
+  entry.returns = entry.returns || pair.returns;
+  entry.throws.push(...pair.throws);
+  entry.examples.push(...pair.examples);
+  if (entry.deprecated === undefined) entry.deprecated = pair.deprecated;
+}
+
+/**
+ * Builds the reference entries for the documented symbols of one file. Methods and
+ * fields are nested under the class that contains them, and the members of a
+ * named object under a `namespace` entry for the object. A getter and its setter
+ * make one entry.
+ * @param {object} file - A parsed file from `collectDocumentationTargets`.
+ * @returns {Array<object>} The symbols, in source order.
+ */
+function collectModuleSymbols(file) {
+  const symbols = [];
+  const classes = [];
+  const objects = new Map();
+  const accessors = new WeakSet();
+  for (const target of file.targets) {
+    if (!target.standalone) continue;
+    const jsdoc = target.jsdocCommentNode
+      ? parseJSDocComment(target.jsdocCommentNode.value)
+      : null;
+    if (jsdoc && isHidden(jsdoc)) continue;
+    // Fields that hold a function are documented as methods
+    const member = CLASS_MEMBER_TYPES.has(target.commentTarget.type)
+      ? target.commentTarget
+      : null;
+    const name = member
+      ? getMemberName(member, target.code)
+      : target.symbol.getName();
+    const entry = {
+      name,
+      kind:
+        target.kind === 'function'
+          ? member
+            ? 'method'
+            : 'function'
+          : target.kind,
+      static: Boolean(member?.static),
+      line: target.line,
+      signature: formatSignature(
+        target,
+        name,
+        member,
+        jsdoc?.tags.find((tag) => tag.tag === 'type')?.type
+      ),
+      ...describeJSDoc(jsdoc || { description: '', tags: [] }),
+      documented: Boolean(jsdoc),
+    };
+    if (entry.kind === 'class') {
+      entry.members = [];
+      classes.push({ node: target.node, entry });
+      symbols.push(entry);
+      continue;
+    }
+    if (!entry.documented) continue;
+    let owner = null;
+    if (member) {
+      owner = classes.find(
+        ({ node }) =>
+          node.start <= target.node.start && target.node.end <= node.end
+      )?.entry;
+    } else {
+      const objectName = getObjectName(target, file.moduleName);
+      if (objectName && !objects.has(objectName)) {
+        const namespace = {
+          name: objectName,
+          kind: 'namespace',
+          static: false,
+          line: target.line,
+          signature: '',
+          ...describeJSDoc({ description: '', tags: [] }),
+          documented: false,
+          members: [],
+        };
+        objects.set(objectName, namespace);
+        symbols.push(namespace);
+      }
+      owner = objectName ? objects.get(objectName) : null;
+    }
+    const siblings = owner ? owner.members : symbols;
+    const isAccessor = target.node.kind === 'get' || target.node.kind === 'set';
+    const pair =
+      isAccessor &&
+      siblings.find(
+        (other) =>
+          accessors.has(other) &&
+          other.name === entry.name &&
+          other.static === entry.static
+      );
+    if (pair) {
+      mergeAccessorPair(pair, entry);
+      continue;
+    }
+    if (isAccessor) accessors.add(entry);
+    siblings.push(entry);
+  }
+  for (const constant of file.constants) {
+    if (!constant.jsdocCommentNode) continue;
+    const jsdoc = parseJSDocComment(constant.jsdocCommentNode.value);
+    if (isHidden(jsdoc)) continue;
+    symbols.push({
+      name: constant.name,
+      kind: 'constant',
+      line: constant.line,
+      signature: `const ${constant.name}`,
+      ...describeJSDoc(jsdoc),
+      documented: true,
+    });
+  }
+  // Classes and objects are listed when they or any of their members are documented
+  return symbols
+    .filter(
+      (symbol) =>
+        symbol.documented || (symbol.members && symbol.members.length > 0)
+    )
+    .sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Reads the JSDoc of the matching files and builds an API reference model, one
+ * module per file. Files without documented symbols or a file-level description
+ * are left out.
+ * @param {string[]} globPatterns - The glob patterns of the files to document.
+ * @param {object} options - The CLI options object.
+ * @returns {Promise<{modules: Array<object>}>} The modules, each with its path
+ * relative to the working directory, its description and its symbols.
+ */
+async function collectApiReference(globPatterns, options) {
+  const { parsedFiles } = await collectDocumentationTargets(
+    globPatterns,
+    options
+  );
+  const modules = parsedFiles
+    .map((file) => ({
+      name: path
+        .relative(process.cwd(), path.resolve(file.filePath))
+        .split(path.sep)
+        .join('/'),
+      language: /\.tsx?$/.test(file.filePath) ? 'ts' : 'js',
+      description: getModuleDescription(file.code),
+      symbols: collectModuleSymbols(file),
+    }))
+    .filter((module) => module.description || module.symbols.length > 0);
+  return { modules };
+}
+
+/**
+ * Returns the path of a module's page, relative to the output directory. The
+ * source extension is replaced, and leading `../` segments are dropped so that
+ * files outside the working directory are still written inside it.
+ * @param {string} moduleName - The module's path relative to the working directory.
+ * @param {string} extension - The extension of the output format, e.g. `.md`.
+ * @returns {string} The page path, using `/` separators.
+ */
+function getModulePagePath(moduleName, extension) {
+  return moduleName.replace(/^(\.\.\/)+/, '').replace(/\.[^./]+$/, extension);
+}
+
+/**
+ * Writes an API reference to disk: one page per module, an index page and, for
+ * HTML, a JSON search index.
+ * @param {{modules: Array<object>}} reference - The result of `collectApiReference`.
+ * @param {object} options - Output settings.
+ * @param {string} options.outDir - The directory to write the pages to.
+ * @param {string} [options.format] - One of `DOCS_FORMATS`; defaults to `markdown`.
+ * @returns {Promise<string[]>} The paths of the files written.
+ */
+async function writeApiReference(reference, { outDir, format = 'markdown' }) {
+  const renderer = RENDERERS[format];
+  const pages = reference.modules.map((module) => ({
+    module,
+    pagePath: getModulePagePath(module.name, renderer.extension),
+  }));
+  const written = [];
+  for (const { module, pagePath } of pages) {
+    const filePath = path.join(outDir, pagePath);
+    await fs.outputFile(
+      filePath,
+      renderer.renderModule(module, { pagePath, pages }),
+      'utf-8'
+    );
+    written.push(filePath);
+  }
+  const indexPath = path.join(outDir, `index${renderer.extension}`);
+  await fs.outputFile(indexPath, renderer.renderIndex(pages), 'utf-8');
+  written.push(indexPath);
+  for (const asset of renderer.renderAssets(pages)) {
+    const assetPath = path.join(outDir, asset.path);
+    await fs.outputFile(assetPath, asset.content, 'utf-8');
+    written.push(assetPath);
+  }
+  return written;
+}
+
+module.exports = {
+  DOCS_FORMATS,
+  collectApiReference,
+  writeApiReference,
+};
@@ -0,0 +1,293 @@
+// Mock the AI layer so the generator can be loaded without credentials
+jest.mock('../ai', () => ({
+  ...jest.requireActual('../ai'),
+  callAI: jest.fn(),
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { collectApiReference, writeApiReference } = require('./index');
+
+describe('API reference', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-docs-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  /**
+   * Writes files into the temporary directory and collects their reference.
+   * @param {object} files - File contents keyed by file name.
+   * @param {object} [options] - The reference options.
+   * @returns {Promise<object>} The API reference.
+   */
+  async function collect(files, options = {}) {
+    for (const [name, code] of Object.entries(files)) {
+      await fs.writeFile(path.join(tempDir, name), code);
+    }
+    const pattern = path.join(tempDir, '*.{js,ts}').split(path.sep).join('/');
+    return collectApiReference([pattern], options);
+  }
+
+  it('should collect documented symbols with their signatures', async () => {
+    const { modules } = await collect({
+      'store.ts': [
+        '/**',
+        ' * @file An in-memory store.',
+        ' */',
+        '',
+        '/** The default capacity. */',
+        'export const CAPACITY = 10;',
+        '',
+        '/**',
+        ' * Stores values.',
+        ' */',
+        'export class Store<T> extends Map<string, T> {',
+        '  /**',
+        '   * Reads a value.',
+        '   * @param {string} key - The key.',
+        '   * @returns {T | undefined} The value.',
+        '   */',
+        '  read(key: string): T | undefined {',
+        '    return this.get(key);',
+        '  }',
+        '',
+        '  /** @private */',
+        '  compact() {}',
+        '',
+        '  undocumented() {}',
+        '}',
+        '',
+        'export async function load(path, retries = 3) {}',
+        '',
+      ].join('\n'),
+    });
+
+    expect(modules).toHaveLength(1);
+    const [module] = modules;
+    expect(module.name).toBe(
+      path
+        .relative(process.cwd(), path.join(tempDir, 'store.ts'))
+        .split(path.sep)
+        .join('/')
+    );
+    expect(module.language).toBe('ts');
+    expect(module.description).toBe('An in-memory store.');
+    expect(module.symbols.map((symbol) => symbol.signature)).toEqual([
+      'const CAPACITY',
+      'class Store<T> extends Map<string, T>',
+    ]);
+    expect(module.symbols[0].description).toBe('The default capacity.');
+    const [store] = module.symbols.slice(1);
+    expect(store.members).toEqual([
+      expect.objectContaining({
+        name: 'read',
+        kind: 'method',
+        signature: 'read(key: string): T | undefined',
+        description: 'Reads a value.',
+        params: [
+          {
+            name: 'key',
+            type: 'string',
+            optional: false,
+            defaultValue: undefined,
+            description: 'The key.',
+          },
+        ],
+        returns: { type: 'T | undefined', description: 'The value.' },
+      }),
+    ]);
+  });
+
+  it('should nest documented fields and accessors under their class', async () => {
+    const { modules } = await collect({
+      'pool.js': [
+        '/** A connection pool. */',
+        'class Pool {',
+        '  /**',
+        '   * The number of pools.',
+        '   * @type {number}',
+        '   */',
+        '  static count = 0;',
+        '',
+        '  /** @private */',
+        '  #connections = [];',
+        '',
+        '  /** Gets the size. */',
+        '  get size() {',
+        '    return this.#connections.length;',
+        '  }',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    expect(
+      modules[0].symbols[0].members.map(({ name, kind, signature }) => ({
+        name,
+        kind,
+        signature,
+      }))
+    ).toEqual([
+      { name: 'count', kind: 'property', signature: 'static count: number' },
+      { name: 'size', kind: 'method', signature: 'get size()' },
+    ]);
+  });
+
+  it('should document a getter and its setter as one member', async () => {
+    const { modules } = await collect({
+      'box.js': [
+        '/** A box. */',
+        'class Box {',
+        '  /** Gets the value. */',
+        '  get value() {',
+        '    return this._value;',
+        '  }',
+        '',
+        '  /**',
+        '   * Sets the value.',
+        '   * @param {number} value - The new value.',
+        '   */',
+        '  set value(value) {',
+        '    this._value = value;',
+        '  }',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    expect(modules[0].symbols[0].members).toEqual([
+      expect.objectContaining({
+        name: 'value',
+        signature: 'get value()\nset value(value)',
+        description: 'Gets the value.',
+        params: [expect.objectContaining({ name: 'value', type: 'number' })],
+      }),
+    ]);
+  });
+
+  it('should nest the members of a named object under the object', async () => {
+    const { modules } = await collect({
+      'text.js': [
+        'module.exports.helpers = {',
+        '  /** Trims text. */',
+        '  trim(text) {},',
+        '};',
+        '',
+        '/** Runs. */',
+        'exports.run = function () {};',
+        '',
+      ].join('\n'),
+    });
+
+    expect(
+      modules[0].symbols.map(({ name, kind, members }) => ({
+        name,
+        kind,
+        members: members?.map((member) => member.name),
+      }))
+    ).toEqual([
+      { name: 'helpers', kind: 'namespace', members: ['trim'] },
+      { name: 'run', kind: 'function', members: undefined },
+    ]);
+  });
+
+  it('should read TSDoc remarks, throws and fenced examples', async () => {
+    const { modules } = await collect({
+      'first.ts': [
+        '/**',
+        ' * Returns the first item.',
+        ' *',
+        ' * @remarks',
+        ' * Runs in constant time.',
+        ' * @throws {@link RangeError} If the list is empty.',
+        ' * @example',
+        ' * ```ts',
+        ' * first([1]);',
+        ' * ```',
+        ' */',
+        'export function first<T>(items: T[]): T {',
+        '  return items[0];',
+        '}',
+        '',
+      ].join('\n'),
+    });
+
+    expect(modules[0].symbols[0]).toEqual(
+      expect.objectContaining({
+        description: 'Returns the first item.\n\nRuns in constant time.',
+        throws: [{ type: 'RangeError', description: 'If the list is empty.' }],
+        examples: ['first([1]);'],
+      })
+    );
+  });
+
+  it('should collect documented symbols when onlyNew is configured', async () => {
+    const { modules } = await collect(
+      { 'id.js': '/** Returns its argument. */\nfunction id(x) {}\n' },
+      { onlyNew: true }
+    );
+    expect(modules[0].symbols.map((symbol) => symbol.name)).toEqual(['id']);
+  });
+
+  it('should leave out files without documentation', async () => {
+    const { modules } = await collect({
+      'plain.js': 'function add(a, b) {\n  return a + b;\n}\n',
+    });
+    expect(modules).toEqual([]);
+  });
+
+  it('should write a page per module and an index', async () => {
+    const outDir = path.join(tempDir, 'docs');
+    const written = await writeApiReference(
+      {
+        modules: [
+          {
+            name: '../lib/util.js',
+            language: 'js',
+            description: 'Utilities.',
+            symbols: [],
+          },
+        ],
+      },
+      { outDir }
+    );
+
+    expect(written).toEqual([
+      path.join(outDir, 'lib/util.md'),
+      path.join(outDir, 'index.md'),
+    ]);
+    expect(await fs.readFile(path.join(outDir, 'lib/util.md'), 'utf-8')).toBe(
+      '# ../lib/util.js\n\nUtilities.\n'
+    );
+    expect(await fs.readFile(path.join(outDir, 'index.md'), 'utf-8')).toContain(
+      '- [../lib/util.js](lib/util.md) — Utilities.'
+    );
+  });
+
+  it('should write an HTML site with a search index', async () => {
+    const outDir = path.join(tempDir, 'site');
+    const written = await writeApiReference(
+      {
+        modules: [
+          { name: 'util.js', language: 'js', description: '', symbols: [] },
+        ],
+      },
+      { outDir, format: 'html' }
+    );
+
+    expect(written).toEqual([
+      path.join(outDir, 'util.html'),
+      path.join(outDir, 'index.html'),
+      path.join(outDir, 'search-index.json'),
+    ]);
+    expect(await fs.readJson(path.join(outDir, 'search-index.json'))).toEqual(
+      []
+    );
+  });
+});
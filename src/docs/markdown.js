@@ -0,0 +1,224 @@
+// src/docs/markdown.js
+
+const { getQualifiedName, createAnchorGenerator } = require('./anchors');
+
+/**
+ * Converts heading text into the anchor GitHub generates for it.
+ * @param {string} text - The heading text.
+ * @returns {string} The anchor, without the leading `#`.
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\- ]/g, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Escapes text for use inside a Markdown table cell.
+ * @param {string} text - The cell text.
+ * @returns {string} The text on a single line, with pipes escaped.
+ */
+function escapeTableCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Formats a type expression as inline code.
+ * @param {string} [type] - The type, without braces.
+ * @returns {string} The formatted type, or an empty string if there is none.
+ */
+function formatType(type) {
+  return type ? `\`${type}\`` : '';
+}
+
+/**
+ * Assigns anchors to the headings written in a description, which GitHub counts
+ * when it numbers duplicate headings. Headings in code blocks are skipped.
+ * @param {string} text - The Markdown text.
+ * @param {function(string): string} anchorFor - Assigns the anchor of the next heading.
+ */
+function reserveHeadingAnchors(text, anchorFor) {
+  let inFence = false;
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    } else if (!inFence) {
+      const heading = line.match(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) anchorFor(heading[1]);
+    }
+  }
+}
+
+/**
+ * Renders the parameters of a symbol as a table.
+ * @param {Array<object>} params - The documented parameters.
+ * @returns {string[]} The Markdown lines.
+ */
+function renderParams(params) {
+  const rows = params.map((param) => {
+    const notes = [
+      param.optional ? '_Optional._' : '',
+      param.defaultValue !== undefined
+        ? `Defaults to \`${param.defaultValue}\`.`
+        : '',
+    ].filter(Boolean);
+    return `| \`${param.name}\` | ${escapeTableCell(formatType(param.type))} | ${escapeTableCell([param.description, ...notes].filter(Boolean).join(' '))} |`;
+  });
+  return [
+    '| Name | Type | Description |',
+    '| ---- | ---- | ----------- |',
+    ...rows,
+  ];
+}
+
+/**
+ * Renders the documentation of a single symbol and, for classes and objects, its
+ * members. Headings are assigned their anchors in page order.
+ * @param {object} symbol - The symbol from the API reference.
+ * @param {object} context - Rendering settings.
+ * @param {number} context.level - The heading level of the symbol.
+ * @param {string} context.language - The code fence language of the module.
+ * @param {function(string): string} context.anchorFor - Assigns the anchor of the
+ * next heading on the page.
+ * @param {Map<object, string>} context.anchors - Receives the anchor of each symbol.
+ * @param {object} [context.owner] - The class or object the symbol belongs to.
+ * @returns {string[]} The Markdown lines.
+ */
+function renderSymbol(symbol, context) {
+  const { level, language, anchorFor, anchors, owner } = context;
+  const heading = getQualifiedName(symbol, owner);
+  const subheading = (title) => {
+    anchorFor(title);
+    return `${'#'.repeat(level + 1)} ${title}`;
+  };
+  anchors.set(symbol, anchorFor(heading));
+  const lines = [`${'#'.repeat(level)} ${heading}`, ''];
+  if (symbol.signature) {
+    lines.push(`\`\`\`${language}`, symbol.signature, '```', '');
+  }
+  if (symbol.deprecated !== undefined) {
+    lines.push(
+      `> **Deprecated.**${symbol.deprecated ? ` ${symbol.deprecated}` : ''}`,
+      ''
+    );
+  }
+  if (symbol.description) {
+    reserveHeadingAnchors(symbol.description, anchorFor);
+    lines.push(symbol.description, '');
+  }
+  if (symbol.params.length > 0) {
+    lines.push(
+      subheading('Parameters'),
+      '',
+      ...renderParams(symbol.params),
+      ''
+    );
+  }
+  if (symbol.yields) {
+    lines.push(
+      subheading('Yields'),
+      '',
+      [formatType(symbol.yields.type), symbol.yields.description]
+        .filter(Boolean)
+        .join(' — '),
+      ''
+    );
+  }
+  if (symbol.returns) {
+    lines.push(
+      subheading('Returns'),
+      '',
+      [formatType(symbol.returns.type), symbol.returns.description]
+        .filter(Boolean)
+        .join(' — '),
+      ''
+    );
+  }
+  if (symbol.throws.length > 0) {
+    lines.push(
+      subheading('Throws'),
+      '',
+      ...symbol.throws.map(
+        (error) =>
+          `- ${[formatType(error.type), error.description].filter(Boolean).join(' — ')}`
+      ),
+      ''
+    );
+  }
+  for (const example of symbol.examples) {
+    lines.push(
+      subheading('Example'),
+      '',
+      `\`\`\`${language}`,
+      example,
+      '```',
+      ''
+    );
+  }
+  for (const member of symbol.members || []) {
+    lines.push(
+      ...renderSymbol(member, { ...context, level: level + 1, owner: symbol })
+    );
+  }
+  return lines;
+}
+
+/**
+ * Renders the API reference page of a module. The table of contents links each
+ * symbol by the anchor GitHub gives its heading, numbered if the heading repeats.
+ * @param {object} module - The module from the API reference.
+ * @returns {string} The Markdown document.
+ */
+function renderModuleMarkdown(module) {
+  const anchorFor = createAnchorGenerator(slugify);
+  const anchors = new Map();
+  anchorFor(module.name);
+  const lines = [`# ${module.name}`, ''];
+  if (module.description) {
+    reserveHeadingAnchors(module.description, anchorFor);
+    lines.push(module.description, '');
+  }
+  const body = module.symbols.flatMap((symbol) =>
+    renderSymbol(symbol, {
+      level: 2,
+      language: module.language,
+      anchorFor,
+      anchors,
+    })
+  );
+  if (module.symbols.length > 0) {
+    for (const symbol of module.symbols) {
+      lines.push(`- [${symbol.name}](#${anchors.get(symbol)})`);
+      for (const member of symbol.members || []) {
+        const heading = getQualifiedName(member, symbol);
+        lines.push(`  - [${heading}](#${anchors.get(member)})`);
+      }
+    }
+    lines.push('');
+  }
+  lines.push(...body);
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Renders the index page linking every module page.
+ * @param {Array<{module: object, pagePath: string}>} pages - The modules and the
+ * paths of their pages, relative to the index.
+ * @returns {string} The Markdown document.
+ */
+function renderIndexMarkdown(pages) {
+  const lines = ['# API Reference', ''];
+  for (const { module, pagePath } of pages) {
+    const summary = module.description.split('\n')[0];
+    lines.push(
+      `- [${module.name}](${pagePath})${summary ? ` — ${summary}` : ''}`
+    );
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  renderModuleMarkdown,
+  renderIndexMarkdown,
+};
@@ -0,0 +1,201 @@
+const { renderModuleMarkdown, renderIndexMarkdown } = require('./markdown');
+
+/**
+ * Creates a symbol of the API reference with empty documentation.
+ * @param {object} fields - The fields to set.
+ * @returns {object} The symbol.
+ */
+function symbol(fields) {
+  return {
+    description: '',
+    params: [],
+    throws: [],
+    examples: [],
+    ...fields,
+  };
+}
+
+describe('Markdown API reference', () => {
+  it('should render a module with its functions and class members', () => {
+    const markdown = renderModuleMarkdown({
+      name: 'src/store.js',
+      language: 'js',
+      description: 'An in-memory store.',
+      symbols: [
+        symbol({
+          name: 'createStore',
+          signature: 'function createStore(size = 10)',
+          description: 'Creates a store.',
+          params: [
+            {
+              name: 'size',
+              type: 'number|string',
+              optional: true,
+              defaultValue: '10',
+              description: 'The capacity.',
+            },
+          ],
+          returns: { type: 'Store', description: 'The store.' },
+          throws: [{ type: 'RangeError', description: 'If size is negative.' }],
+          examples: ['const store = createStore();'],
+        }),
+        symbol({
+          name: 'Store',
+          signature: 'class Store',
+          members: [
+            symbol({
+              name: 'clear',
+              static: false,
+              signature: 'clear()',
+              description: 'Removes every entry.',
+              deprecated: 'Use `reset()`.',
+            }),
+          ],
+        }),
+      ],
+    });
+
+    expect(markdown).toBe(
+      [
+        '# src/store.js',
+        '',
+        'An in-memory store.',
+        '',
+        '- [createStore](#createstore)',
+        '- [Store](#store)',
+        '  - [Store#clear](#storeclear)',
+        '',
+        '## createStore',
+        '',
+        '```js',
+        'function createStore(size = 10)',
+        '```',
+        '',
+        'Creates a store.',
+        '',
+        '### Parameters',
+        '',
+        '| Name | Type | Description |',
+        '| ---- | ---- | ----------- |',
+        '| `size` | `number\\|string` | The capacity. _Optional._ Defaults to `10`. |',
+        '',
+        '### Returns',
+        '',
+        '`Store` — The store.',
+        '',
+        '### Throws',
+        '',
+        '- `RangeError` — If size is negative.',
+        '',
+        '### Example',
+        '',
+        '```js',
+        'const store = createStore();',
+        '```',
+        '',
+        '## Store',
+        '',
+        '```js',
+        'class Store',
+        '```',
+        '',
+        '### Store#clear',
+        '',
+        '```js',
+        'clear()',
+        '```',
+        '',
+        '> **Deprecated.** Use `reset()`.',
+        '',
+        'Removes every entry.',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should link headings that repeat by the anchors GitHub numbers them with', () => {
+    const markdown = renderModuleMarkdown({
+      name: 'src/foo.js',
+      language: 'js',
+      description: '',
+      symbols: [
+        symbol({
+          name: 'foo',
+          signature: 'function foo()',
+          examples: ['foo();'],
+        }),
+        symbol({
+          name: 'Foo',
+          kind: 'class',
+          signature: 'class Foo',
+          members: [symbol({ name: 'value', signature: 'get value()' })],
+        }),
+        symbol({ name: 'example', signature: 'function example()' }),
+        symbol({
+          name: 'helpers',
+          kind: 'namespace',
+          members: [symbol({ name: 'trim', signature: 'function trim()' })],
+        }),
+      ],
+    });
+
+    expect(markdown.split('\n').slice(2, 9)).toEqual([
+      '- [foo](#foo)',
+      '- [Foo](#foo-1)',
+      '  - [Foo#value](#foovalue)',
+      '- [example](#example-1)',
+      '- [helpers](#helpers)',
+      '  - [helpers.trim](#helperstrim)',
+      '',
+    ]);
+    expect(markdown).toContain('## helpers\n\n### helpers.trim\n');
+  });
+
+  it('should render what generators yield before what they return', () => {
+    const markdown = renderModuleMarkdown({
+      name: 'src/ids.js',
+      language: 'js',
+      description: '',
+      symbols: [
+        symbol({
+          name: 'ids',
+          signature: 'function* ids()',
+          yields: { type: 'number', description: 'Each id.' },
+          returns: { type: 'boolean', description: 'Whether all were listed.' },
+        }),
+      ],
+    });
+
+    expect(markdown).toContain(
+      [
+        '### Yields',
+        '',
+        '`number` — Each id.',
+        '',
+        '### Returns',
+        '',
+        '`boolean` — Whether all were listed.',
+      ].join('\n')
+    );
+  });
+
+  it('should render an index linking every module page', () => {
+    expect(
+      renderIndexMarkdown([
+        {
+          module: { name: 'src/a.js', description: 'Helpers.\n\nMore.' },
+          pagePath: 'src/a.md',
+        },
+        { module: { name: 'src/b.js', description: '' }, pagePath: 'src/b.md' },
+      ])
+    ).toBe(
+      [
+        '# API Reference',
+        '',
+        '- [src/a.js](src/a.md) — Helpers.',
+        '- [src/b.js](src/b.md)',
+        '',
+      ].join('\n')
+    );
+  });
+});
@@ -0,0 +1,133 @@
+// src/files/discovery.js
+
+const path = require('path');
+const fs = require('fs-extra');
+const { glob } = require('glob');
+const ignore = require('ignore');
+
+// Directories that never contain source worth documenting.
+const DEFAULT_IGNORE_PATTERNS = ['**/node_modules/**', '**/.git/**'];
+
+// Build and coverage output, skipped at the root of the project and of every
+// package inside it (e.g. `packages/app/build/`). Source folders deeper down may
+// share these names (e.g. `src/coverage/`), so they are not skipped elsewhere.
+const OUTPUT_DIRECTORIES = ['dist', 'build', 'coverage'];
+
+// The source files searched for when a directory is given instead of a pattern.
+const SOURCE_FILE_GLOB = '**/*.{js,jsx,ts,tsx,mjs,cjs}';
+
+// Ignore files in the working directory whose rules are applied automatically.
+const IGNORE_FILES = ['.gitignore', '.aidocignore'];
+
+/**
+ * Expands an exclusion pattern so that naming a directory also excludes its contents.
+ * @param {string} pattern - The exclusion pattern provided by the user.
+ * @returns {string[]} The glob patterns to pass to the file search.
+ */
+function expandExcludePattern(pattern) {
+  const trimmed = pattern.trim().replace(/\/+$/, '');
+  if (trimmed === '') {
+    return [];
+  }
+  if (trimmed.endsWith('/**')) {
+    return [trimmed];
+  }
+  return [trimmed, `${trimmed}/**`];
+}
+
+/**
+ * Expands a pattern that names a directory, such as `./src`, to the source files
+ * inside it. Other patterns are returned as they are.
+ * @param {string} pattern - The glob pattern or path provided by the user.
+ * @param {string} cwd - The directory the pattern is resolved against.
+ * @returns {Promise<string>} The glob pattern to search for.
+ */
+async function expandDirectoryPattern(pattern, cwd) {
+  const stats = await fs.stat(path.resolve(cwd, pattern)).catch(() => null);
+  if (!stats?.isDirectory()) {
+    return pattern;
+  }
+  return `${pattern.replace(/[\\/]+$/, '')}/${SOURCE_FILE_GLOB}`;
+}
+
+/**
+ * Lists the build and coverage output directories to skip: those at the root of
+ * the working directory and next to each nested `package.json`.
+ * @param {string} cwd - The working directory.
+ * @returns {Promise<string[]>} The glob patterns of the output directories.
+ */
+async function getOutputIgnorePatterns(cwd) {
+  const manifests = await glob('**/package.json', {
+    cwd,
+    ignore: DEFAULT_IGNORE_PATTERNS,
+    posix: true,
+  });
+  const packageRoots = new Set(['.', ...manifests.map(path.posix.dirname)]);
+  return [...packageRoots].flatMap((root) =>
+    OUTPUT_DIRECTORIES.map((name) => path.posix.join(root, name, '**'))
+  );
+}
+
+/**
+ * Reads the gitignore-style rules from the ignore files in a directory.
+ * Missing ignore files are skipped silently.
+ * @param {string} cwd - The directory containing the ignore files.
+ * @returns {Promise<string[]>} The rules, in the order they were found.
+ */
+async function readIgnoreRules(cwd) {
+  const rules = [];
+  for (const fileName of IGNORE_FILES) {
+    const filePath = path.join(cwd, fileName);
+    if (await fs.pathExists(filePath)) {
+      const contents = await fs.readFile(filePath, 'utf-8');
+      rules.push(...contents.split(/\r?\n/));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Finds the files matching the given glob patterns, honoring the default ignores,
+ * the user's exclusion patterns, and the rules in `.gitignore` and `.aidocignore`.
+ * Directories are searched for source files, and never returned themselves.
+ * @param {string[]} globPatterns - The glob patterns, or directories, to match.
+ * @param {object} [options] - The discovery options.
+ * @param {string[]} [options.exclude] - Additional glob patterns to exclude.
+ * @param {string[]} [options.extraIgnore] - Glob patterns excluded by the caller (e.g. the output directory).
+ * @param {string} [options.cwd] - The directory the patterns are resolved against.
+ * @returns {Promise<string[]>} The matching file paths, sorted alphabetically.
+ */
+async function discoverFiles(globPatterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const globIgnore = [
+    ...DEFAULT_IGNORE_PATTERNS,
+    ...(await getOutputIgnorePatterns(cwd)),
+    ...(options.exclude || []).flatMap(expandExcludePattern),
+    ...(options.extraIgnore || []),
+  ];
+  const patterns = await Promise.all(
+    globPatterns.map((pattern) => expandDirectoryPattern(pattern, cwd))
+  );
+  const files = await glob(patterns, { cwd, ignore: globIgnore, nodir: true });
+
+  const ignoreRules = ignore().add(await readIgnoreRules(cwd));
+  return files
+    .filter((filePath) => {
+      const relativePath = path.relative(cwd, path.resolve(cwd, filePath));
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return true; // Ignore files only apply inside the working directory
+      }
+      return !ignoreRules.ignores(relativePath.split(path.sep).join('/'));
+    })
+    .sort();
+}
+
+module.exports = {
+  DEFAULT_IGNORE_PATTERNS,
+  OUTPUT_DIRECTORIES,
+  IGNORE_FILES,
+  expandExcludePattern,
+  expandDirectoryPattern,
+  readIgnoreRules,
+  discoverFiles,
+};
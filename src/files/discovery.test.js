@@ -0,0 +1,105 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { discoverFiles, expandExcludePattern } = require('./discovery');
+
+describe('file discovery', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-discovery-'));
+    const files = [
+      'src/index.js',
+      'src/legacy/old.js',
+      'src/generated/api.js',
+      'src/coverage/report.ts',
+      'scripts/build.js',
+      'build/out.js',
+      'node_modules/pkg/index.js',
+      'dist/bundle.js',
+      'coverage/lcov-report/sorter.js',
+    ];
+    for (const file of files) {
+      await fs.outputFile(path.join(tmpDir, file), '// test\n');
+    }
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should skip dependency and build directories by default', async () => {
+    const files = await discoverFiles(['**/*.js'], { cwd: tmpDir });
+    expect(files).toEqual([
+      path.join('scripts', 'build.js'),
+      path.join('src', 'generated', 'api.js'),
+      path.join('src', 'index.js'),
+      path.join('src', 'legacy', 'old.js'),
+    ]);
+  });
+
+  it('should skip build output only at the root of the project and its packages', async () => {
+    const files = await discoverFiles(['**/*.ts'], { cwd: tmpDir });
+    expect(files).toEqual([path.join('src', 'coverage', 'report.ts')]);
+  });
+
+  it('should skip the build output of nested packages', async () => {
+    const nested = [
+      'packages/app/package.json',
+      'packages/app/src/index.js',
+      'packages/app/build/index.js',
+      'packages/app/dist/index.js',
+      'packages/app/coverage/sorter.js',
+      'packages/app/src/dist/format.js',
+    ];
+    for (const file of nested) {
+      await fs.outputFile(path.join(tmpDir, file), '// test\n');
+    }
+    const files = await discoverFiles(['packages/**/*.js'], { cwd: tmpDir });
+    expect(files).toEqual([
+      path.join('packages', 'app', 'src', 'dist', 'format.js'),
+      path.join('packages', 'app', 'src', 'index.js'),
+    ]);
+  });
+
+  it('should search directories for source files and never return one', async () => {
+    await fs.ensureDir(path.join(tmpDir, 'src', 'fixtures.js'));
+    const files = await discoverFiles(['./src/', 'src/*.js'], { cwd: tmpDir });
+    expect(files).toEqual([
+      path.join('src', 'coverage', 'report.ts'),
+      path.join('src', 'generated', 'api.js'),
+      path.join('src', 'index.js'),
+      path.join('src', 'legacy', 'old.js'),
+    ]);
+  });
+
+  it('should honor --exclude patterns, including bare directory names', async () => {
+    const files = await discoverFiles(['**/*.js'], {
+      cwd: tmpDir,
+      exclude: ['src/legacy', 'scripts/**'],
+    });
+    expect(files).toEqual([
+      path.join('src', 'generated', 'api.js'),
+      path.join('src', 'index.js'),
+    ]);
+  });
+
+  it('should apply the rules from .gitignore and .aidocignore', async () => {
+    await fs.writeFile(path.join(tmpDir, '.gitignore'), '# build\nscripts/\n');
+    await fs.writeFile(path.join(tmpDir, '.aidocignore'), 'generated\n');
+    const files = await discoverFiles(['**/*.js'], { cwd: tmpDir });
+    expect(files).toEqual([
+      path.join('src', 'index.js'),
+      path.join('src', 'legacy', 'old.js'),
+    ]);
+  });
+
+  it('should expand exclusion patterns to cover directory contents', () => {
+    expect(expandExcludePattern('src/legacy/')).toEqual([
+      'src/legacy',
+      'src/legacy/**',
+    ]);
+    expect(expandExcludePattern('test/**')).toEqual(['test/**']);
+    expect(expandExcludePattern('  ')).toEqual([]);
+  });
+});
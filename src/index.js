@@ -1,7 +1,24 @@
 // src/index.js
 
-const { Command } = require('commander');
+const fs = require('fs-extra');
+const { Command, InvalidArgumentError, Option } = require('commander');
 const { processFilesWithJSDoc } = require('./jsdocGenerator.js');
+const { DEFAULT_TIMEOUT_SECONDS, PROVIDER_NAMES } = require('./ai');
+const { DEFAULT_MAX_RETRIES } = require('./ai/retry');
+const { DEFAULT_CACHE_DIR, clearCache, getCacheStats } = require('./ai/cache');
+const { DEFAULT_CONCURRENCY } = require('./utils/concurrency');
+const { loadConfig, mergeConfigIntoOptions } = require('./config/loader');
+const { initProject } = require('./config/init');
+const { RULE_NAMES, SEVERITIES } = require('./check/rules');
+const { DOC_STYLES } = require('./jsdoc/constants');
+const { checkFiles, formatViolations, countViolations } = require('./check');
+const { computeCoverage } = require('./coverage');
+const { COVERAGE_FORMATS, formatCoverage } = require('./coverage/report');
+const {
+  DOCS_FORMATS,
+  collectApiReference,
+  writeApiReference,
+} = require('./docs');
 const pkg = require('../package.json');
 
 // --- Helper Functions for CLI Logic ---
@@ -19,6 +36,13 @@ function handleInitialLogging(patterns, options) {
     options.verbose = false;
   }
 
+  if (options.onlyNew && options.overwriteAllJsdoc) {
+    console.warn(
+      'Warning: --only-new and --overwrite-all-jsdoc are mutually exclusive. --only-new will take precedence.'
+    );
+    options.overwriteAllJsdoc = false;
+  }
+
   if (options.quiet) {
     return;
   }
@@ -32,10 +56,24 @@ function handleInitialLogging(patterns, options) {
     }`
   );
 
+  if (options.configFile) {
+    console.log(`Configuration: ${options.configFile}`);
+  }
+
   if (options.exclude.length > 0) {
     console.log(`Excluded Patterns: ${options.exclude.join(', ')}`);
   }
 
+  if (options.output && options.output !== '.') {
+    console.log(`Output Directory: ${options.output}`);
+  }
+
+  if (options.ai === false) {
+    console.log(
+      'AI disabled: docblocks will be generated from static analysis only.'
+    );
+  }
+
   if (options.verbose) {
     console.log('Options:', options);
   }
@@ -43,9 +81,76 @@ function handleInitialLogging(patterns, options) {
   if (options.dryRun) {
     console.log('\n--- DRY RUN ENABLED ---');
     console.log('No files will be modified.');
+    if (options.patch) {
+      console.log(`Proposed changes will be written to: ${options.patch}`);
+    }
   }
 }
 
+/**
+ * Parses the value of an option that must be a positive integer, such as --concurrency.
+ * @param {string} value - The raw option value.
+ * @returns {number} The parsed integer.
+ * @throws {InvalidArgumentError} If the value is not a positive integer.
+ */
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return number;
+}
+
+/**
+ * Parses the value of the --ai-max-retries option, where zero disables retries.
+ * @param {string} value - The raw option value.
+ * @returns {number} The maximum number of retries.
+ * @throws {InvalidArgumentError} If the value is not a non-negative integer.
+ */
+function parseRetryCount(value) {
+  const retries = Number(value);
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new InvalidArgumentError('Must be zero or a positive integer.');
+  }
+  return retries;
+}
+
+/**
+ * Parses a --rule option of the form `rule=severity` and adds it to the previous ones.
+ * @param {string} value - The raw option value, e.g. `missing-returns=warning`.
+ * @param {object} [previous] - The severities parsed from earlier --rule options.
+ * @returns {object} The severities, keyed by rule name.
+ * @throws {InvalidArgumentError} If the rule or severity is unknown.
+ */
+function parseRuleSeverity(value, previous) {
+  const [rule, severity] = value.split('=').map((part) => part.trim());
+  if (!RULE_NAMES.includes(rule)) {
+    throw new InvalidArgumentError(
+      `Unknown rule "${rule}". Rules: ${RULE_NAMES.join(', ')}.`
+    );
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new InvalidArgumentError(
+      `Severity must be one of ${SEVERITIES.join(', ')}.`
+    );
+  }
+  return { ...previous, [rule]: severity };
+}
+
+/**
+ * Parses the value of the --min-coverage option.
+ * @param {string} value - The raw option value.
+ * @returns {number} The minimum coverage percentage.
+ * @throws {InvalidArgumentError} If the value is not a number from 0 to 100.
+ */
+function parsePercentage(value) {
+  const percentage = Number(value);
+  if (value.trim() === '' || !(percentage >= 0 && percentage <= 100)) {
+    throw new InvalidArgumentError('Must be a number from 0 to 100.');
+  }
+  return percentage;
+}
+
 /**
  * Handles the final logging after the process is complete.
  * @param {object} options - The options object from commander.
@@ -65,9 +170,11 @@ function handleFinalLogging(options) {
 /**
  * Handles errors that occur during the process.
  * @param {Error} error - The error object.
+ * @param {string} [activity] - What the failed command was doing, as in "An
+ * error occurred during the documentation check".
  */
-function handleError(error) {
-  console.error('\n--- An error occurred during JSDoc generation ---');
+function handleError(error, activity = 'JSDoc generation') {
+  console.error(`\n--- An error occurred during ${activity} ---`);
   console.error(error);
   process.exitCode = 1; // Use exitCode for a graceful exit, allowing logs to flush.
 }
@@ -91,6 +198,10 @@ program.configureHelp({
 program
   .command('generate [patterns...]')
   .description('Process files to generate or update JSDoc comments.')
+  .option(
+    '-c, --config <file>',
+    'Path to a configuration file (defaults to the nearest .aidoccli.json, .aidoccli.js or package.json "aidoccli" key).'
+  )
   .option(
     '-o, --output <dir>',
     'Specify an output directory (defaults to in-place update)',
@@ -103,14 +214,23 @@ program
     'Perform a dry run without modifying any files',
     false
   )
+  .option(
+    '--patch <file>',
+    'Write the proposed changes to a unified .patch file instead of printing them (implies --dry-run).'
+  )
   .option(
     '--overwrite-all-jsdoc',
     'Completely overwrite all existing JSDoc for processed elements, ignoring human-written content.',
     false
   )
+  .option(
+    '--keep-tags <tags>',
+    'Comma-separated list of JSDoc tags to carry over when using --overwrite-all-jsdoc (e.g., "license,deprecated").',
+    (value) => value.split(',').map((tag) => tag.trim())
+  )
   .option(
     '--exclude <pattern>',
-    'A glob pattern to exclude files or directories (can be repeated for multiple patterns).',
+    'A glob pattern to exclude files or directories (can be repeated for multiple patterns). node_modules, build output, .gitignore and .aidocignore entries are always excluded.',
     (value, previous) => (previous || []).concat(value),
     []
   )
@@ -124,10 +244,44 @@ program
     'Comma-separated list of JSDoc tags to explicitly remove (e.g., "todo,deprecated").',
     (value) => value.split(',').map((tag) => tag.trim())
   )
+  .addOption(
+    new Option(
+      '--style <style>',
+      'Docblock syntax to write; "auto" uses TSDoc for .ts/.tsx files and JSDoc elsewhere.'
+    )
+      .choices(DOC_STYLES)
+      .default('auto')
+  )
+  .option(
+    '--no-ai',
+    'Skip all AI calls and generate docblocks from static analysis only (for offline or air-gapped use).'
+  )
+  .option(
+    '--concurrency <number>',
+    'Maximum number of AI requests to run in parallel.',
+    parsePositiveInteger,
+    DEFAULT_CONCURRENCY
+  )
+  .option(
+    '--no-cache',
+    'Always query the AI provider, bypassing the response cache.'
+  )
+  .option(
+    '--cache-dir <dir>',
+    'Directory where AI responses are cached.',
+    DEFAULT_CACHE_DIR
+  )
+  .option(
+    '--ai-provider <name>',
+    `The AI provider to use (${PROVIDER_NAMES.join(', ')}). Defaults to AIDOCCLI_AI_PROVIDER or "openai".`
+  )
+  .option(
+    '--ai-base-url <url>',
+    'Base URL of the AI API: the endpoint for azure-openai, or the server URL for openai-compatible providers.'
+  )
   .option(
     '--ai-model <model-name>',
-    'Specify the OpenAI model to use (e.g., "gpt-4o", "gpt-3.5-turbo")',
-    'gpt-4o'
+    'Specify the model (or Azure deployment) to use (e.g., "gpt-4o", "llama3.1"). Defaults to the provider\'s default model.'
   )
   .option(
     '--ai-temperature <value>',
@@ -135,15 +289,359 @@ program
     parseFloat,
     0.7
   )
+  .option(
+    '--ai-timeout <seconds>',
+    'Abort an AI request that takes longer than this many seconds.',
+    parsePositiveInteger,
+    DEFAULT_TIMEOUT_SECONDS
+  )
+  .option(
+    '--ai-max-retries <number>',
+    'Retry rate-limited, timed-out and failed AI requests up to this many times (0 disables retries).',
+    parseRetryCount,
+    DEFAULT_MAX_RETRIES
+  )
+  .option(
+    '--ai-rpm <number>',
+    'Maximum number of AI requests to send per minute.',
+    parsePositiveInteger
+  )
+  .option(
+    '--ai-tpm <number>',
+    'Maximum number of (estimated) AI tokens to use per minute.',
+    parsePositiveInteger
+  )
   .action(generateAction);
 
+// Define the 'cache' command for managing cached AI responses
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the on-disk cache of AI responses.');
+
+cacheCommand
+  .command('clear')
+  .description('Remove all cached AI responses.')
+  .option(
+    '--cache-dir <dir>',
+    'Directory where AI responses are cached.',
+    DEFAULT_CACHE_DIR
+  )
+  .action(cacheClearAction);
+
+cacheCommand
+  .command('stats')
+  .description('Show the number and total size of cached AI responses.')
+  .option(
+    '--cache-dir <dir>',
+    'Directory where AI responses are cached.',
+    DEFAULT_CACHE_DIR
+  )
+  .action(cacheStatsAction);
+
+// Define the 'check' command for linting documentation in CI
+program
+  .command('check [patterns...]')
+  .description(
+    'Report missing or outdated JSDoc without modifying files or calling the AI; exits non-zero on errors.'
+  )
+  .option(
+    '-c, --config <file>',
+    'Path to a configuration file (defaults to the nearest .aidoccli.json, .aidoccli.js or package.json "aidoccli" key).'
+  )
+  .option(
+    '--exclude <pattern>',
+    'Exclude files matching this glob pattern (can be used multiple times).',
+    (value, previous) => (previous || []).concat(value),
+    []
+  )
+  .option(
+    '--rule <rule=severity>',
+    `Set the severity of a rule (${RULE_NAMES.join(', ')}) to ${SEVERITIES.join(', ')}; can be used multiple times.`,
+    parseRuleSeverity
+  )
+  .action(checkAction);
+
+// Define the 'coverage' command for measuring how much of the code is documented
+program
+  .command('coverage [patterns...]')
+  .description(
+    'Report the percentage of functions, methods, classes and exported constants with complete JSDoc.'
+  )
+  .option(
+    '-c, --config <file>',
+    'Path to a configuration file (defaults to the nearest .aidoccli.json, .aidoccli.js or package.json "aidoccli" key).'
+  )
+  .option(
+    '--exclude <pattern>',
+    'Exclude files matching this glob pattern (can be used multiple times).',
+    (value, previous) => (previous || []).concat(value),
+    []
+  )
+  .addOption(
+    new Option('--format <format>', 'Format of the report.')
+      .choices(COVERAGE_FORMATS)
+      .default('text')
+  )
+  .option(
+    '--report-file <file>',
+    'Write the report to this file instead of printing it.'
+  )
+  .option(
+    '--min-coverage <percent>',
+    'Exit with an error if the overall coverage is below this percentage.',
+    parsePercentage
+  )
+  .action(coverageAction);
+
+// Define the 'docs' command for publishing an API reference from the JSDoc
+program
+  .command('docs [patterns...]')
+  .description(
+    'Generate an API reference from the JSDoc of the matched files, one page per module.'
+  )
+  .option(
+    '-c, --config <file>',
+    'Path to a configuration file (defaults to the nearest .aidoccli.json, .aidoccli.js or package.json "aidoccli" key).'
+  )
+  .option(
+    '--exclude <pattern>',
+    'Exclude files matching this glob pattern (can be used multiple times).',
+    (value, previous) => (previous || []).concat(value),
+    []
+  )
+  .addOption(
+    new Option('-f, --format <format>', 'Format of the reference.')
+      .choices(DOCS_FORMATS)
+      .default('markdown')
+  )
+  .option('-o, --out-dir <dir>', 'Directory to write the reference to.', 'docs')
+  .action(docsAction);
+
+// Define the 'init' command for scaffolding configuration in a new project
+program
+  .command('init')
+  .description(
+    'Detect the project layout and write a starter configuration, .aidocignore and .env.example.'
+  )
+  .addOption(
+    new Option('--format <format>', 'Format of the configuration file.')
+      .choices(['json', 'js'])
+      .default('json')
+  )
+  .option('--force', 'Overwrite files that already exist.', false)
+  .action(initAction);
+
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - The number of bytes.
+ * @returns {string} The formatted size, e.g. "12.3 KB".
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * The action handler for the 'cache clear' command.
+ * @param {object} options - The options object from commander.
+ */
+async function cacheClearAction(options) {
+  try {
+    const removed = await clearCache(options.cacheDir);
+    console.log(
+      `Removed ${removed} cached response(s) from ${options.cacheDir}.`
+    );
+  } catch (error) {
+    handleError(error, 'cache clearing');
+  }
+}
+
+/**
+ * The action handler for the 'cache stats' command.
+ * @param {object} options - The options object from commander.
+ */
+async function cacheStatsAction(options) {
+  try {
+    const stats = await getCacheStats(options.cacheDir);
+    console.log(`Cache directory: ${options.cacheDir}`);
+    console.log(`Cached responses: ${stats.entries}`);
+    console.log(`Total size: ${formatBytes(stats.sizeBytes)}`);
+  } catch (error) {
+    handleError(error, 'cache inspection');
+  }
+}
+
+/**
+ * The action handler for the 'check' command.
+ * Sets a non-zero exit code when any violation has `error` severity.
+ * @param {string[]} patterns - The file patterns provided by the user.
+ * @param {object} options - The options object from commander.
+ * @param {Command} [command] - The commander command being run.
+ */
+async function checkAction(patterns, options, command) {
+  try {
+    await applyConfig(options, command);
+    const effectivePatterns =
+      patterns.length > 0
+        ? patterns
+        : options.patterns || ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'];
+    const { fileCount, violations } = await checkFiles(
+      effectivePatterns,
+      options
+    );
+    if (violations.length === 0) {
+      console.log(`No documentation problems found in ${fileCount} file(s).`);
+      return;
+    }
+    const { errors, warnings } = countViolations(violations);
+    console.log(formatViolations(violations));
+    console.log(
+      `\n${violations.length} problem(s) (${errors} error(s), ${warnings} warning(s)) in ${fileCount} file(s).`
+    );
+    if (errors > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    handleError(error, 'the documentation check');
+  }
+}
+
+/**
+ * The action handler for the 'coverage' command.
+ * Sets a non-zero exit code when coverage is below --min-coverage.
+ * @param {string[]} patterns - The file patterns provided by the user.
+ * @param {object} options - The options object from commander.
+ * @param {Command} [command] - The commander command being run.
+ */
+async function coverageAction(patterns, options, command) {
+  try {
+    await applyConfig(options, command);
+    const effectivePatterns =
+      patterns.length > 0
+        ? patterns
+        : options.patterns || ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'];
+    const coverage = await computeCoverage(effectivePatterns, options);
+    const report = formatCoverage(coverage, options.format);
+    const summary = `Documentation coverage: ${coverage.percentage.toFixed(1)}% (${coverage.documented}/${coverage.total} symbols)`;
+    if (options.reportFile) {
+      await fs.outputFile(options.reportFile, `${report.trimEnd()}\n`, 'utf-8');
+      console.log(`${summary}. Report written to ${options.reportFile}`);
+    } else {
+      console.log(report);
+    }
+    if (
+      options.minCoverage !== undefined &&
+      coverage.percentage < options.minCoverage
+    ) {
+      console.error(
+        `Documentation coverage ${coverage.percentage.toFixed(1)}% is below the minimum of ${options.minCoverage}%.`
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    handleError(error, 'the coverage report');
+  }
+}
+
+/**
+ * The action handler for the 'docs' command.
+ * @param {string[]} patterns - The file patterns provided by the user.
+ * @param {object} options - The options object from commander.
+ * @param {Command} [command] - The commander command being run.
+ */
+async function docsAction(patterns, options, command) {
+  try {
+    await applyConfig(options, command);
+    const effectivePatterns =
+      patterns.length > 0
+        ? patterns
+        : options.patterns || ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'];
+    const reference = await collectApiReference(effectivePatterns, options);
+    const written = await writeApiReference(reference, {
+      outDir: options.outDir,
+      format: options.format,
+    });
+    console.log(
+      `Documented ${reference.modules.length} module(s); wrote ${written.length} file(s) to ${options.outDir}.`
+    );
+  } catch (error) {
+    handleError(error, 'API reference generation');
+  }
+}
+
+/**
+ * The action handler for the 'init' command.
+ * @param {object} options - The options object from commander.
+ */
+async function initAction(options) {
+  try {
+    const { project, files } = await initProject({
+      format: options.format,
+      force: options.force,
+    });
+    console.log(
+      `Detected a ${project.typescript ? 'TypeScript' : 'JavaScript'} project${
+        project.sourceDirs.length > 0
+          ? ` with sources in ${project.sourceDirs.join(', ')}`
+          : ''
+      }.`
+    );
+    for (const { fileName, status } of files) {
+      console.log(
+        status === 'skipped'
+          ? `  Skipped ${fileName} (already exists; use --force to overwrite)`
+          : `  ${status === 'created' ? 'Created' : 'Overwrote'} ${fileName}`
+      );
+    }
+    console.log(
+      '\nNext: copy .env.example to .env, add your API key and run `aidoccli generate`.'
+    );
+  } catch (error) {
+    handleError(error, 'project setup');
+  }
+}
+
+/**
+ * Loads the project configuration and merges it into the CLI options.
+ * Options given explicitly on the command line take precedence.
+ * @param {object} options - The options object from commander, updated in place.
+ * @param {Command} [command] - The commander command, used to tell explicit options from defaults.
+ * @returns {Promise<object>} The merged options.
+ * @throws {Error} If the configuration file is missing or invalid.
+ */
+async function applyConfig(options, command) {
+  const { config, filePath } = await loadConfig({
+    configPath: options.config,
+  });
+  return mergeConfigIntoOptions(
+    options,
+    config,
+    filePath,
+    (key) => command?.getOptionValueSource(key) === 'cli'
+  );
+}
+
 /**
  * The main action handler for the 'generate' command.
  * It orchestrates logging, processing, and error handling.
  * @param {string[]} patterns - The file patterns provided by the user.
  * @param {object} options - The options object from commander.
+ * @param {Command} [command] - The commander command being run.
  */
-async function generateAction(patterns, options) {
+async function generateAction(patterns, options, command) {
+  try {
+    await applyConfig(options, command);
+  } catch (error) {
+    handleError(error);
+    return;
+  }
+  if (patterns.length === 0 && options.patterns) {
+    patterns = options.patterns;
+  }
+  if (options.patch) {
+    options.dryRun = true; // Writing a patch file never touches the source files
+  }
   handleInitialLogging(patterns, options);
 
   const effectivePatterns =
@@ -175,5 +673,16 @@ if (process.env.NODE_ENV === 'test') {
   exports.handleFinalLogging = handleFinalLogging;
   exports.handleError = handleError;
   exports.generateAction = generateAction;
+  exports.cacheClearAction = cacheClearAction;
+  exports.cacheStatsAction = cacheStatsAction;
+  exports.initAction = initAction;
+  exports.checkAction = checkAction;
+  exports.parseRuleSeverity = parseRuleSeverity;
+  exports.coverageAction = coverageAction;
+  exports.parsePercentage = parsePercentage;
+  exports.docsAction = docsAction;
+  exports.formatBytes = formatBytes;
+  exports.parsePositiveInteger = parsePositiveInteger;
+  exports.parseRetryCount = parseRetryCount;
 }
 exports.program = program;
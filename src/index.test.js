@@ -3,9 +3,56 @@ jest.mock('./jsdocGenerator.js', () => ({
   processFilesWithJSDoc: jest.fn(),
 }));
 
+jest.mock('./ai/cache', () => ({
+  DEFAULT_CACHE_DIR: '.aidoccli-cache',
+  clearCache: jest.fn(),
+  getCacheStats: jest.fn(),
+}));
+
+jest.mock('./config/loader', () => ({
+  ...jest.requireActual('./config/loader'),
+  loadConfig: jest.fn().mockResolvedValue({ config: {}, filePath: null }),
+}));
+
+jest.mock('./config/init', () => ({
+  initProject: jest.fn(),
+}));
+
+jest.mock('./check', () => ({
+  ...jest.requireActual('./check'),
+  checkFiles: jest.fn(),
+}));
+
+jest.mock('./coverage', () => ({
+  computeCoverage: jest.fn(),
+}));
+
+jest.mock('./docs', () => ({
+  DOCS_FORMATS: ['markdown', 'html'],
+  collectApiReference: jest.fn(),
+  writeApiReference: jest.fn(),
+}));
+
 const { processFilesWithJSDoc } = require('./jsdocGenerator.js');
+const { collectApiReference, writeApiReference } = require('./docs');
+const { computeCoverage } = require('./coverage');
+const { checkFiles } = require('./check');
+const { initProject } = require('./config/init');
+const { loadConfig } = require('./config/loader');
+const { clearCache, getCacheStats } = require('./ai/cache');
 const {
   generateAction,
+  cacheClearAction,
+  cacheStatsAction,
+  initAction,
+  checkAction,
+  parseRuleSeverity,
+  coverageAction,
+  parsePercentage,
+  docsAction,
+  formatBytes,
+  parsePositiveInteger,
+  parseRetryCount,
   handleInitialLogging,
   handleFinalLogging,
   handleError,
@@ -55,6 +102,59 @@ describe('CLI Commands', () => {
         expect(processFilesWithJSDoc).toHaveBeenCalledWith(patterns, options);
       });
 
+      it('should enable dry-run mode when a patch file is requested', async () => {
+        const options = { exclude: [], patch: 'changes.patch' };
+        await generateAction([], options);
+
+        expect(options.dryRun).toBe(true);
+        expect(processFilesWithJSDoc).toHaveBeenCalledWith(
+          expect.any(Array),
+          expect.objectContaining({ dryRun: true, patch: 'changes.patch' })
+        );
+      });
+
+      it('should merge the configuration file under explicit CLI options', async () => {
+        loadConfig.mockResolvedValueOnce({
+          config: {
+            patterns: ['lib/**/*.js'],
+            aiModel: 'config-model',
+            concurrency: 2,
+          },
+          filePath: '/project/.aidoccli.json',
+        });
+        const command = {
+          getOptionValueSource: (key) =>
+            key === 'aiModel' ? 'cli' : 'default',
+        };
+        const options = { exclude: [], aiModel: 'cli-model', concurrency: 4 };
+        await generateAction([], options, command);
+
+        expect(processFilesWithJSDoc).toHaveBeenCalledWith(
+          ['lib/**/*.js'],
+          expect.objectContaining({
+            aiModel: 'cli-model',
+            concurrency: 2,
+            configFile: '/project/.aidoccli.json',
+          })
+        );
+        expect(console.log).toHaveBeenCalledWith(
+          'Configuration: /project/.aidoccli.json'
+        );
+      });
+
+      it('should report an invalid configuration without processing files', async () => {
+        const configError = new Error(
+          'Invalid configuration in .aidoccli.json'
+        );
+        loadConfig.mockRejectedValueOnce(configError);
+
+        await generateAction([], { exclude: [], config: '.aidoccli.json' });
+
+        expect(processFilesWithJSDoc).not.toHaveBeenCalled();
+        expect(console.error).toHaveBeenCalledWith(configError);
+        expect(process.exitCode).toBe(1);
+      });
+
       it('should call logging helpers on successful execution', async () => {
         const options = { exclude: [] };
         await generateAction([], options);
@@ -107,6 +207,19 @@ describe('CLI Commands', () => {
           expect(options.verbose).toBe(false);
         });
 
+        it('should warn and disable --overwrite-all-jsdoc if --only-new is also present', () => {
+          const options = {
+            onlyNew: true,
+            overwriteAllJsdoc: true,
+            exclude: [],
+          };
+          handleInitialLogging([], options);
+          expect(console.warn).toHaveBeenCalledWith(
+            'Warning: --only-new and --overwrite-all-jsdoc are mutually exclusive. --only-new will take precedence.'
+          );
+          expect(options.overwriteAllJsdoc).toBe(false);
+        });
+
         it('should log excluded patterns when provided', () => {
           const options = { exclude: ['node_modules/**', '*.test.js'] };
           handleInitialLogging([], options);
@@ -115,6 +228,21 @@ describe('CLI Commands', () => {
           );
         });
 
+        it('should log the output directory when it is not the current directory', () => {
+          const options = { output: 'documented', exclude: [] };
+          handleInitialLogging([], options);
+          expect(console.log).toHaveBeenCalledWith(
+            'Output Directory: documented'
+          );
+        });
+
+        it('should log when AI calls are disabled with --no-ai', () => {
+          handleInitialLogging([], { ai: false, exclude: [] });
+          expect(console.log).toHaveBeenCalledWith(
+            'AI disabled: docblocks will be generated from static analysis only.'
+          );
+        });
+
         it('should log dry-run information when enabled', () => {
           const options = { dryRun: true, exclude: [] };
           handleInitialLogging([], options);
@@ -124,6 +252,18 @@ describe('CLI Commands', () => {
           );
         });
 
+        it('should log the patch file destination in dry-run mode', () => {
+          const options = {
+            dryRun: true,
+            patch: 'changes.patch',
+            exclude: [],
+          };
+          handleInitialLogging([], options);
+          expect(console.log).toHaveBeenCalledWith(
+            'Proposed changes will be written to: changes.patch'
+          );
+        });
+
         it('should not log anything when --quiet is true (and not verbose)', () => {
           const options = { quiet: true, exclude: [] };
           handleInitialLogging([], options);
@@ -131,6 +271,35 @@ describe('CLI Commands', () => {
         });
       });
 
+      describe('parsePositiveInteger', () => {
+        it('should accept positive integers', () => {
+          expect(parsePositiveInteger('8')).toBe(8);
+        });
+
+        it('should reject zero, negative and non-integer values', () => {
+          for (const value of ['0', '-2', '1.5', 'many']) {
+            expect(() => parsePositiveInteger(value)).toThrow(
+              'Must be a positive integer.'
+            );
+          }
+        });
+      });
+
+      describe('parseRetryCount', () => {
+        it('should accept zero to disable retries', () => {
+          expect(parseRetryCount('0')).toBe(0);
+          expect(parseRetryCount('3')).toBe(3);
+        });
+
+        it('should reject negative and non-integer values', () => {
+          for (const value of ['-1', '2.5', 'often']) {
+            expect(() => parseRetryCount(value)).toThrow(
+              'Must be zero or a positive integer.'
+            );
+          }
+        });
+      });
+
       describe('handleFinalLogging', () => {
         it('should log completion message and dry-run reminder', () => {
           handleFinalLogging({ dryRun: true });
@@ -173,11 +342,279 @@ describe('CLI Commands', () => {
           expect(console.error).toHaveBeenCalledWith(testError);
           expect(process.exitCode).toBe(1);
         });
+
+        it('should name the activity of the command that failed', () => {
+          handleError(new Error('No such file'), 'project setup');
+          expect(console.error).toHaveBeenCalledWith(
+            '\n--- An error occurred during project setup ---'
+          );
+        });
       });
     });
   });
 });
 
+describe('cache command', () => {
+  const originalConsole = { ...console };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    Object.assign(console, originalConsole);
+  });
+
+  it('should clear the cache directory and report the number of entries removed', async () => {
+    clearCache.mockResolvedValueOnce(3);
+    await cacheClearAction({ cacheDir: '.aidoccli-cache' });
+
+    expect(clearCache).toHaveBeenCalledWith('.aidoccli-cache');
+    expect(console.log).toHaveBeenCalledWith(
+      'Removed 3 cached response(s) from .aidoccli-cache.'
+    );
+  });
+
+  it('should print cache statistics', async () => {
+    getCacheStats.mockResolvedValueOnce({ entries: 2, sizeBytes: 2048 });
+    await cacheStatsAction({ cacheDir: '.aidoccli-cache' });
+
+    expect(console.log).toHaveBeenCalledWith('Cached responses: 2');
+    expect(console.log).toHaveBeenCalledWith('Total size: 2.0 KB');
+  });
+
+  it('should format byte counts for display', () => {
+    expect(formatBytes(512)).toBe('512 B');
+    expect(formatBytes(1536)).toBe('1.5 KB');
+    expect(formatBytes(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+});
+
+describe('check command', () => {
+  const originalConsole = { ...console };
+  let originalExitCode;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+    console.error = jest.fn();
+    originalExitCode = process.exitCode;
+    process.exitCode = undefined;
+  });
+
+  afterAll(() => {
+    Object.assign(console, originalConsole);
+    process.exitCode = originalExitCode;
+  });
+
+  it('should report failures as failures of the check', async () => {
+    checkFiles.mockRejectedValueOnce(new Error('EISDIR'));
+    await checkAction([], { exclude: [] });
+
+    expect(console.error).toHaveBeenCalledWith(
+      '\n--- An error occurred during the documentation check ---'
+    );
+    expect(process.exitCode).toBe(1);
+  });
+
+  it('should exit non-zero when errors are found', async () => {
+    checkFiles.mockResolvedValueOnce({
+      fileCount: 2,
+      violations: [
+        {
+          filePath: 'a.js',
+          line: 1,
+          column: 1,
+          severity: 'error',
+          message: 'Missing JSDoc for function "a".',
+          rule: 'missing-jsdoc',
+        },
+      ],
+    });
+    await checkAction([], { exclude: [] });
+
+    expect(checkFiles).toHaveBeenCalledWith(
+      ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'],
+      expect.any(Object)
+    );
+    expect(console.log).toHaveBeenCalledWith(
+      '\n1 problem(s) (1 error(s), 0 warning(s)) in 2 file(s).'
+    );
+    expect(process.exitCode).toBe(1);
+  });
+
+  it('should pass when only warnings are found', async () => {
+    checkFiles.mockResolvedValueOnce({
+      fileCount: 1,
+      violations: [
+        {
+          filePath: 'a.js',
+          line: 1,
+          column: 1,
+          severity: 'warning',
+          message: 'Placeholder.',
+          rule: 'placeholder',
+        },
+      ],
+    });
+    await checkAction(['src/**/*.js'], { exclude: [] });
+
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it('should report a clean run', async () => {
+    checkFiles.mockResolvedValueOnce({ fileCount: 3, violations: [] });
+    await checkAction([], { exclude: [] });
+
+    expect(console.log).toHaveBeenCalledWith(
+      'No documentation problems found in 3 file(s).'
+    );
+  });
+
+  it('should parse and accumulate --rule options', () => {
+    const rules = parseRuleSeverity('placeholder=off', {
+      'missing-returns': 'warning',
+    });
+    expect(rules).toEqual({ 'missing-returns': 'warning', placeholder: 'off' });
+    expect(() => parseRuleSeverity('nope=off')).toThrow('Unknown rule "nope"');
+    expect(() => parseRuleSeverity('placeholder=loud')).toThrow(
+      'Severity must be one of error, warning, off.'
+    );
+  });
+});
+
+describe('coverage command', () => {
+  const originalConsole = { ...console };
+  let originalExitCode;
+  const coverage = {
+    files: [
+      {
+        filePath: 'a.js',
+        total: 4,
+        documented: 3,
+        percentage: 75,
+        undocumented: [{ name: 'a', kind: 'function', line: 1 }],
+      },
+    ],
+    total: 4,
+    documented: 3,
+    percentage: 75,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+    console.error = jest.fn();
+    originalExitCode = process.exitCode;
+    process.exitCode = undefined;
+  });
+
+  afterAll(() => {
+    Object.assign(console, originalConsole);
+    process.exitCode = originalExitCode;
+  });
+
+  it('should print the report in the requested format', async () => {
+    computeCoverage.mockResolvedValueOnce(coverage);
+    await coverageAction([], { exclude: [], format: 'json' });
+
+    expect(JSON.parse(console.log.mock.calls[0][0])).toEqual(coverage);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  it('should fail when coverage is below --min-coverage', async () => {
+    computeCoverage.mockResolvedValueOnce(coverage);
+    await coverageAction([], { exclude: [], format: 'text', minCoverage: 80 });
+
+    expect(console.error).toHaveBeenCalledWith(
+      'Documentation coverage 75.0% is below the minimum of 80%.'
+    );
+    expect(process.exitCode).toBe(1);
+  });
+
+  it('should validate --min-coverage values', () => {
+    expect(parsePercentage('85.5')).toBe(85.5);
+    for (const value of ['-1', '101', 'most', '']) {
+      expect(() => parsePercentage(value)).toThrow(
+        'Must be a number from 0 to 100.'
+      );
+    }
+  });
+});
+
+describe('docs command', () => {
+  const originalConsole = { ...console };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+  });
+
+  afterAll(() => {
+    Object.assign(console, originalConsole);
+  });
+
+  it('should write the reference for the configured patterns', async () => {
+    const reference = { modules: [{ name: 'src/a.js' }] };
+    loadConfig.mockResolvedValueOnce({
+      config: { patterns: ['src/**/*.js'] },
+      filePath: '/project/.aidoccli.json',
+    });
+    collectApiReference.mockResolvedValueOnce(reference);
+    writeApiReference.mockResolvedValueOnce(['docs/src/a.md', 'docs/index.md']);
+
+    await docsAction([], { exclude: [], format: 'markdown', outDir: 'docs' });
+
+    expect(collectApiReference).toHaveBeenCalledWith(
+      ['src/**/*.js'],
+      expect.objectContaining({ outDir: 'docs' })
+    );
+    expect(writeApiReference).toHaveBeenCalledWith(reference, {
+      outDir: 'docs',
+      format: 'markdown',
+    });
+    expect(console.log).toHaveBeenCalledWith(
+      'Documented 1 module(s); wrote 2 file(s) to docs.'
+    );
+  });
+});
+
+describe('init command', () => {
+  const originalConsole = { ...console };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    console.log = jest.fn();
+    console.error = jest.fn();
+  });
+
+  afterAll(() => {
+    Object.assign(console, originalConsole);
+  });
+
+  it('should report the detected project and the files written', async () => {
+    initProject.mockResolvedValueOnce({
+      project: { typescript: true, sourceDirs: ['src'] },
+      files: [
+        { fileName: '.aidoccli.json', status: 'created' },
+        { fileName: '.aidocignore', status: 'skipped' },
+      ],
+    });
+    await initAction({ format: 'json', force: false });
+
+    expect(initProject).toHaveBeenCalledWith({ format: 'json', force: false });
+    expect(console.log).toHaveBeenCalledWith(
+      'Detected a TypeScript project with sources in src.'
+    );
+    expect(console.log).toHaveBeenCalledWith('  Created .aidoccli.json');
+    expect(console.log).toHaveBeenCalledWith(
+      '  Skipped .aidocignore (already exists; use --force to overwrite)'
+    );
+  });
+});
+
 describe('runCli entry point', () => {
   const originalArgv = process.argv;
   let parseSpy;
@@ -1,7 +1,19 @@
 // src/inference/engine.js
 
 const ts = require('typescript');
-const { callOpenAI } = require('../ai/openai');
+const { callAI } = require('../ai');
+const {
+  describeFunctionName,
+  describeConstructor,
+  describeClassName,
+  describePropertyName,
+  describeAccessor,
+  describeReturns,
+  describeYields,
+  describeGeneratorReturns,
+  describeTypeParameters,
+  collectThrownErrors,
+} = require('./heuristics');
 
 /**
  * Generates a default description for a parameter.
@@ -10,12 +22,271 @@ const { callOpenAI } = require('../ai/openai');
  * @returns {string} The generated parameter description.
  */
 function getParamDescription(paramName, inferredTypeString) {
-  if (paramName === 'options' && inferredTypeString === 'object') {
+  // Inline object types such as `{ timeout?: number; }` are too long to repeat
+  const isObject =
+    inferredTypeString === 'object' || inferredTypeString.startsWith('{');
+  if (paramName === 'options' && isObject) {
     return 'Configuration options.';
   }
+  if (inferredTypeString.startsWith('{')) {
+    return `The ${paramName} object.`;
+  }
+  if (inferredTypeString.startsWith('...')) {
+    const elementType = inferredTypeString.slice(3);
+    return elementType === '*'
+      ? `The values of ${paramName}.`
+      : `The ${elementType} values of ${paramName}.`;
+  }
   return `The ${inferredTypeString} value of ${paramName}.`;
 }
 
+// Names given to destructured parameters, which have none of their own.
+const DESTRUCTURED_PARAM_NAMES = {
+  [ts.SyntaxKind.ObjectBindingPattern]: 'options',
+  [ts.SyntaxKind.ArrayBindingPattern]: 'values',
+};
+
+// Types written for destructured parameters without a type annotation.
+const DESTRUCTURED_PARAM_TYPES = {
+  [ts.SyntaxKind.ObjectBindingPattern]: 'object',
+  [ts.SyntaxKind.ArrayBindingPattern]: 'Array',
+};
+
+/**
+ * Converts the type of a parameter or binding element to a JSDoc type string.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.ParameterDeclaration|ts.BindingElement} node - The declaration.
+ * @returns {{type: string, untyped: boolean}} The type, and whether it is only a
+ * fallback because TypeScript inferred `any` for an unannotated declaration.
+ */
+function inferDeclarationType(checker, node) {
+  const type = checker.typeToString(checker.getTypeAtLocation(node.name));
+  if (type !== 'any') {
+    return { type, untyped: false };
+  }
+  // Try to refine 'any' if possible or if not explicitly typed
+  if (node.type) {
+    return { type: node.type.getText(), untyped: false }; // Use the raw text if 'any' is too broad
+  }
+  // Fallback to basic types for untyped JS if TS gives 'any'
+  return { type: 'object', untyped: true }; // Or 'any' if truly unknown
+}
+
+/**
+ * Returns the default value of a parameter, binding element or class field as
+ * written in the source, on a single line so that it fits in a `[name=default]`
+ * tag.
+ * @param {ts.ParameterDeclaration|ts.BindingElement|ts.PropertyDeclaration} node -
+ * The declaration.
+ * @returns {string|undefined} The default value, if there is one.
+ */
+function getDefaultValue(node) {
+  return node.initializer?.getText().replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Describes the properties bound by a destructuring pattern, including those of
+ * nested patterns. Rest elements are skipped, as they have no name of their own.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.BindingPattern} pattern - The object or array pattern.
+ * @param {string} prefix - The documented name of the destructured value, e.g.
+ * `options`.
+ * @param {boolean} annotated - Whether the parameter has a type annotation. The
+ * types TypeScript infers for unannotated nested patterns only mirror their shape.
+ * @returns {Array<object>} The properties, named `prefix.key` for objects and
+ * `prefix.0` for arrays, in source order.
+ */
+function describeBindingPattern(checker, pattern, prefix, annotated) {
+  const properties = [];
+  pattern.elements.forEach((element, index) => {
+    if (ts.isOmittedExpression(element) || element.dotDotDotToken) {
+      return;
+    }
+    const key = ts.isArrayBindingPattern(pattern)
+      ? String(index)
+      : (element.propertyName || element.name).getText();
+    const name = `${prefix}.${key}`;
+    let { type, untyped } = inferDeclarationType(checker, element);
+    if (!ts.isIdentifier(element.name) && (untyped || !annotated)) {
+      type = DESTRUCTURED_PARAM_TYPES[element.name.kind];
+      untyped = true;
+    }
+    const defaultValue = getDefaultValue(element);
+    properties.push({
+      name,
+      type,
+      optional: defaultValue !== undefined,
+      defaultValue,
+      description: getParamDescription(
+        ts.isIdentifier(element.name) ? element.name.text : key,
+        type
+      ),
+      untyped,
+    });
+    if (!ts.isIdentifier(element.name)) {
+      properties.push(
+        ...describeBindingPattern(checker, element.name, name, annotated)
+      );
+    }
+  });
+  return properties;
+}
+
+/**
+ * Picks the documented name of a parameter. Destructured parameters are named
+ * after what they usually hold, e.g. `options`, numbered if that name is taken.
+ * @param {ts.ParameterDeclaration} param - The parameter.
+ * @param {ts.NodeArray<ts.ParameterDeclaration>} parameters - All parameters of
+ * the function.
+ * @returns {string} The name.
+ */
+function getParamName(param, parameters) {
+  if (ts.isIdentifier(param.name)) {
+    return param.name.text;
+  }
+  const base = DESTRUCTURED_PARAM_NAMES[param.name.kind];
+  const taken = parameters
+    .slice(0, parameters.indexOf(param))
+    .map((other) => getParamName(other, parameters))
+    .concat(
+      parameters
+        .filter((other) => ts.isIdentifier(other.name))
+        .map((other) => other.name.text)
+    );
+  let name = base;
+  for (let suffix = 2; taken.includes(name); suffix++) {
+    name = `${base}${suffix}`;
+  }
+  return name;
+}
+
+/**
+ * Infers the documentation of a single parameter. Destructured parameters also
+ * get their bound `properties`, and rest parameters a `...type`.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.ParameterDeclaration} param - The parameter.
+ * @param {ts.NodeArray<ts.ParameterDeclaration>} parameters - All parameters of
+ * the function, used to name destructured parameters.
+ * @returns {object} The parameter's name, type, description, whether it is
+ * optional, its default value and its properties.
+ */
+function inferParameter(checker, param, parameters) {
+  const paramName = getParamName(param, parameters);
+  let { type: inferredTypeString, untyped } = inferDeclarationType(
+    checker,
+    param
+  );
+  const destructured = !ts.isIdentifier(param.name);
+  if (destructured && !param.type) {
+    inferredTypeString = DESTRUCTURED_PARAM_TYPES[param.name.kind];
+    untyped = true;
+  }
+
+  if (param.dotDotDotToken) {
+    // Rest parameters are documented by the type of a single argument
+    const elementType = checker.getIndexTypeOfType(
+      checker.getTypeAtLocation(param.name),
+      ts.IndexKind.Number
+    );
+    const elementTypeString = elementType
+      ? checker.typeToString(elementType)
+      : 'any';
+    inferredTypeString = `...${elementTypeString === 'any' ? '*' : elementTypeString}`;
+  }
+
+  const inferred = {
+    name: paramName,
+    type: inferredTypeString,
+    description: getParamDescription(paramName, inferredTypeString),
+    // Written as `[name]` or `[name=default]`; rest parameters use `...type`
+    optional: !param.dotDotDotToken && checker.isOptionalParameter(param),
+    defaultValue: getDefaultValue(param),
+    // The type is a guess; a documented type is kept instead
+    untyped,
+  };
+  if (destructured) {
+    inferred.destructured = true;
+    inferred.properties = describeBindingPattern(
+      checker,
+      param.name,
+      paramName,
+      Boolean(param.type)
+    );
+  }
+  return inferred;
+}
+
+/**
+ * Splits the return type of a generator function into the type of the values it
+ * yields and the type it returns when done. Both come from the type arguments of
+ * `Generator<T, TReturn>`, `AsyncGenerator<T, TReturn>` or an iterable type.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.Type} returnType - The return type of the generator function.
+ * @returns {{yieldType: string, returnType: string}} The two types; `returnType`
+ * is `void` unless the generator returns a value.
+ */
+function getGeneratorTypes(checker, returnType) {
+  const [yieldType, returnValueType] =
+    returnType.objectFlags & ts.ObjectFlags.Reference
+      ? checker
+          .getTypeArguments(returnType)
+          .map((type) => checker.typeToString(type))
+      : [];
+  return {
+    yieldType: yieldType || 'any',
+    returnType:
+      !returnValueType || ['undefined', 'any'].includes(returnValueType)
+        ? 'void'
+        : returnValueType,
+  };
+}
+
+// Modifier tags of class members, in the order they are written.
+const MODIFIER_TAGS = [
+  [ts.ModifierFlags.Private, 'private'],
+  [ts.ModifierFlags.Protected, 'protected'],
+  [ts.ModifierFlags.Abstract, 'abstract'],
+  [ts.ModifierFlags.Async, 'async'],
+  [ts.ModifierFlags.Readonly, 'readonly'],
+];
+
+/**
+ * Derives the JSDoc modifier tags of a class member from its declaration:
+ * `@static` or `@instance`, and then its access level and other modifiers.
+ * `#private` members are `@private` too.
+ * @param {ts.Declaration} [declaration] - The member's declaration.
+ * @param {ts.FunctionLikeDeclaration} [fn] - The function that implements the
+ * member, if it is not the declaration itself, e.g. the arrow function a field
+ * holds; its `async` modifier counts as the member's.
+ * @returns {string[]} The tag names, without `@`, or none for constructors and
+ * declarations that are not class members, such as methods of object literals.
+ */
+function getModifierTags(declaration, fn = declaration) {
+  if (
+    !declaration ||
+    !ts.isClassElement(declaration) ||
+    !ts.isClassLike(declaration.parent) ||
+    ts.isConstructorDeclaration(declaration)
+  ) {
+    return [];
+  }
+  const flags =
+    ts.getCombinedModifierFlags(declaration) |
+    (fn !== declaration ? ts.getCombinedModifierFlags(fn) : 0);
+  const tags = [flags & ts.ModifierFlags.Static ? 'static' : 'instance'];
+  for (const [flag, tag] of MODIFIER_TAGS) {
+    if (flags & flag) tags.push(tag);
+  }
+  if (
+    declaration.name &&
+    ts.isPrivateIdentifier(declaration.name) &&
+    !tags.includes('private')
+  ) {
+    tags.splice(1, 0, 'private');
+  }
+  return tags;
+}
+
 /**
  * Infers JSDoc details for a class based on its TypeScript Symbol.
  * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
@@ -31,49 +302,18 @@ async function inferClassJSDoc(checker, classSymbol, rawCode, options) {
   let constructorParams = [];
   let extendsClass = null;
 
-  // Get constructor parameters
-  const constructorDeclaration =
-    classSymbol.members?.get('constructor')?.declarations?.[0];
-
-  if (
+  // Get constructor parameters; the checker keys constructors by an internal name
+  const constructorDeclaration = classSymbol.members?.get(
+    ts.InternalSymbolName.Constructor
+  )?.declarations?.[0];
+  const hasConstructor = Boolean(
     constructorDeclaration &&
-    ts.isConstructorDeclaration(constructorDeclaration)
-  ) {
-    constructorParams = await Promise.all(
-      constructorDeclaration.parameters.map(async (param) => {
-        const paramName = param.name.getText();
-        const paramType = checker.getTypeOfSymbolAtLocation(
-          checker.getSymbolAtLocation(param.name),
-          param.name
-        );
-        let inferredTypeString = checker.typeToString(paramType);
-        if (inferredTypeString === 'any') {
-          // Try to refine 'any' if possible or if not explicitly typed
-          const typeNode = param.type;
-          if (typeNode) {
-            inferredTypeString = typeNode.getText(); // Use the raw text if 'any' is too broad
-          } else {
-            // Fallback to basic types for untyped JS if TS gives 'any'
-            inferredTypeString = 'object'; // Or 'any' if truly unknown
-          }
-        }
-
-        let defaultValue = null;
-        if (param.initializer) {
-          defaultValue = param.initializer.getText();
-        }
+      ts.isConstructorDeclaration(constructorDeclaration)
+  );
 
-        let desc = getParamDescription(paramName, inferredTypeString);
-        if (defaultValue !== null) {
-          desc += ` Defaults to \`${defaultValue}\`.`;
-        }
-
-        return {
-          name: paramName,
-          type: inferredTypeString,
-          description: desc,
-        };
-      })
+  if (hasConstructor) {
+    constructorParams = constructorDeclaration.parameters.map((param) =>
+      inferParameter(checker, param, constructorDeclaration.parameters)
     );
   }
 
@@ -83,9 +323,27 @@ async function inferClassJSDoc(checker, classSymbol, rawCode, options) {
   if (extendsClause) {
     extendsClass = extendsClause.getText();
   }
+  const typeParams = describeTypeParameters(classSymbol.declarations?.[0]);
+
+  // Offline mode: describe the class from static analysis only
+  const heuristicJSDoc = {
+    name: className,
+    description: describeClassName(className, extendsClass),
+    examples: [],
+    constructorParams,
+    // Only a declared constructor is documented with `@constructor`
+    constructorDescription: hasConstructor
+      ? describeConstructor(className)
+      : undefined,
+    extendsClass,
+    typeParams,
+  };
+  if (options.ai === false) {
+    return heuristicJSDoc;
+  }
 
   try {
-    const response = await callOpenAI(
+    const response = await callAI(
       `
             Given the TypeScript/JavaScript class "${className}" with the following code:
             \`\`\`typescript
@@ -116,23 +374,19 @@ async function inferClassJSDoc(checker, classSymbol, rawCode, options) {
       description,
       examples,
       constructorParams,
-      constructorDescription: parsedResponse.constructorDescription,
+      constructorDescription: hasConstructor
+        ? parsedResponse.constructorDescription
+        : undefined,
       extendsClass,
+      typeParams,
     };
   } catch (error) {
     console.error(
-      `Error inferring JSDoc for class ${className} with OpenAI:`,
+      `Error inferring JSDoc for class ${className} with AI:`,
       error.message
     );
     // Fallback with basic inference
-    return {
-      name: className,
-      description: `A class representing ${className}.`,
-      examples: [],
-      constructorParams,
-      constructorDescription: `Initializes a new instance of the ${className} class.`,
-      extendsClass,
-    };
+    return heuristicJSDoc;
   }
 }
 
@@ -154,59 +408,58 @@ async function inferFunctionOrConstructorJSDoc(
   let description = 'Description placeholder.';
   const params = [];
   let returns = { type: 'void', description: 'The result of the operation.' };
+  let yields = null;
   const throws = [];
   const examples = [];
+  let typeParams = [];
 
   // Get parameters
-  const declaration = symbol.declarations?.[0];
+  const member = symbol.declarations?.[0];
+  let declaration = member;
   let isAsync = false;
+  let isGenerator = false;
+
+  // `const fn = () => {}` declares a variable, and `fn = () => {}` in a class a
+  // field; document the function it holds
+  if (
+    declaration &&
+    (ts.isVariableDeclaration(declaration) ||
+      ts.isPropertyDeclaration(declaration)) &&
+    declaration.initializer &&
+    (ts.isArrowFunction(declaration.initializer) ||
+      ts.isFunctionExpression(declaration.initializer))
+  ) {
+    declaration = declaration.initializer;
+  }
+  const modifiers = getModifierTags(member, declaration);
+  // Getters document the property they read with `@type` instead of `@returns`
+  const accessor =
+    declaration &&
+    (ts.isGetAccessorDeclaration(declaration)
+      ? 'get'
+      : ts.isSetAccessorDeclaration(declaration)
+        ? 'set'
+        : null);
+  let type;
 
   if (
     declaration &&
     (ts.isFunctionDeclaration(declaration) ||
       ts.isMethodDeclaration(declaration) ||
       ts.isConstructorDeclaration(declaration) ||
-      ts.isArrowFunction(declaration))
+      accessor ||
+      ts.isArrowFunction(declaration) ||
+      ts.isFunctionExpression(declaration))
   ) {
     // Check for async keyword
     isAsync =
       ts.isFunctionLike(declaration) &&
       (ts.getCombinedModifierFlags(declaration) & ts.ModifierFlags.Async) !== 0;
+    isGenerator = Boolean(declaration.asteriskToken);
+    typeParams = describeTypeParameters(declaration);
 
     for (const param of declaration.parameters) {
-      const paramSymbol = checker.getSymbolAtLocation(param.name);
-      const paramName = paramSymbol.getName();
-      const paramType = checker.getTypeOfSymbolAtLocation(
-        paramSymbol,
-        param.name
-      );
-      let inferredTypeString = checker.typeToString(paramType);
-      if (inferredTypeString === 'any') {
-        // Try to refine 'any' if possible or if not explicitly typed
-        const typeNode = param.type;
-        if (typeNode) {
-          inferredTypeString = typeNode.getText(); // Use the raw text if 'any' is too broad
-        } else {
-          // Fallback to basic types for untyped JS if TS gives 'any'
-          inferredTypeString = 'object'; // Or 'any' if truly unknown
-        }
-      }
-
-      let defaultValue = null;
-      if (param.initializer) {
-        defaultValue = param.initializer.getText();
-      }
-
-      let desc = getParamDescription(paramName, inferredTypeString);
-      if (defaultValue !== null) {
-        desc += ` Defaults to \`${defaultValue}\`.`;
-      }
-
-      params.push({
-        name: paramName,
-        type: inferredTypeString,
-        description: desc,
-      });
+      params.push(inferParameter(checker, param, declaration.parameters));
     }
 
     // Get return type
@@ -215,8 +468,13 @@ async function inferFunctionOrConstructorJSDoc(
       const returnType = checker.getReturnTypeOfSignature(signature);
       let returnTypeString = checker.typeToString(returnType);
 
-      // Handle Promises for async functions
-      if (isAsync && returnTypeString.startsWith('Promise<')) {
+      if (isGenerator) {
+        // Generators are documented by what they yield and what they finally return
+        const generatorTypes = getGeneratorTypes(checker, returnType);
+        yields = { type: generatorTypes.yieldType, description: '' };
+        returnTypeString = generatorTypes.returnType;
+      } else if (isAsync && returnTypeString.startsWith('Promise<')) {
+        // Handle Promises for async functions
         // If it's explicitly typed as Promise<void>, keep it. Otherwise, extract inner type.
         if (returnTypeString !== 'Promise<void>') {
           const match = returnTypeString.match(/Promise<(.*)>/);
@@ -235,8 +493,65 @@ async function inferFunctionOrConstructorJSDoc(
       }
       returns.type = returnTypeString || 'void';
     }
+    if (accessor === 'get') {
+      type = returns.type === 'any' ? '*' : returns.type;
+      returns = null;
+    } else if (ts.isConstructorDeclaration(declaration)) {
+      // A constructor returns the instance its class documents
+      returns = null;
+    }
   }
 
+  const thrownErrors = collectThrownErrors(declaration);
+
+  /**
+   * Fills the description, returns and throws from static analysis alone.
+   */
+  const applyHeuristics = () => {
+    if (accessor) {
+      description = describeAccessor(functionName, accessor);
+    } else if (declaration && ts.isConstructorDeclaration(declaration)) {
+      description = describeConstructor(declaration.parent.name?.text);
+    } else {
+      description = describeFunctionName(functionName);
+    }
+    if (returns) {
+      returns.description = describeReturns(functionName, returns.type);
+    }
+    if (yields) {
+      yields.description = describeYields(yields.type, isAsync);
+      returns.description = describeGeneratorReturns(returns.type);
+    }
+    throws.push(...thrownErrors);
+  };
+
+  // Offline mode: never contact the AI provider
+  if (options.ai === false) {
+    applyHeuristics();
+    return {
+      functionName,
+      description,
+      params,
+      returns,
+      yields,
+      type,
+      modifiers,
+      throws,
+      examples,
+      typeParams,
+    };
+  }
+
+  // Generators are asked about what they yield; other prompts are unchanged so
+  // that cached responses stay valid
+  const returnsRequest = yields
+    ? `A brief description of each value it yields (${yields.type}), and of the value it returns when done, if any.`
+    : 'A brief description for what it returns.';
+  const yieldsField = yields
+    ? `
+                "yieldsDescription": "...",`
+    : '';
+
   try {
     const prompt = `
             Given the TypeScript/JavaScript code for the function/method "${functionName}" and its signature:
@@ -245,26 +560,33 @@ async function inferFunctionOrConstructorJSDoc(
             \`\`\`
             Based on the code, generate:
             1. A concise, professional description for the function/method.
-            2. A brief description for what it returns.
+            2. ${returnsRequest}
             3. A brief description for any errors it might throw.
             4. One to two relevant, runnable JavaScript/TypeScript example usage blocks demonstrating its primary functionality. Ensure examples are valid code and follow JSDoc example block format. Cover happy path, and if applicable, edge cases or throwing paths.
 
             Format the output as a JSON object:
             {
                 "description": "...",
-                "returnsDescription": "...",
+                "returnsDescription": "...",${yieldsField}
                 "throwsDescription": ["Error message 1", "Error message 2"],
                 "examples": ["Example block 1", "Example block 2"]
             }
             If no descriptions, returns, throws, or examples are needed, provide empty arrays or strings.
             `;
 
-    const response = await callOpenAI(prompt, options);
+    const response = await callAI(prompt, options);
     const parsedResponse = JSON.parse(response);
 
     description = parsedResponse.description || description;
-    returns.description =
-      parsedResponse.returnsDescription || returns.description;
+    if (returns) {
+      returns.description =
+        parsedResponse.returnsDescription || returns.description;
+    }
+    if (yields) {
+      yields.description =
+        parsedResponse.yieldsDescription ||
+        describeYields(yields.type, isAsync);
+    }
     if (
       parsedResponse.throwsDescription &&
       parsedResponse.throwsDescription.length > 0
@@ -273,21 +595,93 @@ async function inferFunctionOrConstructorJSDoc(
       parsedResponse.throwsDescription.forEach((errDesc) =>
         throws.push({ description: errDesc })
       );
+    } else {
+      throws.push(...thrownErrors); // Keep statically detected errors the AI did not mention
     }
     parsedResponse.examples?.forEach((example) => examples.push(example));
   } catch (error) {
     console.error(
-      `Error inferring JSDoc for ${functionName} with OpenAI:`,
+      `Error inferring JSDoc for ${functionName} with AI:`,
       error.message
     );
-    // Fallback with basic inference if OpenAI fails
-    description = `Performs the operation related to ${functionName}.`;
+    // Fallback with basic inference if the AI call fails
+    applyHeuristics();
   }
 
-  return { functionName, description, params, returns, throws, examples };
+  return {
+    functionName,
+    description,
+    params,
+    returns,
+    yields,
+    type,
+    modifiers,
+    throws,
+    examples,
+    typeParams,
+  };
+}
+
+/**
+ * Infers JSDoc details for a class field based on its TypeScript Symbol.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.Symbol} symbol - TypeScript Symbol for the field.
+ * @param {string} rawCode - The raw code string of the field.
+ * @param {object} options - The CLI options object.
+ * @returns {Promise<object>} Inferred JSDoc properties: the field's description,
+ * type, default value and modifier tags.
+ */
+async function inferPropertyJSDoc(checker, symbol, rawCode, options) {
+  const propertyName = symbol.getName();
+  const declaration = symbol.declarations?.[0];
+  let type = '*';
+  if (declaration && ts.isPropertyDeclaration(declaration)) {
+    const inferred = inferDeclarationType(checker, declaration);
+    type = inferred.untyped ? '*' : inferred.type;
+  }
+  const heuristicJSDoc = {
+    propertyName,
+    description: describePropertyName(propertyName),
+    type,
+    defaultValue: declaration && getDefaultValue(declaration),
+    modifiers: getModifierTags(declaration),
+  };
+  if (options.ai === false) {
+    return heuristicJSDoc;
+  }
+
+  try {
+    const response = await callAI(
+      `
+            Given the TypeScript/JavaScript class field "${propertyName}" with the following code:
+            \`\`\`typescript
+            ${rawCode}
+            \`\`\`
+            Generate a concise, professional description of what the field holds.
+
+            Format the output as a JSON object:
+            {
+                "description": "..."
+            }
+            `,
+      options
+    );
+    const parsedResponse = JSON.parse(response);
+    return {
+      ...heuristicJSDoc,
+      description: parsedResponse.description || heuristicJSDoc.description,
+    };
+  } catch (error) {
+    console.error(
+      `Error inferring JSDoc for field ${propertyName} with AI:`,
+      error.message
+    );
+    return heuristicJSDoc;
+  }
 }
 
 module.exports = {
   inferClassJSDoc,
   inferFunctionOrConstructorJSDoc,
+  inferPropertyJSDoc,
 };
@@ -0,0 +1,319 @@
+// Mock the AI layer so the engine can be loaded without credentials
+jest.mock('../ai', () => ({
+  ...jest.requireActual('../ai'),
+  callAI: jest.fn(),
+}));
+
+const ts = require('typescript');
+const {
+  inferClassJSDoc,
+  inferFunctionOrConstructorJSDoc,
+  inferPropertyJSDoc,
+} = require('./engine');
+const { COMPILER_OPTIONS } = require('../jsdocGenerator');
+
+/**
+ * Type-checks a snippet in memory, with the generator's compiler options and
+ * without the ambient `@types` packages of this repository.
+ * @param {string} code - The source code.
+ * @param {string} fileName - The file name, which selects the language.
+ * @returns {{checker: ts.TypeChecker, sourceFile: ts.SourceFile}} The type
+ * checker and the parsed snippet.
+ */
+function typeCheck(code, fileName) {
+  const host = ts.createCompilerHost({});
+  const getSourceFile = host.getSourceFile;
+  host.getSourceFile = (name, languageVersion) =>
+    name === fileName
+      ? ts.createSourceFile(name, code, languageVersion, true)
+      : getSourceFile(name, languageVersion);
+  const program = ts.createProgram(
+    [fileName],
+    { ...COMPILER_OPTIONS, types: [] },
+    host
+  );
+  return {
+    checker: program.getTypeChecker(),
+    sourceFile: program.getSourceFile(fileName),
+  };
+}
+
+/**
+ * Type-checks a snippet and infers the documentation of its first function.
+ * @param {string} code - The source code.
+ * @param {string} [fileName] - The file name, which selects the language.
+ * @returns {Promise<object>} The inferred JSDoc properties.
+ */
+async function inferFirstFunction(code, fileName = 'snippet.ts') {
+  const { checker, sourceFile } = typeCheck(code, fileName);
+  const declaration = sourceFile.statements.find(ts.isFunctionDeclaration);
+  return inferFunctionOrConstructorJSDoc(
+    checker,
+    checker.getSymbolAtLocation(declaration.name),
+    code,
+    { ai: false }
+  );
+}
+
+/**
+ * Type-checks a snippet and infers the documentation of each member of its
+ * first class, by name.
+ * @param {string} code - The source code of the class.
+ * @returns {Promise<object>} The inferred JSDoc properties of each member.
+ */
+async function inferClassMembers(code) {
+  const { checker, sourceFile } = typeCheck(code, 'snippet.ts');
+  const declaration = sourceFile.statements.find(ts.isClassDeclaration);
+  const members = {};
+  for (const member of declaration.members) {
+    // Getters and setters share a symbol, so each is described by itself
+    const symbol = ts.isAccessor(member)
+      ? { getName: () => member.name.getText(), declarations: [member] }
+      : checker.getSymbolAtLocation(member.name);
+    // Fields that hold a function are documented as the function
+    const isField =
+      ts.isPropertyDeclaration(member) &&
+      !(member.initializer && ts.isArrowFunction(member.initializer));
+    const infer = isField
+      ? inferPropertyJSDoc
+      : inferFunctionOrConstructorJSDoc;
+    members[member.name.getText()] = await infer(checker, symbol, code, {
+      ai: false,
+    });
+  }
+  return members;
+}
+
+describe('inference engine', () => {
+  it('should document destructured parameters and their properties', async () => {
+    const { params } = await inferFirstFunction(
+      'function connect({ host, port = 80, tls: { cert } = {} }, [first]) {}',
+      'snippet.js'
+    );
+
+    expect(params).toEqual([
+      expect.objectContaining({
+        name: 'options',
+        type: 'object',
+        description: 'Configuration options.',
+        destructured: true,
+        properties: [
+          expect.objectContaining({ name: 'options.host', optional: false }),
+          expect.objectContaining({
+            name: 'options.port',
+            type: 'number',
+            optional: true,
+            defaultValue: '80',
+          }),
+          expect.objectContaining({
+            name: 'options.tls',
+            type: 'object',
+            defaultValue: '{}',
+          }),
+          expect.objectContaining({ name: 'options.tls.cert' }),
+        ],
+      }),
+      expect.objectContaining({
+        name: 'values',
+        type: 'Array',
+        properties: [
+          expect.objectContaining({
+            name: 'values.0',
+            description: 'The object value of first.',
+          }),
+        ],
+      }),
+    ]);
+  });
+
+  it('should keep annotated types and number clashing names', async () => {
+    const { params } = await inferFirstFunction(
+      'function pick({ a }: { a: number }, options: object) {}'
+    );
+
+    expect(params.map(({ name, type }) => [name, type])).toEqual([
+      ['options2', '{ a: number; }'],
+      ['options', 'object'],
+    ]);
+    expect(params[0].properties).toEqual([
+      expect.objectContaining({ name: 'options2.a', type: 'number' }),
+    ]);
+  });
+
+  it('should not repeat inline object types in parameter descriptions', async () => {
+    const { params } = await inferFirstFunction(
+      'function fetchPage({ timeout }: { timeout?: number }, point: { x: number }) {}'
+    );
+
+    expect(params.map(({ description }) => description)).toEqual([
+      'Configuration options.',
+      'The point object.',
+    ]);
+  });
+
+  it('should mark rest parameters with the type of one argument', async () => {
+    const { params } = await inferFirstFunction(
+      'function log(level: string, ...messages: string[]) {}'
+    );
+
+    expect(params[1]).toEqual(
+      expect.objectContaining({
+        name: 'messages',
+        type: '...string',
+        description: 'The string values of messages.',
+      })
+    );
+  });
+
+  it('should mark optional parameters and keep default values', async () => {
+    const { params } = await inferFirstFunction(
+      'function greet(name: string, greeting?: string, times = 1) {}'
+    );
+
+    expect(
+      params.map(({ name, optional, defaultValue, description }) => ({
+        name,
+        optional,
+        defaultValue,
+        description,
+      }))
+    ).toEqual([
+      {
+        name: 'name',
+        optional: false,
+        defaultValue: undefined,
+        description: 'The string value of name.',
+      },
+      {
+        name: 'greeting',
+        optional: true,
+        defaultValue: undefined,
+        description: 'The string value of greeting.',
+      },
+      {
+        name: 'times',
+        optional: true,
+        defaultValue: '1',
+        description: 'The number value of times.',
+      },
+    ]);
+  });
+
+  it('should read the yielded and returned types of generators', async () => {
+    const sync = await inferFirstFunction(
+      'function* ids(): Generator<number, boolean> { yield 1; return true; }'
+    );
+    expect(sync.yields).toEqual({
+      type: 'number',
+      description: 'Each number value in the sequence.',
+    });
+    expect(sync.returns.type).toBe('boolean');
+
+    const async = await inferFirstFunction(
+      'async function* lines() { yield "a"; }'
+    );
+    expect(async.yields).toEqual({
+      type: 'string',
+      description:
+        'Each string value in the sequence, as it becomes available.',
+    });
+    expect(async.returns.type).toBe('void');
+  });
+
+  it('should read generator types of plain JavaScript', async () => {
+    const { yields, returns } = await inferFirstFunction(
+      [
+        '/** @returns {Generator<number, string>} */',
+        'function* ids() { yield 1; return "done"; }',
+      ].join('\n'),
+      'snippet.js'
+    );
+    expect(yields.type).toBe('number');
+    expect(returns.type).toBe('string');
+  });
+
+  it('should not document yields for other functions', async () => {
+    const { yields } = await inferFirstFunction('function noop() {}');
+    expect(yields).toBeNull();
+  });
+
+  it('should describe class fields and accessors with their modifiers', async () => {
+    const members = await inferClassMembers(
+      [
+        'class Store {',
+        '  protected readonly limit: number = 10;',
+        '  #items = new Map<string, number>();',
+        '  get size() { return this.#items.size; }',
+        '  static async open(): Promise<Store> { return new Store(); }',
+        '  private handle = async () => {};',
+        '}',
+      ].join('\n')
+    );
+
+    expect(members.limit).toEqual({
+      propertyName: 'limit',
+      description: 'The limit.',
+      type: 'number',
+      defaultValue: '10',
+      modifiers: ['instance', 'protected', 'readonly'],
+    });
+    expect(members['#items']).toEqual(
+      expect.objectContaining({
+        type: 'Map<string, number>',
+        modifiers: ['instance', 'private'],
+      })
+    );
+    expect(members.size).toEqual(
+      expect.objectContaining({
+        description: 'Gets the size.',
+        type: 'number',
+        returns: null,
+        modifiers: ['instance'],
+      })
+    );
+    expect(members.open.modifiers).toEqual(['static', 'async']);
+    expect(members.handle.modifiers).toEqual(['instance', 'private', 'async']);
+  });
+
+  it('should not tag methods of object literals as class members', async () => {
+    const { checker, sourceFile } = typeCheck(
+      'const helpers = { foo() {}, bar: () => {} };',
+      'snippet.ts'
+    );
+    const [declaration] = sourceFile.statements[0].declarationList.declarations;
+    for (const property of declaration.initializer.properties) {
+      const { modifiers } = await inferFunctionOrConstructorJSDoc(
+        checker,
+        checker.getSymbolAtLocation(property.name),
+        property.getText(),
+        { ai: false }
+      );
+      expect(modifiers).toEqual([]);
+    }
+  });
+
+  it('should describe the constructor only of classes that declare one', async () => {
+    const { checker, sourceFile } = typeCheck(
+      'class Plain {}\nclass Point { constructor(x: number) {} }',
+      'snippet.ts'
+    );
+    const [plain, point] = await Promise.all(
+      sourceFile.statements.map((declaration) =>
+        inferClassJSDoc(
+          checker,
+          checker.getSymbolAtLocation(declaration.name),
+          declaration.getText(),
+          { ai: false }
+        )
+      )
+    );
+
+    expect(plain.constructorDescription).toBeUndefined();
+    expect(point.constructorDescription).toBe(
+      'Creates a new `Point` instance.'
+    );
+    expect(point.constructorParams).toEqual([
+      expect.objectContaining({ name: 'x', type: 'number' }),
+    ]);
+  });
+});
@@ -0,0 +1,358 @@
+// src/inference/heuristics.js
+
+const ts = require('typescript');
+
+// Descriptions for common leading verbs in function names, used when no AI is available.
+// Each entry turns the remaining words of the name into a sentence.
+const VERB_PHRASES = {
+  add: 'Adds',
+  apply: 'Applies',
+  build: 'Builds',
+  calculate: 'Calculates',
+  check: 'Checks',
+  clear: 'Clears',
+  compute: 'Computes',
+  convert: 'Converts',
+  create: 'Creates',
+  delete: 'Deletes',
+  emit: 'Emits',
+  ensure: 'Ensures',
+  extract: 'Extracts',
+  fetch: 'Fetches',
+  find: 'Finds',
+  format: 'Formats',
+  generate: 'Generates',
+  get: 'Gets',
+  handle: 'Handles',
+  init: 'Initializes',
+  initialize: 'Initializes',
+  load: 'Loads',
+  make: 'Makes',
+  normalize: 'Normalizes',
+  parse: 'Parses',
+  process: 'Processes',
+  read: 'Reads',
+  register: 'Registers',
+  remove: 'Removes',
+  render: 'Renders',
+  reset: 'Resets',
+  resolve: 'Resolves',
+  run: 'Runs',
+  save: 'Saves',
+  send: 'Sends',
+  set: 'Sets',
+  start: 'Starts',
+  stop: 'Stops',
+  to: 'Converts the value to',
+  transform: 'Transforms',
+  update: 'Updates',
+  validate: 'Validates',
+  write: 'Writes',
+};
+
+// Leading words that turn a function into a predicate ("isValid", "hasChildren").
+const PREDICATE_PREFIXES = new Set(['is', 'has', 'can', 'should']);
+
+// Verbs whose return value is best described by the rest of the name ("getUserName" -> "The user name.").
+const ACCESSOR_VERBS = new Set([
+  'build',
+  'calculate',
+  'compute',
+  'create',
+  'extract',
+  'fetch',
+  'find',
+  'generate',
+  'get',
+  'load',
+  'make',
+  'parse',
+  'read',
+  'resolve',
+]);
+
+/**
+ * Splits an identifier written in camelCase, PascalCase, snake_case or kebab-case into lowercase words.
+ * @param {string} name - The identifier to split.
+ * @returns {string[]} The words of the identifier.
+ */
+function splitIdentifier(name) {
+  return name
+    .replace(/^[#_$]+/, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[\s_\-$]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+}
+
+/**
+ * Prefixes a noun phrase with the indefinite article "a" or "an".
+ * @param {string} phrase - The noun phrase.
+ * @returns {string} The phrase with its article.
+ */
+function withIndefiniteArticle(phrase) {
+  // Words such as "user" or "unique" start with a vowel letter but a consonant sound
+  const startsWithVowelSound =
+    /^[aeiou]/i.test(phrase) && !/^(us[eu]|uni|uti|eu|one)/i.test(phrase);
+  return startsWithVowelSound ? `an ${phrase}` : `a ${phrase}`;
+}
+
+/**
+ * Builds a description for a function or method from its name alone.
+ * @param {string} name - The name of the function.
+ * @returns {string} A one-sentence description.
+ */
+function describeFunctionName(name) {
+  const words = splitIdentifier(name);
+  if (words.length === 0) {
+    return 'Performs an operation.';
+  }
+  const [first, ...rest] = words;
+  const subject = rest.join(' ');
+  if (PREDICATE_PREFIXES.has(first)) {
+    return subject
+      ? `Checks whether it ${first} ${subject}.`
+      : 'Checks a condition.';
+  }
+  if (first === 'on' && subject) {
+    return `Handles the ${subject} event.`;
+  }
+  if (Object.hasOwn(VERB_PHRASES, first)) {
+    if (first === 'to') {
+      return `${VERB_PHRASES[first]} ${subject || 'another type'}.`;
+    }
+    return `${VERB_PHRASES[first]} the ${subject || 'value'}.`;
+  }
+  return `Performs the ${words.join(' ')} operation.`;
+}
+
+/**
+ * Builds a description for a class constructor from the name of its class.
+ * @param {string} [className] - The name of the class, if it has one.
+ * @returns {string} A one-sentence description.
+ */
+function describeConstructor(className) {
+  return className
+    ? `Creates a new \`${className}\` instance.`
+    : 'Creates a new instance.';
+}
+
+/**
+ * Builds a description for a class from its name alone.
+ * @param {string} name - The name of the class.
+ * @param {string} [extendsClass] - The name of the class it extends, if any.
+ * @returns {string} A one- or two-sentence description.
+ */
+function describeClassName(name, extendsClass) {
+  const words = splitIdentifier(name);
+  const description = words.length
+    ? `Represents ${withIndefiniteArticle(words.join(' '))}.`
+    : 'Represents an object.';
+  return extendsClass
+    ? `${description} Extends \`${extendsClass}\`.`
+    : description;
+}
+
+/**
+ * Builds a description for a class field from its name alone.
+ * @param {string} name - The name of the field, e.g. `maxRetries` or `#isOpen`.
+ * @returns {string} A noun phrase for ordinary fields, or a "Whether" clause for
+ * flags such as `isOpen`.
+ */
+function describePropertyName(name) {
+  const words = splitIdentifier(name);
+  if (words.length === 0) {
+    return 'A value.';
+  }
+  const [first, ...rest] = words;
+  if (PREDICATE_PREFIXES.has(first) && rest.length > 0) {
+    return `Whether it ${first} ${rest.join(' ')}.`;
+  }
+  return `The ${words.join(' ')}.`;
+}
+
+/**
+ * Builds a description for a getter or setter from the name of the property it
+ * exposes.
+ * @param {string} name - The name of the property.
+ * @param {'get'|'set'} kind - Whether the accessor reads or writes the property.
+ * @returns {string} A one-sentence description.
+ */
+function describeAccessor(name, kind) {
+  const property = describePropertyName(name);
+  const phrase = property.charAt(0).toLowerCase() + property.slice(1);
+  return `${kind === 'get' ? 'Gets' : 'Sets'} ${phrase}`;
+}
+
+/**
+ * Builds a description for what a function returns from its name and return type.
+ * @param {string} functionName - The name of the function.
+ * @param {string} returnType - The return type as reported by the TypeScript checker.
+ * @returns {string} A description of the return value.
+ */
+function describeReturns(functionName, returnType) {
+  const promiseMatch = returnType.match(/^Promise<(.*)>$/);
+  if (promiseMatch) {
+    const innerType = promiseMatch[1];
+    if (innerType === 'void' || innerType === 'undefined') {
+      return 'A promise that resolves when the operation completes.';
+    }
+    const innerDescription = describeReturns(functionName, innerType);
+    return `A promise that resolves to ${innerDescription.charAt(0).toLowerCase()}${innerDescription.slice(1)}`;
+  }
+  if (returnType === 'boolean') {
+    return 'True if the condition holds, otherwise false.';
+  }
+  const [first, ...rest] = splitIdentifier(functionName);
+  if (ACCESSOR_VERBS.has(first) && rest.length > 0) {
+    return `The ${rest.join(' ')}.`;
+  }
+  return `The resulting ${returnType} value.`;
+}
+
+/**
+ * Describes the values yielded by a generator function.
+ * @param {string} yieldType - The type of each yielded value.
+ * @param {boolean} [isAsync] - Whether the generator is async.
+ * @returns {string} A sentence describing the yielded values.
+ */
+function describeYields(yieldType, isAsync) {
+  const value = ['any', 'unknown'].includes(yieldType)
+    ? 'value'
+    : `${yieldType} value`;
+  return isAsync
+    ? `Each ${value} in the sequence, as it becomes available.`
+    : `Each ${value} in the sequence.`;
+}
+
+/**
+ * Describes the value a generator function returns once it is done.
+ * @param {string} returnType - The type of the returned value.
+ * @returns {string} A sentence describing the value.
+ */
+function describeGeneratorReturns(returnType) {
+  return `The ${returnType} value returned once the generator is done.`;
+}
+
+/**
+ * Describes the type parameters of a generic function or class.
+ * @param {ts.Declaration} [declaration] - The function or class declaration.
+ * @returns {Array<{name: string, description: string}>} One entry per type
+ * parameter, mentioning its constraint and default type.
+ */
+function describeTypeParameters(declaration) {
+  return (declaration?.typeParameters || []).map((typeParameter) => {
+    const name = typeParameter.name.getText();
+    let description = typeParameter.constraint
+      ? `The \`${name}\` type, which must extend \`${typeParameter.constraint.getText()}\`.`
+      : `The \`${name}\` type.`;
+    if (typeParameter.default) {
+      description += ` Defaults to \`${typeParameter.default.getText()}\`.`;
+    }
+    return { name, description };
+  });
+}
+
+/**
+ * Extracts a readable message from the first argument of a thrown error, if it is a literal.
+ * Interpolated values of template literals are marked with `…`.
+ * @param {ts.NewExpression} expression - The `new Error(...)` expression.
+ * @returns {string|null} The message, or null if it cannot be determined statically
+ * or is mostly interpolated.
+ */
+function getLiteralErrorMessage(expression) {
+  const firstArg = expression.arguments?.[0];
+  if (!firstArg) {
+    return null;
+  }
+  if (
+    ts.isStringLiteral(firstArg) ||
+    ts.isNoSubstitutionTemplateLiteral(firstArg)
+  ) {
+    return firstArg.text;
+  }
+  if (ts.isTemplateExpression(firstArg)) {
+    const parts = [
+      firstArg.head,
+      ...firstArg.templateSpans.map((span) => span.literal),
+    ];
+    // A message that is mostly interpolated says too little to be quoted
+    const words = parts.flatMap((part) => part.text.match(/[a-z]{2,}/gi) || []);
+    if (words.length < 2) {
+      return null;
+    }
+    // Keep the static parts and mark the interpolated values
+    return (
+      firstArg.head.text +
+      firstArg.templateSpans.map((span) => `…${span.literal.text}`).join('')
+    );
+  }
+  return null;
+}
+
+/**
+ * Statically collects the errors a function may throw, by looking for `throw`
+ * statements in its body. Nested functions and classes are not inspected, since
+ * their errors are not thrown by the function itself.
+ * @param {ts.Node} declaration - The function-like declaration to inspect.
+ * @returns {Array<{type: string, description: string}>} The detected errors, without duplicates.
+ */
+function collectThrownErrors(declaration) {
+  const thrown = [];
+  const seen = new Set();
+  if (!declaration?.body) {
+    return thrown;
+  }
+
+  const visit = (node) => {
+    if (
+      ts.isFunctionLike(node) ||
+      ts.isClassDeclaration(node) ||
+      ts.isClassExpression(node)
+    ) {
+      return;
+    }
+    if (ts.isThrowStatement(node) && node.expression) {
+      let entry;
+      if (ts.isNewExpression(node.expression)) {
+        const type = node.expression.expression.getText();
+        const message = getLiteralErrorMessage(node.expression);
+        // A message ending in an interpolated value is not closed with a period
+        entry = {
+          type,
+          description: message
+            ? message.replace(/(?<![.…])$/, '.')
+            : `If the operation fails with ${withIndefiniteArticle(type)}.`,
+        };
+      } else {
+        entry = {
+          type: 'Error',
+          description: 'Rethrows errors raised during the operation.',
+        };
+      }
+      const key = `${entry.type}|${entry.description}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        thrown.push(entry);
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  ts.forEachChild(declaration.body, visit);
+  return thrown;
+}
+
+module.exports = {
+  splitIdentifier,
+  describeFunctionName,
+  describeConstructor,
+  describeClassName,
+  describePropertyName,
+  describeAccessor,
+  describeReturns,
+  describeYields,
+  describeGeneratorReturns,
+  describeTypeParameters,
+  collectThrownErrors,
+};
@@ -0,0 +1,153 @@
+const ts = require('typescript');
+const {
+  splitIdentifier,
+  describeFunctionName,
+  describeConstructor,
+  describeClassName,
+  describePropertyName,
+  describeAccessor,
+  describeReturns,
+  describeYields,
+  describeGeneratorReturns,
+  collectThrownErrors,
+  describeTypeParameters,
+} = require('./heuristics');
+
+/**
+ * Parses a snippet and returns its first function declaration.
+ * @param {string} code - The source code.
+ * @returns {ts.FunctionDeclaration} The declaration.
+ */
+function parseFunction(code) {
+  const sourceFile = ts.createSourceFile(
+    'snippet.ts',
+    code,
+    ts.ScriptTarget.Latest,
+    true
+  );
+  return sourceFile.statements.find(ts.isFunctionDeclaration);
+}
+
+describe('static inference heuristics', () => {
+  it('should split identifiers in any common casing', () => {
+    expect(splitIdentifier('getUserName')).toEqual(['get', 'user', 'name']);
+    expect(splitIdentifier('HTTPServer')).toEqual(['http', 'server']);
+    expect(splitIdentifier('parse_config-file')).toEqual([
+      'parse',
+      'config',
+      'file',
+    ]);
+  });
+
+  it('should describe functions from their names', () => {
+    expect(describeFunctionName('getUserName')).toBe('Gets the user name.');
+    expect(describeFunctionName('isValidEmail')).toBe(
+      'Checks whether it is valid email.'
+    );
+    expect(describeFunctionName('onClick')).toBe('Handles the click event.');
+    expect(describeFunctionName('toJSON')).toBe('Converts the value to json.');
+    expect(describeFunctionName('frobnicate')).toBe(
+      'Performs the frobnicate operation.'
+    );
+  });
+
+  it('should describe constructors by the class they instantiate', () => {
+    expect(describeConstructor('Point')).toBe(
+      'Creates a new `Point` instance.'
+    );
+    expect(describeConstructor(undefined)).toBe('Creates a new instance.');
+  });
+
+  it('should describe classes from their names', () => {
+    expect(describeClassName('UserService')).toBe('Represents a user service.');
+    expect(describeClassName('ApiError', 'Error')).toBe(
+      'Represents an api error. Extends `Error`.'
+    );
+  });
+
+  it('should describe fields and accessors from their names', () => {
+    expect(describePropertyName('maxRetries')).toBe('The max retries.');
+    expect(describePropertyName('#isOpen')).toBe('Whether it is open.');
+    expect(describeAccessor('size', 'get')).toBe('Gets the size.');
+    expect(describeAccessor('hasChanges', 'set')).toBe(
+      'Sets whether it has changes.'
+    );
+  });
+
+  it('should describe return values from the type and name', () => {
+    expect(describeReturns('isReady', 'boolean')).toBe(
+      'True if the condition holds, otherwise false.'
+    );
+    expect(describeReturns('getUserName', 'string')).toBe('The user name.');
+    expect(describeReturns('loadConfig', 'Promise<Config>')).toBe(
+      'A promise that resolves to the config.'
+    );
+    expect(describeReturns('save', 'Promise<void>')).toBe(
+      'A promise that resolves when the operation completes.'
+    );
+    expect(describeReturns('sum', 'number')).toBe(
+      'The resulting number value.'
+    );
+  });
+
+  it('should describe yielded and final values of generators', () => {
+    expect(describeYields('number', false)).toBe(
+      'Each number value in the sequence.'
+    );
+    expect(describeYields('any', true)).toBe(
+      'Each value in the sequence, as it becomes available.'
+    );
+    expect(describeGeneratorReturns('boolean')).toBe(
+      'The boolean value returned once the generator is done.'
+    );
+  });
+
+  it('should collect thrown errors but ignore nested functions', () => {
+    const declaration = parseFunction(`
+      function load(path) {
+        if (!path) throw new TypeError('A path is required');
+        if (path === '/') throw new Error(\`Cannot load \${path} here\`);
+        const later = () => { throw new RangeError('nested'); };
+        try { later(); } catch (error) { throw error; }
+      }
+    `);
+    expect(collectThrownErrors(declaration)).toEqual([
+      { type: 'TypeError', description: 'A path is required.' },
+      { type: 'Error', description: 'Cannot load … here.' },
+      {
+        type: 'Error',
+        description: 'Rethrows errors raised during the operation.',
+      },
+    ]);
+  });
+
+  it('should not close interpolated error messages with a period', () => {
+    const declaration = parseFunction(`
+      function open(url, code) {
+        if (!url) throw new RangeError(\`Bad url \${url}\`);
+        if (code) throw new TypeError(\`\${code}: \${url}\`);
+      }
+    `);
+    expect(collectThrownErrors(declaration)).toEqual([
+      { type: 'RangeError', description: 'Bad url …' },
+      {
+        type: 'TypeError',
+        description: 'If the operation fails with a TypeError.',
+      },
+    ]);
+  });
+
+  it('should describe type parameters with their constraints and defaults', () => {
+    const declaration = parseFunction(
+      'function pick<T, K extends keyof T = keyof T>(value: T, key: K) {}'
+    );
+    expect(describeTypeParameters(declaration)).toEqual([
+      { name: 'T', description: 'The `T` type.' },
+      {
+        name: 'K',
+        description:
+          'The `K` type, which must extend `keyof T`. Defaults to `keyof T`.',
+      },
+    ]);
+  });
+});
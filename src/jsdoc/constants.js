@@ -5,6 +5,8 @@
 exports.MANAGED_JSDOC_TAGS = new Set([
   'param',
   'returns',
+  'yields',
+  'generator',
   'throws',
   'example',
   'class',
@@ -50,6 +52,7 @@ exports.VALID_JSDOC_TAGS = new Set([
   'fires',
   'function',
   'func',
+  'generator',
   'host',
   'ignore',
   'implements',
@@ -101,4 +104,47 @@ exports.VALID_JSDOC_TAGS = new Set([
   'virtual',
   'yields',
   'yield',
+  'template',
+  // TSDoc tags
+  'alpha',
+  'beta',
+  'decorator',
+  'defaultValue',
+  'eventProperty',
+  'experimental',
+  'label',
+  'packageDocumentation',
+  'privateRemarks',
+  'remarks',
+  'sealed',
+  'typeParam',
+]);
+
+// Tags that name a member and describe how it is declared. The generator writes
+// them after the description, where a written tag is kept in place of the
+// inferred one.
+exports.MEMBER_JSDOC_TAGS = new Set([
+  'name',
+  'memberof',
+  'static',
+  'instance',
+  'private',
+  'protected',
+  'public',
+  'abstract',
+  'async',
+  'readonly',
+  'type',
 ]);
+
+// Docblock syntaxes the generator can write. `auto` picks TSDoc for TypeScript
+// files and JSDoc for everything else.
+exports.DOC_STYLES = ['auto', 'jsdoc', 'tsdoc'];
+
+// Descriptions used when no real description could be produced.
+// They are replaced on the next run and reported by the `check` command.
+exports.PLACEHOLDER_DESCRIPTIONS = [
+  'Description placeholder.',
+  'The result of the operation.',
+  'Initializes a new instance of the class.',
+];
@@ -0,0 +1,193 @@
+// src/jsdoc/parser.js
+
+// Tags whose first word, after the type, is a name.
+const NAMED_TAGS = new Set([
+  'param',
+  'arg',
+  'argument',
+  'property',
+  'prop',
+  'typedef',
+  'callback',
+  'template',
+  'typeparam',
+]);
+
+// Tags whose text is kept verbatim, including line breaks and indentation.
+const VERBATIM_TAGS = new Set(['example']);
+
+// Alternative spellings mapped to the canonical tag name.
+const TAG_SYNONYMS = {
+  arg: 'param',
+  argument: 'param',
+  prop: 'property',
+  return: 'returns',
+  exception: 'throws',
+  yield: 'yields',
+  fileoverview: 'file',
+  overview: 'file',
+  typeparam: 'template',
+};
+
+/**
+ * Splits a balanced `{...}` type expression from the start of a string.
+ * @param {string} text - The text following a tag name.
+ * @returns {{type: string|undefined, rest: string}} The type without its braces, if
+ * the text starts with one, and the text after it.
+ */
+function readTypeExpression(text) {
+  if (!text.startsWith('{')) {
+    return { type: undefined, rest: text };
+  }
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '{') depth++;
+    if (text[index] === '}' && --depth === 0) {
+      return {
+        type: text.slice(1, index).trim(),
+        rest: text.slice(index + 1),
+      };
+    }
+  }
+  return { type: text.slice(1).trim(), rest: '' };
+}
+
+/**
+ * Finds the bracket that closes the one at the start of a string, skipping
+ * brackets nested in default values such as `[items=[]]`.
+ * @param {string} text - Text starting with `[`.
+ * @returns {number} The index of the closing bracket, or -1 if there is none.
+ */
+function findClosingBracket(text) {
+  let depth = 0;
+  for (let index = 0; index < text.length; index++) {
+    if ('[{('.includes(text[index])) depth++;
+    if (']})'.includes(text[index]) && --depth === 0) return index;
+  }
+  return -1;
+}
+
+/**
+ * Splits the name from the start of a named tag's text. Handles optional names
+ * written as `[name]` or `[name=default]`.
+ * @param {string} text - The text after the tag's type.
+ * @returns {object} The name, whether it is optional, its default value and the
+ * remaining text.
+ */
+function readTagName(text) {
+  const end = text.startsWith('[') ? findClosingBracket(text) : -1;
+  if (end !== -1) {
+    const [name, ...defaultValue] = text.slice(1, end).split('=');
+    return {
+      name: name.trim(),
+      optional: true,
+      defaultValue: defaultValue.join('=').trim() || undefined,
+      rest: text.slice(end + 1),
+    };
+  }
+  const name = text.match(/^\S+/)?.[0] || '';
+  return { name, optional: false, rest: text.slice(name.length) };
+}
+
+/**
+ * Removes the separating hyphen and surrounding whitespace from a tag description.
+ * @param {string} text - The description text.
+ * @returns {string} The cleaned description.
+ */
+function cleanDescription(text) {
+  return text.replace(/^\s*-\s+/, '').trim();
+}
+
+/**
+ * Parses the text of a single tag.
+ * @param {string} tag - The canonical tag name.
+ * @param {string} text - Everything after the tag name, possibly over several lines.
+ * @returns {object} The tag, with its type, name and description where they apply.
+ */
+function parseTag(tag, text) {
+  if (VERBATIM_TAGS.has(tag)) {
+    return { tag, text: text.replace(/^\s*\n|^[ \t]+|\s+$/g, '') };
+  }
+  const { type, rest } = readTypeExpression(text.trim());
+  const parsed = { tag, text: text.trim() };
+  if (type !== undefined) parsed.type = type;
+  if (NAMED_TAGS.has(tag)) {
+    const {
+      name,
+      optional,
+      defaultValue,
+      rest: description,
+    } = readTagName(rest.trim());
+    Object.assign(parsed, { name, optional });
+    if (defaultValue !== undefined) parsed.defaultValue = defaultValue;
+    parsed.description = cleanDescription(description);
+  } else {
+    parsed.description = cleanDescription(rest);
+  }
+  return parsed;
+}
+
+/**
+ * Splits the value of a `/** ... *\/` comment into lines, removing the leading `*`
+ * and a single following space, so that indentation inside examples is kept.
+ * @param {string} commentValue - The comment text between `/*` and `*\/`.
+ * @returns {string[]} The content lines.
+ */
+function getCommentLines(commentValue) {
+  const lines = commentValue
+    .replace(/^\*/, '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/^\s*\*? ?/, '').replace(/\s+$/, ''));
+  while (lines.length > 0 && lines[0] === '') lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Parses the lines of a docblock into its description and tags. Each tag
+ * continues until the next line that starts with `@`.
+ * @param {string[]} lines - The content lines, without comment markers.
+ * @returns {{description: string, tags: Array<object>}} The free-text description
+ * and the tags in source order, with synonyms such as `@return` canonicalized.
+ */
+function parseJSDocLines(lines) {
+  const descriptionLines = [];
+  const tags = [];
+  let current = null;
+  const flush = () => {
+    if (current) tags.push(parseTag(current.tag, current.lines.join('\n')));
+  };
+  for (const line of lines) {
+    const match = line.match(/^\s*@(\w+)(?:\s|$)(.*)$/);
+    if (match) {
+      flush();
+      const tag = match[1].toLowerCase();
+      current = { tag: TAG_SYNONYMS[tag] || tag, lines: [match[2]] };
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      descriptionLines.push(line);
+    }
+  }
+  flush();
+  return { description: descriptionLines.join('\n').trim(), tags };
+}
+
+/**
+ * Parses a JSDoc or TSDoc comment into its description and tags.
+ * @param {string} commentValue - The comment text between `/*` and `*\/`, as
+ * reported by the parser.
+ * @returns {{description: string, tags: Array<object>}} The free-text description
+ * and the tags in source order, with synonyms such as `@return` canonicalized.
+ */
+function parseJSDocComment(commentValue) {
+  return parseJSDocLines(getCommentLines(commentValue));
+}
+
+module.exports = {
+  readTypeExpression,
+  getCommentLines,
+  parseTag,
+  parseJSDocLines,
+  parseJSDocComment,
+};
@@ -0,0 +1,108 @@
+const { parseJSDocComment, readTypeExpression } = require('./parser');
+
+describe('JSDoc parser', () => {
+  describe('readTypeExpression', () => {
+    it('should split a nested type expression from the text', () => {
+      expect(
+        readTypeExpression('{{a: number}} options - The options.')
+      ).toEqual({ type: '{a: number}', rest: ' options - The options.' });
+    });
+
+    it('should leave text without a type unchanged', () => {
+      expect(readTypeExpression('options')).toEqual({
+        type: undefined,
+        rest: 'options',
+      });
+    });
+  });
+
+  describe('parseJSDocComment', () => {
+    it('should parse the description and tags', () => {
+      const jsdoc = parseJSDocComment(
+        [
+          '*',
+          ' * Loads a file.',
+          ' *',
+          ' * Second paragraph.',
+          ' * @param {string} filePath - The path',
+          ' * of the file.',
+          ' * @arg {object} [options={}] - The options.',
+          ' * @return {Promise<string>} The contents.',
+          ' * @exception {Error} If the file is missing.',
+          ' ',
+        ].join('\n')
+      );
+
+      expect(jsdoc.description).toBe('Loads a file.\n\nSecond paragraph.');
+      expect(jsdoc.tags).toEqual([
+        {
+          tag: 'param',
+          text: '{string} filePath - The path\nof the file.',
+          type: 'string',
+          name: 'filePath',
+          optional: false,
+          description: 'The path\nof the file.',
+        },
+        {
+          tag: 'param',
+          text: '{object} [options={}] - The options.',
+          type: 'object',
+          name: 'options',
+          optional: true,
+          defaultValue: '{}',
+          description: 'The options.',
+        },
+        {
+          tag: 'returns',
+          text: '{Promise<string>} The contents.',
+          type: 'Promise<string>',
+          description: 'The contents.',
+        },
+        {
+          tag: 'throws',
+          text: '{Error} If the file is missing.',
+          type: 'Error',
+          description: 'If the file is missing.',
+        },
+      ]);
+    });
+
+    it('should read default values containing brackets', () => {
+      const [tag] = parseJSDocComment(
+        '* @param {string[]} [items=[]] - The items. '
+      ).tags;
+      expect(tag).toEqual(
+        expect.objectContaining({
+          name: 'items',
+          optional: true,
+          defaultValue: '[]',
+          description: 'The items.',
+        })
+      );
+    });
+
+    it('should keep the indentation of examples', () => {
+      const jsdoc = parseJSDocComment(
+        [
+          '*',
+          ' * @example',
+          ' * if (ready) {',
+          ' *   start();',
+          ' * }',
+          ' ',
+        ].join('\n')
+      );
+
+      expect(jsdoc.tags).toEqual([
+        { tag: 'example', text: 'if (ready) {\n  start();\n}' },
+      ]);
+    });
+
+    it('should parse single-line comments', () => {
+      expect(parseJSDocComment('* The default port. ')).toEqual({
+        description: 'The default port.',
+        tags: [],
+      });
+    });
+  });
+});
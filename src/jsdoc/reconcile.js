@@ -0,0 +1,182 @@
+// src/jsdoc/reconcile.js
+
+const { PLACEHOLDER_DESCRIPTIONS } = require('./constants');
+
+/**
+ * Determines whether a description is missing or was generated as a placeholder.
+ * @param {string} [text] - The description.
+ * @param {string} [paramName] - For parameters, the parameter's name, so that the
+ * `The <type> value of <name>.` fallback, and its `values` form for rest
+ * parameters, are also recognized.
+ * @returns {boolean} True if the description should be replaced.
+ */
+function isPlaceholder(text, paramName) {
+  if (!text || PLACEHOLDER_DESCRIPTIONS.some((p) => text.includes(p))) {
+    return true;
+  }
+  return paramName !== undefined && text.startsWith('The ')
+    ? text.includes(` value of ${paramName}.`) ||
+        text.includes(` values of ${paramName}.`)
+    : false;
+}
+
+/**
+ * Splits documented `@param` tags into top-level parameters and the properties
+ * documented under them, such as `options.cwd`.
+ * @param {Array<object>} paramTags - The parsed `@param` tags, in source order.
+ * @returns {Array<{tag: object, properties: Array<object>}>} The top-level tags,
+ * each with the tags of its properties.
+ */
+function groupParamTags(paramTags) {
+  const groups = [];
+  for (const tag of paramTags) {
+    const root = tag.name.split('.')[0];
+    const parent = tag.name.includes('.')
+      ? groups.find((group) => group.tag.name === root)
+      : null;
+    if (parent) {
+      parent.properties.push(tag);
+    } else {
+      groups.push({ tag, properties: [] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Renames the properties documented under a renamed parameter.
+ * @param {Array<object>} properties - The parsed property tags.
+ * @param {string} from - The old parameter name.
+ * @param {string} to - The new parameter name.
+ * @returns {Array<object>} The property tags with their names updated.
+ */
+function renameProperties(properties, from, to) {
+  return properties.map((property) => ({
+    ...property,
+    name: to + property.name.slice(from.length),
+  }));
+}
+
+/**
+ * Merges the inferred properties of a destructured parameter with the documented
+ * ones, by name. Documented properties that are not destructured are kept after
+ * the inferred ones, since they may still be read through a rest element.
+ * @param {Array<object>} inferred - The inferred properties, in source order.
+ * @param {Array<object>} documented - The parsed property tags.
+ * @returns {Array<object>} The merged properties.
+ */
+function mergeProperties(inferred, documented) {
+  const merged = inferred.map((property) => {
+    const tag = documented.find((other) => other.name === property.name);
+    if (!tag) {
+      return property;
+    }
+    const key = property.name.split('.').pop();
+    // Properties without a default in the pattern may still be optional
+    return {
+      ...property,
+      type: tag.type && property.untyped ? tag.type : property.type,
+      optional: property.optional || tag.optional,
+      defaultValue: property.defaultValue ?? tag.defaultValue,
+      description: isPlaceholder(tag.description, key)
+        ? property.description
+        : tag.description,
+    };
+  });
+  return merged.concat(
+    documented.filter((tag) => !inferred.some((p) => p.name === tag.name))
+  );
+}
+
+/**
+ * Reconciles the inferred parameters of a function with the `@param` tags already
+ * in its docblock. Tags are matched by name first and then by position, so a
+ * renamed parameter keeps its written description, and the properties
+ * documented under it, even though its old name no longer appears in the
+ * signature. A documented type is kept for parameters marked `untyped`, whose
+ * inferred type is only a fallback, and a documented name for `destructured`
+ * parameters, whose inferred name is only a guess. Tags that match no parameter
+ * are dropped.
+ * @param {Array<object>} inferredParams - The inferred parameters, in signature
+ * order, each with a `name`, `type` and `description`, and the `properties` of
+ * destructured parameters.
+ * @param {Array<object>} paramTags - The existing `@param` tags, as parsed by
+ * `parseJSDocLines`.
+ * @param {object} [options] - Reconciliation options.
+ * @param {boolean} [options.types=true] - Whether the docblock carries `{type}`
+ * annotations, so that type changes are reported.
+ * @returns {{params: Array<object>, repairs: string[]}} The parameters with their
+ * final descriptions and documented `properties`, and a description of every
+ * stale tag that was repaired.
+ */
+function reconcileParams(inferredParams, paramTags, { types = true } = {}) {
+  const groups = groupParamTags(paramTags);
+  const matches = inferredParams.map((param) =>
+    groups.find((group) => group.tag.name === param.name)
+  );
+  // Parameters without a tag of their own take the unmatched tag in their position
+  inferredParams.forEach((param, index) => {
+    const group = groups[index];
+    if (!matches[index] && group && !matches.includes(group)) {
+      const renamed = !inferredParams.some((p) => p.name === group.tag.name);
+      if (renamed) matches[index] = group;
+    }
+  });
+
+  const repairs = [];
+  const params = inferredParams.map((param, index) => {
+    const group = matches[index];
+    if (!group) {
+      return { ...param, properties: param.properties || [] };
+    }
+    const { tag } = group;
+    let { name } = param;
+    let { properties } = group;
+    if (tag.name !== name && param.destructured) {
+      name = tag.name;
+    } else if (tag.name !== name) {
+      repairs.push(`renamed @param ${tag.name} to ${name}`);
+      properties = renameProperties(properties, tag.name, name);
+    }
+    if (param.properties) {
+      properties = mergeProperties(
+        renameProperties(param.properties, param.name, name),
+        properties
+      );
+    }
+    let type = param.type;
+    if (tag.type && (!type || param.untyped)) {
+      type = tag.type;
+    } else if (types && tag.type && type && tag.type !== type) {
+      repairs.push(
+        `changed the type of @param ${name} from {${tag.type}} to {${type}}`
+      );
+    }
+    return {
+      ...param,
+      name,
+      type,
+      // A default applied in the function body can only be documented
+      defaultValue:
+        param.defaultValue ?? (param.optional ? tag.defaultValue : undefined),
+      description: isPlaceholder(tag.description, tag.name)
+        ? param.description
+        : tag.description,
+      properties,
+    };
+  });
+
+  for (const group of groups) {
+    if (!matches.includes(group)) {
+      repairs.push(
+        `removed @param ${group.tag.name}, which is no longer a parameter`
+      );
+    }
+  }
+  return { params, repairs };
+}
+
+module.exports = {
+  isPlaceholder,
+  reconcileParams,
+};
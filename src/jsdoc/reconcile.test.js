@@ -0,0 +1,161 @@
+const { parseJSDocLines } = require('./parser');
+const { isPlaceholder, reconcileParams } = require('./reconcile');
+
+/**
+ * Parses docblock lines and returns their `@param` tags.
+ * @param {string[]} lines - The docblock lines.
+ * @returns {Array<object>} The parsed `@param` tags.
+ */
+function paramTags(lines) {
+  return parseJSDocLines(lines).tags.filter((tag) => tag.tag === 'param');
+}
+
+describe('reconcileParams', () => {
+  it('should recognize placeholder descriptions', () => {
+    expect(isPlaceholder('')).toBe(true);
+    expect(isPlaceholder('Description placeholder.')).toBe(true);
+    expect(isPlaceholder('The string value of name.', 'name')).toBe(true);
+    expect(isPlaceholder('The values of args.', 'args')).toBe(true);
+    expect(isPlaceholder('The name to greet.', 'name')).toBe(false);
+  });
+
+  it('should keep written descriptions and report type changes', () => {
+    const { params, repairs } = reconcileParams(
+      [
+        { name: 'id', type: 'number', description: 'The id.' },
+        { name: 'label', type: 'string', description: 'The label.' },
+      ],
+      paramTags([
+        '@param {string} id - The record to update.',
+        '@param {string} label - The string value of label.',
+      ])
+    );
+
+    expect(params.map(({ type, description }) => [type, description])).toEqual([
+      ['number', 'The record to update.'],
+      ['string', 'The label.'],
+    ]);
+    expect(repairs).toEqual([
+      'changed the type of @param id from {string} to {number}',
+    ]);
+  });
+
+  it('should carry descriptions and properties across renames', () => {
+    const { params, repairs } = reconcileParams(
+      [
+        {
+          name: 'settings',
+          type: 'object',
+          untyped: true,
+          description: 'The settings.',
+        },
+      ],
+      paramTags([
+        '@param {Options} opts - How to load.',
+        '@param {boolean} [opts.strict=false] - Reject unknown keys.',
+      ])
+    );
+
+    expect(params).toEqual([
+      expect.objectContaining({
+        name: 'settings',
+        type: 'Options',
+        description: 'How to load.',
+        properties: [
+          expect.objectContaining({
+            name: 'settings.strict',
+            optional: true,
+            defaultValue: 'false',
+          }),
+        ],
+      }),
+    ]);
+    expect(repairs).toEqual(['renamed @param opts to settings']);
+  });
+
+  it('should keep the documented name and properties of destructured parameters', () => {
+    const { params, repairs } = reconcileParams(
+      [
+        {
+          name: 'options',
+          type: 'object',
+          untyped: true,
+          destructured: true,
+          description: 'Configuration options.',
+          properties: [
+            {
+              name: 'options.root',
+              type: 'string',
+              description: 'The string value of root.',
+            },
+            {
+              name: 'options.verbose',
+              type: 'boolean',
+              description: 'The boolean value of verbose.',
+            },
+          ],
+        },
+      ],
+      paramTags([
+        '@param {ServerOptions} config - How to serve.',
+        '@param {string} config.root - The directory to serve.',
+        '@param {string} config.extra - Read through a rest element.',
+      ])
+    );
+
+    expect(repairs).toEqual([]);
+    expect(params[0].name).toBe('config');
+    expect(params[0].type).toBe('ServerOptions');
+    expect(
+      params[0].properties.map(({ name, description }) => [name, description])
+    ).toEqual([
+      ['config.root', 'The directory to serve.'],
+      ['config.verbose', 'The boolean value of verbose.'],
+      ['config.extra', 'Read through a rest element.'],
+    ]);
+  });
+
+  it('should keep documented defaults of optional parameters', () => {
+    const { params } = reconcileParams(
+      [
+        {
+          name: 'width',
+          type: 'number',
+          optional: true,
+          description: 'The number value of width.',
+        },
+      ],
+      paramTags(['@param {number} [width=10] - The width.'])
+    );
+    expect(params[0]).toEqual(
+      expect.objectContaining({ optional: true, defaultValue: '10' })
+    );
+  });
+
+  it('should report removed parameters', () => {
+    const { params, repairs } = reconcileParams(
+      [{ name: 'b', type: 'number', description: 'The b.' }],
+      paramTags([
+        '@param {number} a - First.',
+        '@param {number} b - Second.',
+        '@param {object} c - Third.',
+        '@param {string} c.name - Its name.',
+      ])
+    );
+
+    expect(params.map((param) => param.description)).toEqual(['Second.']);
+    expect(repairs).toEqual([
+      'removed @param a, which is no longer a parameter',
+      'removed @param c, which is no longer a parameter',
+    ]);
+  });
+
+  it('should not report type changes for untyped docblocks', () => {
+    const { repairs } = reconcileParams(
+      [{ name: 'value', type: 'number', description: 'The value.' }],
+      paramTags(['@param {string} value - A value.']),
+      { types: false }
+    );
+    expect(repairs).toEqual([]);
+  });
+});
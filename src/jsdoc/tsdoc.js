@@ -0,0 +1,379 @@
+// src/jsdoc/tsdoc.js
+
+const { parseJSDocLines } = require('./parser');
+const { isPlaceholder, reconcileParams } = require('./reconcile');
+
+// Files documented in TSDoc when the style is `auto`.
+const TYPESCRIPT_FILE_PATTERN = /\.[cm]?tsx?$/;
+
+// Tags written by the generator, as canonicalized by the parser. JSDoc-only tags
+// that TypeScript makes redundant (`@class`, `@constructor`, `@augments`,
+// `@generator`) are dropped when a block is rewritten in TSDoc.
+const MANAGED_TSDOC_TAGS = new Set([
+  'description',
+  'remarks',
+  'template',
+  'param',
+  'returns',
+  'yields',
+  'generator',
+  'throws',
+  'defaultvalue',
+  'example',
+  'class',
+  'constructor',
+  'augments',
+  'extends',
+]);
+
+// The sentence that documents the default of a parameter in its description.
+const DEFAULT_SENTENCE_PATTERN = /\s*Defaults to `[^`]*`\.$/;
+
+// A property of a destructured parameter, listed under the parameter's
+// description, since TSDoc has no dotted `@param options.key` names.
+const PROPERTY_ITEM_PATTERN = /^- `([^`]+)` - (.*)$/;
+
+/**
+ * Picks the docblock syntax for a file.
+ * @param {string} [style] - The configured style: `auto`, `jsdoc` or `tsdoc`.
+ * @param {string} filePath - The path of the file being documented.
+ * @returns {string} `tsdoc` or `jsdoc`. `auto` and unset styles choose TSDoc for
+ * TypeScript files.
+ */
+function resolveDocStyle(style, filePath) {
+  if (style === 'jsdoc' || style === 'tsdoc') {
+    return style;
+  }
+  return TYPESCRIPT_FILE_PATTERN.test(filePath) ? 'tsdoc' : 'jsdoc';
+}
+
+/**
+ * Splits a description into the TSDoc summary, its first paragraph, and the
+ * remaining paragraphs, which belong in `@remarks`.
+ * @param {string} [description] - The description.
+ * @returns {{summary: string, remarks: string}} The two parts; either may be empty.
+ */
+function splitDescription(description) {
+  const [summary, ...rest] = (description || '').trim().split(/\n\s*\n/);
+  return { summary: summary || '', remarks: rest.join('\n\n') };
+}
+
+/**
+ * Returns the code of an example, without the Markdown fence around it.
+ * @param {string} example - The example, fenced or not.
+ * @returns {string} The code.
+ */
+function getExampleCode(example) {
+  const fenced = example.trim().match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+  return (fenced ? fenced[1] : example).trim();
+}
+
+/**
+ * Formats an example as a TSDoc `@example` block with a fenced code section.
+ * @param {string} example - The example code, fenced or not.
+ * @returns {string} The tag, spanning several lines.
+ */
+function formatExample(example) {
+  return `@example\n\`\`\`ts\n${getExampleCode(example)}\n\`\`\``;
+}
+
+/**
+ * Formats a `@throws` tag. TSDoc refers to the error type with `{@link}` rather
+ * than a JSDoc type expression.
+ * @param {{type?: string, description?: string}} thrown - The thrown error.
+ * @returns {string} The tag.
+ */
+function formatThrows({ type, description }) {
+  const errorType = type?.replace(/^@link\s+/, '').trim();
+  return ['@throws', errorType && `{@link ${errorType}}`, description]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Describes a parameter or destructured property, ending with its default value.
+ * TSDoc's `@defaultValue` applies to properties only, so a parameter's default
+ * goes into its `@param` description; a default written there before is
+ * replaced.
+ * @param {{description?: string, defaultValue?: string}} param - The parameter.
+ * @returns {string} The description.
+ */
+function describeParam({ description = '', defaultValue }) {
+  if (defaultValue === undefined) {
+    return description;
+  }
+  const text = description.replace(DEFAULT_SENTENCE_PATTERN, '');
+  return `${text} Defaults to \`${defaultValue}\`.`.trim();
+}
+
+/**
+ * Describes a parameter and lists the properties destructured from it, one
+ * `` - `key` - description`` item per property. Items written before keep their
+ * descriptions unless they are placeholders.
+ * @param {object} param - The parameter, with its documented `properties`.
+ * @returns {string} The description, spanning several lines if there are
+ * properties.
+ */
+function describeParamWithProperties(param) {
+  const lines = (param.description || '').split('\n');
+  const written = new Map();
+  while (lines.length > 1) {
+    const item = lines[lines.length - 1].trim().match(PROPERTY_ITEM_PATTERN);
+    if (!item) break;
+    written.set(item[1], item[2]);
+    lines.pop();
+  }
+  const items = (param.properties || []).map((property) => {
+    const key = property.name.slice(param.name.length + 1);
+    const description = isPlaceholder(written.get(key), key)
+      ? property.description
+      : written.get(key);
+    return `- \`${key}\` - ${describeParam({ ...property, description })}`;
+  });
+  const text = describeParam({ ...param, description: lines.join('\n') });
+  return [text, ...items].join('\n');
+}
+
+/**
+ * Builds the tags shared by new and updated blocks, from already-merged content.
+ * @param {object} content - The merged content.
+ * @param {string} content.remarks - The remarks, if any.
+ * @param {Array<{name: string, description: string}>} content.typeParams - The type parameters.
+ * @param {Array<object>} content.params - The parameters, with their default
+ * values and any documented `properties`.
+ * @param {string|null} content.yields - The description of the yielded values, or
+ * null for functions that are not generators.
+ * @param {string|null} content.returns - The description of the return value, or
+ * null if nothing is returned.
+ * @param {string[]} content.throws - The formatted `@throws` tags.
+ * @param {string[]} content.defaultValues - The text of each `@defaultValue` tag.
+ * @param {string[]} content.examples - The formatted `@example` tags.
+ * @returns {string[]} The tag lines, in TSDoc's conventional order.
+ */
+function buildTagLines({
+  remarks,
+  typeParams,
+  params,
+  yields,
+  returns,
+  throws,
+  defaultValues,
+  examples,
+}) {
+  const lines = [];
+  if (remarks) lines.push(`@remarks\n${remarks}`);
+  typeParams.forEach(({ name, description }) =>
+    lines.push(`@typeParam ${name} - ${description}`)
+  );
+  params.forEach((param) =>
+    lines.push(`@param ${param.name} - ${describeParamWithProperties(param)}`)
+  );
+  if (yields !== null) lines.push(`@yields ${yields}`);
+  if (returns !== null) lines.push(`@returns ${returns}`);
+  lines.push(...throws);
+  defaultValues.forEach((text) => lines.push(`@defaultValue ${text}`));
+  lines.push(...examples);
+  return lines;
+}
+
+/**
+ * Formats the `@defaultValue` tag of a class field or other property.
+ * @param {{defaultValue?: string}} inferredJSDoc - The inferred documentation.
+ * @returns {string[]} The text of the tag, or none if there is no default.
+ */
+function formatDefaultValues({ defaultValue }) {
+  return defaultValue !== undefined ? [`\`${defaultValue}\``] : [];
+}
+
+/**
+ * Describes the value returned by the documented function.
+ * @param {object} inferredJSDoc - The inferred documentation.
+ * @returns {string|null} The description, or null for classes, constructors and
+ * functions that return nothing.
+ */
+function getInferredReturns(inferredJSDoc) {
+  const { returns } = inferredJSDoc;
+  if (
+    inferredJSDoc.name ||
+    inferredJSDoc.functionName === 'constructor' ||
+    !returns?.type ||
+    returns.type === 'void'
+  ) {
+    return null;
+  }
+  return returns.description || '';
+}
+
+/**
+ * Builds a new TSDoc block from inferred documentation. Types are left to the
+ * TypeScript signature, so no tag carries a `{type}`.
+ * @param {object} inferredJSDoc - Object containing inferred JSDoc properties; see
+ * `updateJSDocBlock` for its shape. Classes may also have `typeParams`, and
+ * properties a `defaultValue`.
+ * @returns {string[]} The TSDoc lines.
+ */
+function buildTSDocLines(inferredJSDoc) {
+  const { summary, remarks } = splitDescription(inferredJSDoc.description);
+  const tags = buildTagLines({
+    remarks,
+    typeParams: inferredJSDoc.typeParams || [],
+    params: inferredJSDoc.name ? [] : inferredJSDoc.params || [],
+    yields: inferredJSDoc.yields?.description ?? null,
+    returns: getInferredReturns(inferredJSDoc),
+    throws: (inferredJSDoc.throws || []).map(formatThrows),
+    defaultValues: formatDefaultValues(inferredJSDoc),
+    examples: (inferredJSDoc.examples || []).map(formatExample),
+  });
+  return tags.length > 0 ? [summary, '', ...tags] : [summary];
+}
+
+/**
+ * Splits docblock lines into one section per tag, skipping the description and keeping the
+ * original text of every line.
+ * @param {string[]} jsdocLines - The lines of a docblock, without comment markers.
+ * @returns {Array<string[]>} The lines of each tag, in source order.
+ */
+function splitTagSections(jsdocLines) {
+  const sections = [];
+  for (const line of jsdocLines) {
+    if (/^\s*@\w+(?:\s|$)/.test(line)) {
+      sections.push([line]);
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].push(line);
+    }
+  }
+  return sections.map((lines) => {
+    while (lines.length > 1 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+    return lines;
+  });
+}
+
+/**
+ * Merges inferred type parameter descriptions with existing ones, by name.
+ * Existing descriptions win unless they are placeholders.
+ * @param {Array<{name: string, description: string}>} inferred - The inferred
+ * type parameters, in declaration order.
+ * @param {Array<object>} existingTags - The existing parsed `@template` tags.
+ * @returns {Array<{name: string, description: string}>} The merged entries.
+ */
+function mergeTypeParams(inferred, existingTags) {
+  return inferred.map(({ name, description }) => {
+    const existing = existingTags.find((tag) => tag.name === name);
+    return {
+      name,
+      description:
+        existing && !isPlaceholder(existing.description)
+          ? existing.description
+          : description,
+    };
+  });
+}
+
+/**
+ * Updates an existing docblock in TSDoc syntax. Both JSDoc and TSDoc blocks are
+ * understood: JSDoc `{type}` annotations are dropped, `@template` becomes
+ * `@typeParam`, and human-written descriptions, remarks, examples and unmanaged
+ * tags are preserved. Stale `@param` tags are reconciled with the signature.
+ * @param {string[]} existingJSDocLines - Array of lines from the existing comment.
+ * @param {object} inferredJSDoc - Object containing inferred JSDoc properties.
+ * @param {string[]} [repairs] - Collects a description of every stale tag that
+ * was repaired.
+ * @returns {string[]} The updated TSDoc lines.
+ */
+function updateTSDocBlock(existingJSDocLines, inferredJSDoc, repairs = []) {
+  const existing = parseJSDocLines(existingJSDocLines);
+  const sections = splitTagSections(existingJSDocLines);
+  const tagsNamed = (name) => existing.tags.filter((tag) => tag.tag === name);
+
+  // Paragraphs after the summary move into @remarks, ahead of any existing remarks
+  const { summary, remarks: extraParagraphs } = splitDescription(
+    isPlaceholder(existing.description)
+      ? inferredJSDoc.description
+      : existing.description
+  );
+  const remarks = [extraParagraphs, tagsNamed('remarks')[0]?.text]
+    .filter(Boolean)
+    .join('\n\n');
+
+  let returns = getInferredReturns(inferredJSDoc);
+  const [existingReturns] = tagsNamed('returns');
+  if (returns !== null && !isPlaceholder(existingReturns?.description)) {
+    returns = existingReturns.description;
+  }
+
+  let yields = inferredJSDoc.yields?.description ?? null;
+  const [existingYields] = tagsNamed('yields');
+  if (yields !== null && !isPlaceholder(existingYields?.description)) {
+    yields = existingYields.description;
+  }
+
+  const throws = tagsNamed('throws').map(formatThrows);
+  for (const thrown of inferredJSDoc.throws || []) {
+    if (!throws.some((line) => line.includes(thrown.description))) {
+      throws.push(formatThrows(thrown));
+    }
+  }
+
+  const examples = [];
+  const exampleCode = new Set();
+  existing.tags.forEach((tag, index) => {
+    if (tag.tag !== 'example') return;
+    exampleCode.add(getExampleCode(tag.text));
+    examples.push(
+      tag.text.includes('```')
+        ? sections[index].join('\n')
+        : formatExample(tag.text)
+    );
+  });
+  for (const example of inferredJSDoc.examples || []) {
+    if (!exampleCode.has(getExampleCode(example))) {
+      examples.push(formatExample(example));
+    }
+  }
+
+  // Class blocks document no parameters; TypeScript constructors have their own
+  const reconciled = inferredJSDoc.name
+    ? { params: [], repairs: [] }
+    : reconcileParams(inferredJSDoc.params || [], tagsNamed('param'), {
+        types: false,
+      });
+  repairs.push(...reconciled.repairs);
+
+  // A property's default may have been written; functions have none, and the
+  // `@defaultValue` tags of their parameters are replaced by their descriptions
+  const [existingDefault] = tagsNamed('defaultvalue');
+  const defaultValues =
+    inferredJSDoc.params || existingDefault === undefined
+      ? formatDefaultValues(inferredJSDoc)
+      : [existingDefault.text];
+
+  const tags = buildTagLines({
+    remarks,
+    typeParams: mergeTypeParams(
+      inferredJSDoc.typeParams || [],
+      tagsNamed('template')
+    ),
+    params: reconciled.params,
+    yields,
+    returns,
+    throws,
+    defaultValues,
+    examples,
+  });
+  existing.tags.forEach((tag, index) => {
+    if (!MANAGED_TSDOC_TAGS.has(tag.tag)) {
+      tags.push(sections[index].join('\n'));
+    }
+  });
+  if (!summary) return tags;
+  return tags.length > 0 ? [summary, '', ...tags] : [summary];
+}
+
+module.exports = {
+  resolveDocStyle,
+  getExampleCode,
+  buildTSDocLines,
+  updateTSDocBlock,
+};
@@ -0,0 +1,284 @@
+const {
+  resolveDocStyle,
+  buildTSDocLines,
+  updateTSDocBlock,
+} = require('./tsdoc');
+
+const inferredFirst = {
+  functionName: 'first',
+  description: 'Returns the first item.\n\nThe list is not modified.',
+  typeParams: [{ name: 'T', description: 'The `T` type.' }],
+  params: [
+    {
+      name: 'items',
+      type: 'T[]',
+      description: 'The items to search.',
+    },
+  ],
+  returns: { type: 'T', description: 'The first item.' },
+  throws: [{ type: 'RangeError', description: 'If the list is empty.' }],
+  examples: ['first([1, 2]);'],
+};
+
+describe('TSDoc', () => {
+  it('should use TSDoc for TypeScript files when the style is auto', () => {
+    expect(resolveDocStyle('auto', 'src/a.ts')).toBe('tsdoc');
+    expect(resolveDocStyle(undefined, 'src/view.tsx')).toBe('tsdoc');
+    expect(resolveDocStyle('auto', 'src/a.js')).toBe('jsdoc');
+    expect(resolveDocStyle('jsdoc', 'src/a.ts')).toBe('jsdoc');
+    expect(resolveDocStyle('tsdoc', 'src/a.js')).toBe('tsdoc');
+  });
+
+  it('should build a block without type annotations', () => {
+    expect(buildTSDocLines(inferredFirst)).toEqual([
+      'Returns the first item.',
+      '',
+      '@remarks\nThe list is not modified.',
+      '@typeParam T - The `T` type.',
+      '@param items - The items to search.',
+      '@returns The first item.',
+      '@throws {@link RangeError} If the list is empty.',
+      '@example\n```ts\nfirst([1, 2]);\n```',
+    ]);
+  });
+
+  it('should leave out @returns for classes and constructors', () => {
+    expect(
+      buildTSDocLines({
+        name: 'Store',
+        description: 'Represents a store.',
+        typeParams: [{ name: 'T', description: 'The `T` type.' }],
+      })
+    ).toEqual(['Represents a store.', '', '@typeParam T - The `T` type.']);
+    expect(
+      buildTSDocLines({
+        functionName: 'constructor',
+        description: 'Creates a store.',
+        params: [],
+        returns: { type: 'Store', description: 'The store.' },
+      })
+    ).toEqual(['Creates a store.']);
+  });
+
+  it('should convert an existing JSDoc block, keeping written content', () => {
+    const updated = updateTSDocBlock(
+      [
+        'Gets the head of a list.',
+        '@template T - The element type.',
+        '@param {T[]} items - The value of items.',
+        '@returns {T} The head.',
+        '@beta',
+        '@example',
+        'first([3]);',
+      ],
+      inferredFirst
+    );
+
+    expect(updated).toEqual([
+      'Gets the head of a list.',
+      '',
+      '@typeParam T - The element type.',
+      '@param items - The items to search.',
+      '@returns The head.',
+      '@throws {@link RangeError} If the list is empty.',
+      '@example\n```ts\nfirst([3]);\n```',
+      '@example\n```ts\nfirst([1, 2]);\n```',
+      '@beta',
+    ]);
+  });
+
+  it('should keep remarks and fenced examples of a TSDoc block as written', () => {
+    const existing = [
+      'Returns the first item.',
+      '',
+      '@remarks',
+      'Runs in constant time.',
+      '@param items - The items to search.',
+      '@returns The first item.',
+      '@throws {@link RangeError} If the list is empty.',
+      '@example',
+      '```ts',
+      'first([1, 2]);',
+      '```',
+    ];
+
+    expect(
+      updateTSDocBlock(existing, { ...inferredFirst, typeParams: [] })
+    ).toEqual([
+      'Returns the first item.',
+      '',
+      '@remarks\nRuns in constant time.',
+      '@param items - The items to search.',
+      '@returns The first item.',
+      '@throws {@link RangeError} If the list is empty.',
+      '@example\n```ts\nfirst([1, 2]);\n```',
+    ]);
+  });
+
+  it('should carry parameter descriptions across renames', () => {
+    const repairs = [];
+    const updated = updateTSDocBlock(
+      ['Returns the first item.', '@param list - The list to read.'],
+      { ...inferredFirst, typeParams: [], throws: [], examples: [] },
+      repairs
+    );
+
+    expect(updated).toContain('@param items - The list to read.');
+    expect(repairs).toEqual(['renamed @param list to items']);
+  });
+
+  it('should write parameter defaults into their descriptions', () => {
+    const lines = buildTSDocLines({
+      functionName: 'connect',
+      description: 'Connects.',
+      params: [
+        {
+          name: 'retries',
+          optional: true,
+          defaultValue: '3',
+          description: 'The retries.',
+        },
+        {
+          name: 'options',
+          optional: true,
+          defaultValue: '{}',
+          description: 'Configuration options.',
+          properties: [
+            {
+              name: 'options.timeout',
+              optional: true,
+              defaultValue: '1000',
+              description: 'The timeout.',
+            },
+          ],
+        },
+      ],
+      returns: { type: 'void' },
+    });
+
+    expect(lines.slice(2)).toEqual([
+      '@param retries - The retries. Defaults to `3`.',
+      '@param options - Configuration options. Defaults to `{}`.\n- `timeout` - The timeout. Defaults to `1000`.',
+    ]);
+  });
+
+  it('should list destructured properties under their parameter instead of dotted names', () => {
+    const inferred = {
+      functionName: 'fetchPage',
+      description: 'Fetches a page.',
+      params: [
+        {
+          name: 'options',
+          type: '{ timeout?: number; signal?: AbortSignal; }',
+          description: 'Configuration options.',
+          destructured: true,
+          properties: [
+            {
+              name: 'options.timeout',
+              optional: true,
+              defaultValue: '1000',
+              description: 'The number value of timeout.',
+            },
+            {
+              name: 'options.signal',
+              description: 'The AbortSignal value of signal.',
+            },
+          ],
+        },
+      ],
+      returns: { type: 'void' },
+    };
+    const built = buildTSDocLines(inferred);
+
+    expect(built.slice(2)).toEqual([
+      [
+        '@param options - Configuration options.',
+        '- `timeout` - The number value of timeout. Defaults to `1000`.',
+        '- `signal` - The AbortSignal value of signal.',
+      ].join('\n'),
+    ]);
+    expect(updateTSDocBlock(built.join('\n').split('\n'), inferred)).toEqual(
+      built
+    );
+
+    // Written property descriptions survive the conversion from JSDoc and later updates
+    const converted = updateTSDocBlock(
+      [
+        'Fetches a page.',
+        '@param {object} options - The request options.',
+        '@param {number} [options.timeout=1000] - How long to wait, in ms.',
+      ],
+      inferred
+    );
+    expect(converted.slice(2)).toEqual([
+      [
+        '@param options - The request options.',
+        '- `timeout` - How long to wait, in ms. Defaults to `1000`.',
+        '- `signal` - The AbortSignal value of signal.',
+      ].join('\n'),
+    ]);
+    expect(
+      updateTSDocBlock(converted.join('\n').split('\n'), inferred)
+    ).toEqual(converted);
+  });
+
+  it('should replace parameter @defaultValue tags and keep defaults current', () => {
+    const inferred = {
+      functionName: 'scale',
+      description: 'Scales a value.',
+      params: [
+        {
+          name: 'factor',
+          optional: true,
+          defaultValue: '4',
+          description: 'The factor.',
+        },
+      ],
+      returns: { type: 'void' },
+    };
+    const updated = updateTSDocBlock(
+      [
+        'Scales a value.',
+        '@param factor - How much to scale by. Defaults to `2`.',
+        '@defaultValue factor - `2`',
+      ],
+      inferred
+    );
+
+    expect(updated).toEqual([
+      'Scales a value.',
+      '',
+      '@param factor - How much to scale by. Defaults to `4`.',
+    ]);
+    expect(updateTSDocBlock(updated, inferred)).toEqual(updated);
+  });
+
+  it('should document the default value of class fields', () => {
+    expect(
+      buildTSDocLines({
+        propertyName: 'limit',
+        description: 'The limit.',
+        type: 'number',
+        defaultValue: '10',
+        modifiers: ['static', 'readonly'],
+      })
+    ).toEqual(['The limit.', '', '@defaultValue `10`']);
+  });
+
+  it('should document what generators yield', () => {
+    expect(
+      buildTSDocLines({
+        functionName: 'ids',
+        description: 'Lists the ids.',
+        params: [],
+        yields: { type: 'number', description: 'Each id.' },
+        returns: { type: 'boolean', description: 'Whether all were listed.' },
+      })
+    ).toEqual([
+      'Lists the ids.',
+      '',
+      '@yields Each id.',
+      '@returns Whether all were listed.',
+    ]);
+  });
+});
@@ -1,124 +1,72 @@
 // jsdocGenerator.js
 
 const ts = require('typescript');
+const path = require('path');
 const fs = require('fs-extra');
-const { glob } = require('glob');
-// Remove direct OpenAI import; use shared API module instead
 const babelParser = require('@babel/parser');
 const generate = require('@babel/generator').default;
 const traverse = require('@babel/traverse').default;
 
-// Load environment variables (e.g., OPENAI_API_KEY)
+// Load environment variables (e.g., OPENAI_API_KEY or ANTHROPIC_API_KEY)
 const dotenv = require('dotenv');
 dotenv.config();
 
-// --- OpenAI Configuration ---
-// Import the shared OpenAI API call function
-const { callOpenAI } = require('./ai/openai');
-
-// --- JSDoc Tag Definitions ---
-// Tags that the generator will try to manage, generate, or overwrite.
-// Their content might be replaced by AI-generated descriptions or inferred types.
-const MANAGED_JSDOC_TAGS = new Set([
-  'param',
-  'returns',
-  'throws',
-  'example',
-  'class',
-  'description',
-]);
-
-// A broader list of valid JSDoc tags. Tags not in MANAGED_JSDOC_TAGS but in this list
-// will be preserved as-is. Tags not in this list will be preserved but with a warning.
-const VALID_JSDOC_TAGS = new Set([
-  'abstract',
-  'access',
-  'alias',
-  'arg',
-  'argument',
-  'async',
-  'augments',
-  'author',
-  'borrows',
-  'callback',
-  'class',
-  'classdesc',
-  'const',
-  'constant',
-  'constructor',
-  'constructs',
-  'copyright',
-  'default',
-  'defaultvalue',
-  'deprecated',
-  'desc',
-  'description',
-  'enum',
-  'event',
-  'example',
-  'exports',
-  'external',
-  'file',
-  'fileoverview',
-  '' /* allows for empty lines/main desc */,
-  'fires',
-  'function',
-  'func',
-  'host',
-  'ignore',
-  'implements',
-  'inheritdoc',
-  'inner',
-  'instance',
-  'interface',
-  'internal',
-  'kind',
-  'lends',
-  'license',
-  'listens',
-  'member',
-  'memberof',
-  'method',
-  'mixes',
-  'mixin',
-  'module',
-  'name',
-  'namespace',
-  'override',
-  'overrides',
-  'package',
-  'param',
-  'private',
-  'property',
-  'prop',
-  'protected',
-  'public',
-  'readonly',
-  'requires',
-  'returns',
-  'return',
-  'see',
-  'since',
-  'static',
-  'summary',
-  'super',
-  'this',
-  'throws',
-  'throw',
-  'todo',
-  'tutorial',
-  'type',
-  'typedef',
-  'var',
-  'variation',
-  'version',
-  'virtual',
-  'yields',
-  'yield',
-]);
+const {
+  inferClassJSDoc,
+  inferFunctionOrConstructorJSDoc,
+  inferPropertyJSDoc,
+} = require('./inference/engine');
+const {
+  MANAGED_JSDOC_TAGS,
+  MEMBER_JSDOC_TAGS,
+  VALID_JSDOC_TAGS,
+} = require('./jsdoc/constants');
+const {
+  createUnifiedDiff,
+  colorizeDiff,
+  shouldColorize,
+} = require('./output/diff');
+const {
+  isInPlaceOutput,
+  getOutputIgnorePatterns,
+  writeProcessedFile,
+} = require('./output/writer');
+const { createDocblockEdit, applyEdits } = require('./output/splice');
+const {
+  resolveDocStyle,
+  buildTSDocLines,
+  updateTSDocBlock,
+} = require('./jsdoc/tsdoc');
+const { getCommentLines, parseJSDocLines } = require('./jsdoc/parser');
+const { isPlaceholder, reconcileParams } = require('./jsdoc/reconcile');
+const { discoverFiles } = require('./files/discovery');
+const { resolveFileOptions } = require('./config/loader');
+const {
+  DEFAULT_CONCURRENCY,
+  mapWithConcurrency,
+} = require('./utils/concurrency');
 
 // --- Core Logic for JSDoc Generation ---
 
+// A file-level docblock, which never documents the declaration that follows it.
+const FILE_OVERVIEW_PATTERN =
+  /^\s*\*?\s*@(?:file|fileoverview|overview|module)\b/m;
+
+/**
+ * Finds the JSDoc comment among a node's leading comments.
+ * @param {Array<object>} [comments] - Array of comment objects from Babel AST.
+ * @returns {object|undefined} The `/** ... *\/` comment closest to the node, if
+ * any. File-level `@file` and `@module` docblocks are skipped.
+ */
+function findJSDocComment(comments) {
+  return comments?.findLast(
+    (comment) =>
+      comment.type === 'CommentBlock' &&
+      comment.value.startsWith('*') &&
+      !FILE_OVERVIEW_PATTERN.test(comment.value)
+  );
+}
+
 /**
  * Extracts existing JSDoc comments from a Node's leading comments.
  * @param {Array<object>} comments - Array of comment objects from Babel AST.
@@ -128,10 +76,7 @@ function getJSDocBlocks(comments) {
   if (!comments || comments.length === 0) {
     return null;
   }
-  const jsdocComment = comments.find(
-    (comment) =>
-      comment.type === 'CommentBlock' && comment.value.startsWith('*')
-  );
+  const jsdocComment = findJSDocComment(comments);
   if (!jsdocComment) {
     return null;
   }
@@ -151,284 +96,446 @@ function getJSDocBlocks(comments) {
   return lines;
 }
 
+// Values documented as functions or classes rather than as constants.
+const FUNCTION_OR_CLASS_TYPES = new Set([
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ClassExpression',
+]);
+
 /**
- * Infers JSDoc details for a class based on its TypeScript Symbol.
- * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
- * @param {ts.Symbol} classSymbol - TypeScript Symbol for the class.
- * @param {string} rawCode - The raw code string of the class.
- * @returns {Promise<object>} Inferred JSDoc properties.
+ * Determines whether a Babel path is a class field, including `#private` and
+ * `accessor` fields.
+ * @param {NodePath} [path] - The Babel path to check.
+ * @returns {boolean} True for class fields.
+ */
+function isClassPropertyPath(path) {
+  return Boolean(
+    path &&
+      (path.isClassProperty() ||
+        path.isClassPrivateProperty() ||
+        path.isClassAccessorProperty())
+  );
+}
+
+/**
+ * Determines whether a Babel path is a node the generator documents.
+ * @param {NodePath} path - The Babel path to check.
+ * @returns {boolean} True for classes, class and object methods, functions, and
+ * class fields. Fields that hold a function are documented through the function.
  */
-async function inferClassJSDoc(checker, classSymbol, rawCode) {
-  const className = classSymbol.getName();
-  let description = 'Description placeholder.';
-  let examples = [];
-  let constructorParams = [];
-  let extendsClass = null;
+function isDocumentablePath(path) {
+  return (
+    path.isClassDeclaration() ||
+    path.isClassExpression() ||
+    path.isClassMethod() ||
+    path.isClassPrivateMethod() ||
+    path.isObjectMethod({ kind: 'method' }) ||
+    path.isFunctionDeclaration() ||
+    path.isFunctionExpression() ||
+    path.isArrowFunctionExpression() ||
+    (isClassPropertyPath(path) &&
+      !FUNCTION_OR_CLASS_TYPES.has(path.node.value?.type))
+  );
+}
 
-  // Get constructor parameters
-  const constructorDeclaration =
-    classSymbol.members?.get('constructor')?.declarations?.[0];
+/**
+ * Determines whether an exported value is documented through other nodes: a
+ * local binding exported under a name (`exports.run = run`), which is documented
+ * where it is declared, or an object literal whose members are documented one by
+ * one (`exports.helpers = { load() {} }`).
+ * @param {NodePath} valuePath - The Babel path of the exported value.
+ * @returns {boolean} True if the value needs no docblock of its own.
+ */
+function isDocumentedElsewhere(valuePath) {
+  if (valuePath.isIdentifier()) {
+    return Boolean(valuePath.scope.getBinding(valuePath.node.name));
+  }
+  return (
+    valuePath.isObjectExpression() &&
+    valuePath
+      .get('properties')
+      .some(
+        (property) =>
+          isDocumentablePath(property) ||
+          (property.isObjectProperty() &&
+            isDocumentablePath(property.get('value')))
+      )
+  );
+}
 
+/**
+ * Identifies an exported constant: `export const NAME = value` or
+ * `exports.NAME = value`, where the value is not a function or class and is not
+ * documented elsewhere. Constants are counted by the coverage report but never
+ * generated.
+ * @param {NodePath} path - The Babel path to check.
+ * @returns {{name: string, commentTarget: object}|null} The constant's name and the
+ * node that carries its docblock, or null if the path is not an exported constant.
+ */
+function getExportedConstant(path) {
   if (
-    constructorDeclaration &&
-    ts.isConstructorDeclaration(constructorDeclaration)
+    path.isVariableDeclarator() &&
+    path.parent.kind === 'const' &&
+    path.parentPath.parentPath.isExportNamedDeclaration() &&
+    path.node.id.type === 'Identifier' &&
+    !FUNCTION_OR_CLASS_TYPES.has(path.node.init?.type) &&
+    !(path.node.init && isDocumentedElsewhere(path.get('init')))
   ) {
-    constructorParams = await Promise.all(
-      constructorDeclaration.parameters.map(async (param) => {
-        const paramName = param.name.getText();
-        const paramType = checker.getTypeOfSymbolAtLocation(
-          checker.getSymbolAtLocation(param.name),
-          param.name
-        );
-        let inferredTypeString = checker.typeToString(paramType);
-        if (inferredTypeString === 'any') {
-          // Try to refine 'any' if possible or if not explicitly typed
-          const typeNode = param.type;
-          if (typeNode) {
-            inferredTypeString = typeNode.getText(); // Use the raw text if 'any' is too broad
-          } else {
-            // Fallback to basic types for untyped JS if TS gives 'any'
-            inferredTypeString = 'object'; // Or 'any' if truly unknown
-          }
-        }
+    return {
+      name: path.node.id.name,
+      commentTarget: path.parentPath.parent,
+    };
+  }
+  if (
+    path.isAssignmentExpression({ operator: '=' }) &&
+    path.parentPath.isExpressionStatement() &&
+    path.get('left').isMemberExpression({ computed: false }) &&
+    !FUNCTION_OR_CLASS_TYPES.has(path.node.right.type) &&
+    !isDocumentedElsewhere(path.get('right'))
+  ) {
+    const object = path.get('left.object');
+    if (
+      object.isIdentifier({ name: 'exports' }) ||
+      object.matchesPattern('module.exports')
+    ) {
+      return {
+        name: path.node.left.property.name,
+        commentTarget: path.parent,
+      };
+    }
+  }
+  return null;
+}
 
-        let defaultValue = null;
-        if (param.initializer) {
-          defaultValue = param.initializer.getText();
-        }
+/**
+ * Finds the path whose leading comments hold the docblock for a node.
+ * Babel attaches comments to the outermost statement, so a docblock written above
+ * `export const fn = () => {}` or `exports.fn = function () {}` belongs to the
+ * enclosing declaration or statement rather than to the function itself, and
+ * one above `fn: () => {}` in an object literal or `fn = () => {}` in a class to
+ * the property.
+ * @param {NodePath} path - The Babel path of the documentable node.
+ * @returns {NodePath} The path that carries (or should carry) the docblock.
+ */
+function getCommentTargetPath(path) {
+  let target = path;
+  const parent = target.parentPath;
+  if (
+    parent?.isVariableDeclarator() &&
+    parent.parentPath.node.declarations.length === 1
+  ) {
+    target = parent.parentPath;
+  } else if (
+    parent?.isAssignmentExpression() &&
+    parent.parentPath.isExpressionStatement()
+  ) {
+    target = parent.parentPath;
+  } else if (
+    (parent?.isObjectProperty() || isClassPropertyPath(parent)) &&
+    parent.node.value === path.node
+  ) {
+    target = parent;
+  }
+  if (
+    target.parentPath?.isExportNamedDeclaration() ||
+    target.parentPath?.isExportDefaultDeclaration()
+  ) {
+    target = target.parentPath;
+  }
+  return target;
+}
 
-        let desc = getParamDescription(paramName, inferredTypeString);
-        if (defaultValue !== null) {
-          desc += ` Defaults to \`${defaultValue}\`.`;
-        }
+// --- Helper: Member Names ---
 
-        return {
-          name: paramName,
-          type: inferredTypeString,
-          description: desc,
-        };
-      })
-    );
-  }
+// The objects a CommonJS module exports its members on.
+const COMMONJS_EXPORTS_PATTERN = /^(?:module\.)?exports(?=\.|$)/;
 
-  // Check for inheritance
-  const extendsClause =
-    classSymbol.declarations?.[0]?.heritageClauses?.[0]?.types?.[0];
-  if (extendsClause) {
-    extendsClass = extendsClause.getText();
-  }
-
-  try {
-    const response = await callOpenAI(
-      `
-            Given the TypeScript/JavaScript class "${className}" with the following code:
-            \`\`\`typescript
-            ${rawCode}
-            \`\`\`
-            Generate:
-            1. A concise, professional description for the class.
-            2. One to two relevant, runnable JavaScript/TypeScript example usage blocks demonstrating class instantiation and primary functionality. Ensure examples are valid code and follow JSDoc example block format.
-            3. A description for its constructor, if applicable, based on its parameters and what it initializes.
-
-            Format the output as a JSON object:
-            {
-                "description": "...",
-                "examples": ["Example block 1", "Example block 2"],
-                "constructorDescription": "..."
-            }
-            If no examples or constructor are needed, provide empty arrays or strings.
-            `,
-      'gpt-4o'
-    ); // Use a more capable model for class summaries
-
-    const parsedResponse = JSON.parse(response);
-    description = parsedResponse.description || description;
-    examples = parsedResponse.examples || examples;
+// A name JSDoc can read from the code, as opposed to a quoted property key.
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
 
-    return {
-      name: className,
-      description,
-      examples,
-      constructorParams,
-      constructorDescription: parsedResponse.constructorDescription,
-      extendsClass,
-    };
-  } catch (error) {
-    console.error(
-      `Error inferring JSDoc for class ${className} with OpenAI:`,
-      error.message
-    );
-    // Fallback with basic inference
-    return {
-      name: className,
-      description: `A class representing ${className}.`,
-      examples: [],
-      constructorParams,
-      constructorDescription: `Initializes a new instance of the ${className} class.`,
-      extendsClass,
-    };
+/**
+ * Names the module a file defines, for `@memberof module:<name>` tags.
+ * @param {string} filePath - The path of the file.
+ * @param {Array<object>} [comments] - Every comment in the file, from the Babel AST.
+ * @returns {string} The name given by a `@module` tag, or else the file's path
+ * relative to the working directory, without its extension.
+ */
+function getModuleName(filePath, comments) {
+  for (const comment of comments || []) {
+    const match =
+      comment.type === 'CommentBlock' &&
+      /@module\s+([^\s*]+)/.exec(comment.value);
+    if (match) return match[1].replace(/^module:/, '');
   }
+  const relativePath = path.relative(process.cwd(), filePath);
+  return relativePath
+    .slice(0, relativePath.length - path.extname(relativePath).length)
+    .split(path.sep)
+    .join('/');
 }
 
 /**
- * Infers JSDoc details for a function or constructor based on its TypeScript Symbol.
- * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
- * @param {ts.Symbol} symbol - TypeScript Symbol for the function or constructor.
- * @param {string} rawCode - The raw code string of the function/method.
- * @returns {Promise<object>} Inferred JSDoc properties.
- */
-async function inferFunctionOrConstructorJSDoc(checker, symbol, rawCode) {
-  const functionName = symbol.getName();
-  let description = 'Description placeholder.';
-  const params = [];
-  let returns = { type: 'void', description: 'The result of the operation.' };
-  const throws = [];
-  const examples = [];
-
-  // Get parameters
-  const declaration = symbol.declarations?.[0];
-  let isAsync = false;
+ * Builds the dotted name of an identifier or a chain of property accesses, such
+ * as `api` or `module.exports`.
+ * @param {object} node - The Babel expression node.
+ * @returns {string|null} The name, or null for any other expression.
+ */
+function getQualifiedName(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  if (node.type === 'MemberExpression' && !node.computed) {
+    const object = getQualifiedName(node.object);
+    return object && `${object}.${node.property.name}`;
+  }
+  return null;
+}
 
-  if (
-    declaration &&
-    (ts.isFunctionDeclaration(declaration) ||
-      ts.isMethodDeclaration(declaration) ||
-      ts.isConstructorDeclaration(declaration) ||
-      ts.isArrowFunction(declaration))
-  ) {
-    // Check for async keyword
-    isAsync =
-      ts.isFunctionLike(declaration) &&
-      (ts.getCombinedModifierFlags(declaration) & ts.ModifierFlags.Async) !== 0;
-
-    for (const param of declaration.parameters) {
-      const paramSymbol = checker.getSymbolAtLocation(param.name);
-      const paramName = paramSymbol.getName();
-      const paramType = checker.getTypeOfSymbolAtLocation(
-        paramSymbol,
-        param.name
-      );
-      let inferredTypeString = checker.typeToString(paramType);
-      if (inferredTypeString === 'any') {
-        // Try to refine 'any' if possible or if not explicitly typed
-        const typeNode = param.type;
-        if (typeNode) {
-          inferredTypeString = typeNode.getText(); // Use the raw text if 'any' is too broad
-        } else {
-          // Fallback to basic types for untyped JS if TS gives 'any'
-          inferredTypeString = 'object'; // Or 'any' if truly unknown
-        }
-      }
+/**
+ * Reads the name of an object property, method or member access.
+ * @param {object} node - The Babel `ObjectProperty`, `ObjectMethod` or
+ * `MemberExpression` node.
+ * @returns {string|null} The name, or null if it is computed at runtime.
+ */
+function getPropertyName(node) {
+  const key = node.key || node.property;
+  if (!node.computed && key.type === 'Identifier') {
+    return key.name;
+  }
+  return key.type === 'StringLiteral' || key.type === 'NumericLiteral'
+    ? String(key.value)
+    : null;
+}
 
-      let defaultValue = null;
-      if (param.initializer) {
-        defaultValue = param.initializer.getText();
-      }
+/**
+ * Converts the name of an object into the namepath of a `@memberof` tag. The
+ * `exports` and `module.exports` objects of CommonJS stand for the module itself.
+ * @param {string|null} objectName - The dotted name of the object.
+ * @param {string} moduleName - The name of the module the file defines.
+ * @returns {string|null} The namepath, e.g. `api` or `module:src/cli`.
+ */
+function toMemberOf(objectName, moduleName) {
+  return objectName
+    ? objectName.replace(COMMONJS_EXPORTS_PATTERN, `module:${moduleName}`)
+    : null;
+}
 
-      let desc = getParamDescription(paramName, inferredTypeString);
-      if (defaultValue !== null) {
-        desc += ` Defaults to \`${defaultValue}\`.`;
-      }
+/**
+ * Names the object an object literal is assigned to: the variable it
+ * initializes, the target it is assigned to, or the property it is nested under.
+ * @param {NodePath} objectPath - The Babel path of the object literal.
+ * @param {string} moduleName - The name of the module the file defines.
+ * @returns {string|null} The `@memberof` namepath, or null if the object has no
+ * name, such as an object passed inline as an argument.
+ */
+function getObjectName(objectPath, moduleName) {
+  const { node, parentPath: parent } = objectPath;
+  if (parent.isVariableDeclarator() && parent.get('id').isIdentifier()) {
+    return parent.node.id.name;
+  }
+  if (parent.isAssignmentExpression({ operator: '=' })) {
+    return parent.node.right === node
+      ? toMemberOf(getQualifiedName(parent.node.left), moduleName)
+      : null;
+  }
+  if (parent.isObjectProperty() && parent.node.value === node) {
+    const owner = getObjectName(parent.parentPath, moduleName);
+    const key = getPropertyName(parent.node);
+    return owner && key && `${owner}.${key}`;
+  }
+  return null;
+}
 
-      params.push({
-        name: paramName,
-        type: inferredTypeString,
-        description: desc,
-      });
+/**
+ * Names a function that is defined as a member of an object rather than declared:
+ * a method or property of an object literal (`{ load() {} }`), or a function
+ * assigned to a property (`exports.load = function () {}`). An anonymous
+ * function assigned to `module.exports` itself is named after the module.
+ * @param {NodePath} path - The Babel path of the function.
+ * @param {string} moduleName - The name of the module the file defines.
+ * @returns {{name: string, memberOf: (string|null)}|null} The member's name and
+ * the `@memberof` namepath of its object, or null if the function is not a member
+ * or its name is computed at runtime.
+ */
+function getMemberBinding(path, moduleName) {
+  const { node, parentPath: parent } = path;
+  let name = null;
+  let memberOf = null;
+  if (path.isObjectMethod()) {
+    name = getPropertyName(node);
+    memberOf = getObjectName(parent, moduleName);
+  } else if (parent.isObjectProperty() && parent.node.value === node) {
+    name = getPropertyName(parent.node);
+    memberOf = getObjectName(parent.parentPath, moduleName);
+  } else if (
+    parent.isAssignmentExpression({ operator: '=' }) &&
+    parent.node.right === node &&
+    parent.get('left').isMemberExpression()
+  ) {
+    const left = parent.get('left');
+    if (left.matchesPattern('module.exports')) {
+      name = node.id?.name || moduleName.split('/').pop();
+    } else {
+      name = getPropertyName(left.node);
+      memberOf = toMemberOf(getQualifiedName(left.node.object), moduleName);
     }
+  }
+  return name ? { name, memberOf } : null;
+}
 
-    // Get return type
-    const signature = checker.getSignatureFromDeclaration(declaration);
-    if (signature) {
-      const returnType = checker.getReturnTypeOfSignature(signature);
-      let returnTypeString = checker.typeToString(returnType);
-
-      // Handle Promises for async functions
-      if (isAsync && returnTypeString.startsWith('Promise<')) {
-        // If it's explicitly typed as Promise<void>, keep it. Otherwise, extract inner type.
-        if (returnTypeString !== 'Promise<void>') {
-          const match = returnTypeString.match(/Promise<(.*)>/);
-          if (match && match[1]) {
-            returnTypeString = `Promise<${match[1]}>`; // Keep Promise<T> if T is something other than void
-          }
-        } else if (
-          returnTypeString === 'Promise<void>' ||
-          returnTypeString === 'Promise<any>'
-        ) {
-          // For async functions that implicitly return void or any, just indicate Promise<void>
-          returnTypeString = 'Promise<void>';
-        } else if (returnTypeString === 'void' && isAsync) {
-          returnTypeString = 'Promise<void>'; // Explicitly typed void for async should still return Promise<void>
-        }
-      }
-      returns.type = returnTypeString || 'void';
-    }
+/**
+ * Finds the class member a node defines: a method or field itself, or the field
+ * that holds a function.
+ * @param {NodePath} path - The Babel path of the documentable node.
+ * @returns {NodePath|null} The path of the member, or null if the node is not a
+ * class member.
+ */
+function getClassMemberPath(path) {
+  if (path.parentPath?.isClassBody()) {
+    return path;
   }
+  const parent = path.parentPath;
+  return isClassPropertyPath(parent) &&
+    parent.node.value === path.node &&
+    parent.parentPath.isClassBody()
+    ? parent
+    : null;
+}
 
-  try {
-    const prompt = `
-            Given the TypeScript/JavaScript code for the function/method "${functionName}" and its signature:
-            \`\`\`typescript
-            ${rawCode}
-            \`\`\`
-            Based on the code, generate:
-            1. A concise, professional description for the function/method.
-            2. A brief description for what it returns.
-            3. A brief description for any errors it might throw.
-            4. One to two relevant, runnable JavaScript/TypeScript example usage blocks demonstrating its primary functionality. Ensure examples are valid code and follow JSDoc example block format. Cover happy path, and if applicable, edge cases or throwing paths.
-
-            Format the output as a JSON object:
-            {
-                "description": "...",
-                "returnsDescription": "...",
-                "throwsDescription": ["Error message 1", "Error message 2"],
-                "examples": ["Example block 1", "Example block 2"]
-            }
-            If no descriptions, returns, throws, or examples are needed, provide empty arrays or strings.
-            `;
-
-    const response = await callOpenAI(prompt, 'gpt-4o');
-    const parsedResponse = JSON.parse(response);
-
-    description = parsedResponse.description || description;
-    returns.description =
-      parsedResponse.returnsDescription || returns.description;
-    if (
-      parsedResponse.throwsDescription &&
-      parsedResponse.throwsDescription.length > 0
-    ) {
-      // Assuming throwsDescription is an array of strings like ["Error message", "Another error message"]
-      parsedResponse.throwsDescription.forEach((errDesc) =>
-        throws.push({ description: errDesc })
-      );
-    }
-    parsedResponse.examples?.forEach((example) => examples.push(example));
-  } catch (error) {
-    console.error(
-      `Error inferring JSDoc for ${functionName} with OpenAI:`,
-      error.message
-    );
-    // Fallback with basic inference if OpenAI fails
-    description = `Performs the operation related to ${functionName}.`;
+/**
+ * Names the class a member belongs to: the class's own name, or the variable an
+ * anonymous class expression initializes.
+ * @param {NodePath} memberPath - The Babel path of the class member.
+ * @returns {string|null} The name, or null for other anonymous classes.
+ */
+function getClassName(memberPath) {
+  const classPath = memberPath.parentPath.parentPath;
+  if (classPath.node.id) {
+    return classPath.node.id.name;
   }
+  const parent = classPath.parentPath;
+  return parent.isVariableDeclarator() && parent.get('id').isIdentifier()
+    ? parent.node.id.name
+    : null;
+}
 
-  return { functionName, description, params, returns, throws, examples };
+/**
+ * Formats the `@name`, `@memberof` and modifier tags of a member of an object or
+ * class.
+ * @param {object} inferredJSDoc - The inferred JSDoc properties.
+ * @param {string} [inferredJSDoc.documentedName] - The member's name, when it
+ * differs from the function's own name or is not an identifier.
+ * @param {string} [inferredJSDoc.memberOf] - The namepath of the member's object.
+ * @param {string[]} [inferredJSDoc.modifiers] - The modifier tags of a class
+ * member, such as `static` or `private`. `@instance` is only written alongside
+ * `@memberof`, which it qualifies.
+ * @returns {string[]} The tag lines, if any.
+ */
+function formatMemberLines({ documentedName, memberOf, modifiers = [] }) {
+  return [
+    documentedName && `@name ${documentedName}`,
+    memberOf && `@memberof ${memberOf}`,
+    ...modifiers
+      .filter((tag) => memberOf || tag !== 'instance')
+      .map((tag) => `@${tag}`),
+  ].filter(Boolean);
+}
+
+/**
+ * Formats the member tags of a block, followed by its `@type` tag: the lines of
+ * `formatMemberLines` and `@type`, with the tags that are already written kept
+ * as they are, and then the written member tags that were not inferred.
+ * @param {object} inferredJSDoc - The inferred JSDoc properties.
+ * @param {Array<{tagName: string, line: string}>} [writtenTags] - The member
+ * tags of the existing block, in written order.
+ * @returns {string[]} The tag lines, if any.
+ */
+function formatMemberAndTypeLines(inferredJSDoc, writtenTags = []) {
+  const inferredLines = formatMemberLines(inferredJSDoc);
+  if (inferredJSDoc.type) {
+    inferredLines.push(`@type {${inferredJSDoc.type}}`);
+  }
+  const tagNameOf = (line) => line.split(' ')[0].slice(1);
+  const inferredTagNames = inferredLines.map(tagNameOf);
+  return [
+    ...inferredLines.flatMap((line) => {
+      const written = writtenTags.filter(
+        (tag) => tag.tagName === tagNameOf(line)
+      );
+      return written.length ? written.map((tag) => tag.line) : [line];
+    }),
+    ...writtenTags
+      .filter((tag) => !inferredTagNames.includes(tag.tagName))
+      .map((tag) => tag.line),
+  ];
 }
 
 /**
- * Generates a default description for a parameter.
- * @param {string} paramName - The name of the parameter.
- * @param {string} inferredTypeString - The inferred type of the parameter.
- * @returns {string} The generated parameter description.
+ * Formats a single `@param` tag. Optional parameters are written as `[name]`, and
+ * those with a default value as `[name=default]`.
+ * @param {object} param - The parameter or documented property.
+ * @returns {string} The tag.
  */
-function getParamDescription(paramName, inferredTypeString) {
-  if (paramName === 'options' && inferredTypeString === 'object') {
-    return 'Configuration options.';
+function formatParamTag({ type, name, optional, defaultValue, description }) {
+  let paramName = name;
+  if (defaultValue !== undefined) {
+    paramName = `[${name}=${defaultValue}]`;
+  } else if (optional) {
+    paramName = `[${name}]`;
   }
-  return `The ${inferredTypeString} value of ${paramName}.`;
+  return `@param ${type ? `{${type}} ` : ''}${paramName} - ${description}`;
+}
+
+/**
+ * Formats the `@param` tag of a parameter, followed by the tags of the
+ * properties documented under it, such as those of a destructured parameter.
+ * @param {object} param - The inferred or reconciled parameter.
+ * @returns {string[]} The tag lines.
+ */
+function formatParamLines(param) {
+  return [param, ...(param.properties || [])].map(formatParamTag);
 }
 
-// Removed duplicate callOpenAI implementation; now using shared module from ./ai/openai
+/**
+ * Reconciles inferred parameters with the existing `@param` tags, collecting the
+ * repairs that were made.
+ * @param {Array<object>} params - The inferred parameters.
+ * @param {Array<object>} paramTags - The parsed `@param` tags of the existing block.
+ * @param {string[]} repairs - Collects the repairs.
+ * @returns {Array<object>} The reconciled parameters.
+ */
+function reconcileDocumentedParams(params, paramTags, repairs) {
+  const reconciled = reconcileParams(params, paramTags);
+  repairs.push(...reconciled.repairs);
+  return reconciled.params;
+}
+
+/**
+ * Formats a `@returns` or `@yields` tag, keeping the description of the existing
+ * tag unless it is a placeholder. The inferred type wins, except over `any`,
+ * which is all TypeScript can infer for many JavaScript functions.
+ * @param {string} tagName - `returns` or `yields`.
+ * @param {{type: string, description: string}} inferred - The inferred type and
+ * description.
+ * @param {object} [existingTag] - The parsed tag of the existing block.
+ * @param {string[]} repairs - Collects a description of a changed type.
+ * @returns {string} The tag.
+ */
+function formatTypedTag(tagName, inferred, existingTag, repairs) {
+  let { type } = inferred;
+  if (type === 'any' && existingTag?.type) {
+    type = existingTag.type;
+  } else if (existingTag?.type && existingTag.type !== type) {
+    repairs.push(
+      `changed the type of @${tagName} from {${existingTag.type}} to {${type}}`
+    );
+  }
+  const description = isPlaceholder(existingTag?.description)
+    ? inferred.description
+    : existingTag.description;
+  return `@${tagName} {${type}} ${description}`;
+}
 
 /**
  * Updates an existing JSDoc block with new or inferred information.
@@ -438,6 +545,7 @@ function getParamDescription(paramName, inferredTypeString) {
  * @param {string} [inferredJSDoc.description] - Main description.
  * @param {Array<object>} [inferredJSDoc.params] - Array of parameter objects.
  * @param {object} [inferredJSDoc.returns] - Returns object.
+ * @param {object} [inferredJSDoc.yields] - Yields object, for generator functions.
  * @param {Array<object>} [inferredJSDoc.throws] - Array of throws objects.
  * @param {Array<string>} [inferredJSDoc.examples] - Array of example code blocks.
  * @param {string} [inferredJSDoc.constructorDescription] - Description for constructor.
@@ -445,11 +553,26 @@ function getParamDescription(paramName, inferredTypeString) {
  * @param {string} [inferredJSDoc.extendsClass] - Class extended.
  * @param {string} [inferredJSDoc.functionName] - Name of the function/method.
  * @param {string} [inferredJSDoc.name] - Name of the class.
+ * @param {string} [inferredJSDoc.documentedName] - Name of an object member, for
+ * `@name`.
+ * @param {string} [inferredJSDoc.memberOf] - Namepath of a member's object, for
+ * `@memberof`.
+ * @param {string[]} [inferredJSDoc.modifiers] - Modifier tags of a class member.
+ * @param {string} [inferredJSDoc.type] - Type of a class field or getter, for
+ * `@type`.
+ * @param {string} [inferredJSDoc.propertyName] - Name of the class field.
+ * @param {string[]} [repairs] - Collects a description of every stale `@param`,
+ * `@returns` and `@yields` tag that was repaired.
  * @returns {string[]} The updated JSDoc lines.
  */
-function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
+function updateJSDocBlock(existingJSDocLines, inferredJSDoc, repairs = []) {
   const updatedLines = [];
+  const existingParsedTags = parseJSDocLines(existingJSDocLines).tags;
+  const existingParamTags = existingParsedTags.filter(
+    (tag) => tag.tag === 'param'
+  );
   const existingTags = new Map(); // Store existing tags by name (e.g., param, returns) or full line for others
+  const writtenMemberTags = [];
   let mainDescription = '';
   let foundMainDescription = false;
 
@@ -462,8 +585,12 @@ function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
       const tagContent = parts.slice(1).join(' ').trim();
 
       if (tagName === 'return') tagName = 'returns'; // Normalize 'return' to 'returns'
+      if (tagName === 'yield') tagName = 'yields';
 
-      if (MANAGED_JSDOC_TAGS.has(tagName)) {
+      if (MEMBER_JSDOC_TAGS.has(tagName)) {
+        // Kept in the position new blocks put them, see below
+        writtenMemberTags.push({ tagName, line: trimmedLine });
+      } else if (MANAGED_JSDOC_TAGS.has(tagName)) {
         // For managed tags, we'll decide later whether to keep or replace content.
         // Store original content to compare with placeholders.
         if (!existingTags.has(tagName)) {
@@ -476,7 +603,7 @@ function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
         // For other valid tags or unrecognized tags, keep them as-is.
         if (!VALID_JSDOC_TAGS.has(tagName)) {
           console.warn(
-            `  Warning: Unrecognized JSDoc tag '@${tagName}' found in JSDoc for "${inferredJSDoc.functionName || inferredJSDoc.name}". This tag will be preserved as-is.`
+            `  Warning: Unrecognized JSDoc tag '@${tagName}' found in JSDoc for "${inferredJSDoc.functionName || inferredJSDoc.propertyName || inferredJSDoc.name}". This tag will be preserved as-is.`
           );
         }
         if (!existingTags.has('other')) {
@@ -517,17 +644,14 @@ function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
     updatedLines.push(mainDescription); // If no new desc but old exists, keep it
   }
 
-  // Add a blank line after description if it exists and there will be tags
-  if (
-    updatedLines.length > 0 &&
-    (inferredJSDoc.params?.length ||
-      inferredJSDoc.returns?.type ||
-      inferredJSDoc.throws?.length ||
-      inferredJSDoc.examples?.length ||
-      existingTags.size > 0)
-  ) {
-    updatedLines.push('');
-  }
+  // Member and type tags go where `buildJSDocLines` puts them, so that a rerun
+  // leaves the block unchanged; written ones are kept as they are
+  const memberLines = formatMemberAndTypeLines(
+    inferredJSDoc,
+    writtenMemberTags
+  );
+
+  const descriptionLength = updatedLines.length;
 
   // 2. Class-specific tags
   if (inferredJSDoc.name) {
@@ -575,81 +699,51 @@ function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
       inferredJSDoc.constructorParams &&
       inferredJSDoc.constructorParams.length > 0
     ) {
-      inferredJSDoc.constructorParams.forEach((param) => {
-        const existingParam = existingTags
-          .get('param')
-          ?.find((p) => p.content.startsWith(`{${param.type}} ${param.name}`));
-        if (
-          existingParam &&
-          existingParam.content !== `The ${param.type} value of ${param.name}.`
-        ) {
-          updatedLines.push(
-            `@param {${param.type}} ${param.name} ${existingParam.content.substring(existingParam.content.indexOf(param.name) + param.name.length).trim()}`
-          );
-        } else {
-          updatedLines.push(
-            `@param {${param.type}} ${param.name} - ${param.description}`
-          );
-        }
-      });
+      reconcileDocumentedParams(
+        inferredJSDoc.constructorParams,
+        existingParamTags,
+        repairs
+      ).forEach((param) => updatedLines.push(...formatParamLines(param)));
     }
   }
 
-  // 4. Parameters
-  inferredJSDoc.params?.forEach((param) => {
-    // Find if an existing @param tag for this parameter (by name and type) already exists with non-placeholder content
-    const existingParam = existingTags
-      .get('param')
-      ?.find((p) => p.content.includes(`{${param.type}} ${param.name}`));
-    const placeholderParamDesc = `The ${param.type} value of ${param.name}.`; // Common placeholder pattern
-    const isExistingParamPlaceholder =
-      existingParam?.content.includes(placeholderParamDesc);
-
-    if (existingParam && !isExistingParamPlaceholder) {
-      // Use existing description if it's not a placeholder
-      // Extract the original description part from the full line if it exists
-      let originalDescription = existingParam.content
-        .substring(
-          existingParam.content.indexOf(param.name) + param.name.length
-        )
-        .trim();
-      if (originalDescription.startsWith('-'))
-        originalDescription = originalDescription.substring(1).trim(); // Remove leading hyphen
-      updatedLines.push(
-        `@param {${param.type}} ${param.name} - ${originalDescription}`
-      );
-    } else {
-      // Use inferred description
-      updatedLines.push(
-        `@param {${param.type}} ${param.name} - ${param.description}`
-      );
-    }
-  });
+  // 4. Parameters, matched to their existing tags by name or position
+  updatedLines.push(...memberLines);
+  if (inferredJSDoc.yields) {
+    updatedLines.push('@generator');
+  }
+  if (inferredJSDoc.params) {
+    reconcileDocumentedParams(
+      inferredJSDoc.params,
+      existingParamTags,
+      repairs
+    ).forEach((param) => updatedLines.push(...formatParamLines(param)));
+  }
 
-  // 5. Returns
+  // 5. Yields and returns
+  if (inferredJSDoc.yields) {
+    updatedLines.push(
+      formatTypedTag(
+        'yields',
+        inferredJSDoc.yields,
+        existingParsedTags.find((tag) => tag.tag === 'yields'),
+        repairs
+      )
+    );
+  }
   if (
     inferredJSDoc.returns &&
     inferredJSDoc.returns.type &&
     inferredJSDoc.returns.type !== 'void'
   ) {
-    const placeholderReturnsDesc = 'The result of the operation.';
-    const existingReturns = existingTags
-      .get('returns')
-      ?.find((tag) => tag.content !== placeholderReturnsDesc);
-
-    if (
-      existingReturns &&
-      existingReturns.content !== '' &&
-      existingReturns.content !== placeholderReturnsDesc
-    ) {
-      updatedLines.push(
-        `@returns {${inferredJSDoc.returns.type}} ${existingReturns.content}`
-      );
-    } else {
-      updatedLines.push(
-        `@returns {${inferredJSDoc.returns.type}} ${inferredJSDoc.returns.description}`
-      );
-    }
+    updatedLines.push(
+      formatTypedTag(
+        'returns',
+        inferredJSDoc.returns,
+        existingParsedTags.find((tag) => tag.tag === 'returns'),
+        repairs
+      )
+    );
   }
 
   // 6. Throws
@@ -661,7 +755,7 @@ function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
       ?.find((t) => t.content.includes(thr.description));
     if (!existingThrow) {
       // Only add if it's genuinely new or replacing a generic placeholder
-      updatedLines.push(`@throws {Error} ${thr.description}`); // Assuming type Error for now
+      updatedLines.push(`@throws {${thr.type || 'Error'}} ${thr.description}`);
     } else {
       // If exists, keep original unless it's a placeholder
       updatedLines.push(existingThrow.originalLine);
@@ -693,150 +787,629 @@ function updateJSDocBlock(existingJSDocLines, inferredJSDoc) {
     updatedLines.push(tag.originalLine);
   });
 
+  // Separate the description from the tags, if there are both
+  if (descriptionLength > 0 && updatedLines.length > descriptionLength) {
+    updatedLines.splice(descriptionLength, 0, '');
+  }
   return updatedLines;
 }
 
 // --- Helper: Build JSDoc Lines ---
 function buildJSDocLines(inferredJSDoc) {
+  // Tags are written in the order `updateJSDocBlock` keeps them in
   const lines = [];
   if (inferredJSDoc.name) {
-    lines.push(inferredJSDoc.description);
     lines.push('@class');
     if (inferredJSDoc.extendsClass)
       lines.push(`@augments ${inferredJSDoc.extendsClass}`);
-    if (inferredJSDoc.examples?.length) {
-      lines.push('');
-      inferredJSDoc.examples.forEach((ex) => lines.push(`@example ${ex}`));
-    }
     if (inferredJSDoc.constructorDescription) {
       lines.push(`@constructor ${inferredJSDoc.constructorDescription}`);
       inferredJSDoc.constructorParams?.forEach((param) =>
-        lines.push(
-          `@param {${param.type}} ${param.name} - ${param.description}`
-        )
+        lines.push(...formatParamLines(param))
       );
     }
+  } else {
+    // Function/method
+    lines.push(...formatMemberAndTypeLines(inferredJSDoc));
+    if (inferredJSDoc.yields) {
+      lines.push('@generator');
+    }
+    inferredJSDoc.params?.forEach((param) =>
+      lines.push(...formatParamLines(param))
+    );
+    if (inferredJSDoc.yields) {
+      lines.push(
+        `@yields {${inferredJSDoc.yields.type}} ${inferredJSDoc.yields.description}`
+      );
+    }
+    if (inferredJSDoc.returns?.type && inferredJSDoc.returns.type !== 'void') {
+      lines.push(
+        `@returns {${inferredJSDoc.returns.type}} ${inferredJSDoc.returns.description}`
+      );
+    }
+    inferredJSDoc.throws?.forEach((thr) =>
+      lines.push(`@throws {${thr.type || 'Error'}} ${thr.description}`)
+    );
+  }
+  inferredJSDoc.examples?.forEach((ex) => lines.push(`@example ${ex}`));
+  return lines.length
+    ? [inferredJSDoc.description, '', ...lines]
+    : [inferredJSDoc.description];
+}
+
+// --- Helper: Full Regeneration (--overwrite-all-jsdoc) ---
+
+/**
+ * Converts a list of tag names from the CLI into a lookup set.
+ * Leading '@' characters are stripped and names are compared case-insensitively.
+ * @param {string[]} [tags] - The tag names, e.g. `['license', '@deprecated']`.
+ * @returns {Set<string>} The normalized tag names.
+ */
+function toTagSet(tags) {
+  return new Set(
+    (tags || [])
+      .map((tag) => tag.trim().replace(/^@/, '').toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Splits JSDoc lines into the sections that belong to the given tags and the rest.
+ * A tag's section spans its own line and any continuation lines up to the next tag.
+ * Trailing blank lines are trimmed from both results.
+ * @param {string[]} jsdocLines - The lines of a JSDoc block, without comment markers.
+ * @param {Set<string>} tagNames - Normalized tag names, as returned by `toTagSet`.
+ * @returns {{matched: string[], unmatched: string[]}} The partitioned lines.
+ */
+function partitionJSDocLinesByTag(jsdocLines, tagNames) {
+  const matched = [];
+  const unmatched = [];
+  let inMatchedTag = false;
+  for (const line of jsdocLines) {
+    const trimmedLine = line.trim();
+    if (trimmedLine.startsWith('@')) {
+      const tagName = trimmedLine.split(/\s/)[0].substring(1).toLowerCase();
+      inMatchedTag = tagNames.has(tagName);
+    }
+    (inMatchedTag ? matched : unmatched).push(line);
+  }
+  for (const lines of [matched, unmatched]) {
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+  }
+  return { matched, unmatched };
+}
+
+/**
+ * Removes the given tags, including their continuation lines, from JSDoc lines.
+ * @param {string[]} jsdocLines - The lines of a JSDoc block, without comment markers.
+ * @param {string[]} [removeTags] - Names of tags to remove, e.g. `['todo', 'author']`.
+ * @returns {string[]} The JSDoc lines without the removed tags, or the original
+ * array if none of the tags were present.
+ */
+function removeTagsFromJSDocLines(jsdocLines, removeTags) {
+  const tagsToRemove = toTagSet(removeTags);
+  if (tagsToRemove.size === 0) {
+    return jsdocLines;
+  }
+  const { matched, unmatched } = partitionJSDocLinesByTag(
+    jsdocLines,
+    tagsToRemove
+  );
+  return matched.length > 0 ? unmatched : jsdocLines; // Same array when nothing was removed
+}
+
+/**
+ * Discards an existing JSDoc block and regenerates it from the inferred information.
+ * Tags listed in `keepTags` are carried over from the existing block, including
+ * any continuation lines that belong to them.
+ * @param {string[]} existingJSDocLines - Array of lines from the existing JSDoc comment.
+ * @param {object} inferredJSDoc - Object containing inferred JSDoc properties.
+ * @param {string[]} [keepTags] - Names of tags to preserve, e.g. `['license', 'deprecated']`.
+ * @param {string} [style] - `tsdoc` to regenerate the block in TSDoc syntax.
+ * @returns {string[]} The regenerated JSDoc lines.
+ */
+function regenerateJSDocBlock(
+  existingJSDocLines,
+  inferredJSDoc,
+  keepTags,
+  style
+) {
+  const lines =
+    style === 'tsdoc'
+      ? buildTSDocLines(inferredJSDoc)
+      : buildJSDocLines(inferredJSDoc);
+  const tagsToKeep = toTagSet(keepTags);
+  if (tagsToKeep.size === 0) {
     return lines;
   }
-  // Function/method
-  lines.push(inferredJSDoc.description);
-  if (inferredJSDoc.params?.length) {
-    lines.push('');
-    inferredJSDoc.params.forEach((param) =>
-      lines.push(`@param {${param.type}} ${param.name} - ${param.description}`)
+  return lines.concat(
+    partitionJSDocLinesByTag(existingJSDocLines, tagsToKeep).matched
+  );
+}
+
+// --- Helper: Report Dry-Run Changes ---
+
+/**
+ * Reports the changes computed during a dry run, either by printing them as
+ * unified diffs or by writing them to a single patch file.
+ * @param {string[]} patches - Unified diffs, one per modified file.
+ * @param {object} options - The CLI options object.
+ * @param {string} [options.patch] - Path of the patch file to write instead of printing.
+ * @returns {Promise<void>}
+ */
+async function reportDryRunChanges(patches, options) {
+  if (patches.length === 0) {
+    console.log('\nDry run: no JSDoc changes would be made.');
+    return;
+  }
+  if (options.patch) {
+    await fs.outputFile(options.patch, patches.join(''), 'utf-8');
+    console.log(
+      `\nDry run: wrote proposed changes for ${patches.length} file(s) to ${options.patch}`
     );
+    return;
+  }
+  const colorize = shouldColorize(process.stdout);
+  console.log(`\nDry run: proposed changes for ${patches.length} file(s):\n`);
+  for (const patch of patches) {
+    process.stdout.write(colorize ? colorizeDiff(patch) : patch);
+  }
+}
+
+// --- Helper: Symbol Resolution ---
+
+/**
+ * Finds the TypeScript node that spans exactly the same source range as a Babel node.
+ * Both parsers report UTF-16 offsets into the same text, so ranges line up.
+ * @param {ts.SourceFile} sourceFile - The TypeScript source file.
+ * @param {object} babelNode - The Babel node, with `start` and `end` offsets.
+ * @returns {ts.Node|undefined} The innermost matching TypeScript node, if any.
+ */
+function findTSNode(sourceFile, babelNode) {
+  let match;
+  const visit = (node) => {
+    if (node.getStart(sourceFile) > babelNode.start || node.end < babelNode.end)
+      return;
+    if (
+      node.getStart(sourceFile) === babelNode.start &&
+      node.end === babelNode.end
+    )
+      match = node;
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+  return match;
+}
+
+/**
+ * Resolves the TypeScript symbol for a Babel node.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.SourceFile} sourceFile - The TypeScript source file containing the node.
+ * @param {object} babelNode - The Babel node to resolve, usually an identifier.
+ * @returns {ts.Symbol|undefined} The symbol, if the checker knows it.
+ */
+function getSymbolForBabelNode(checker, sourceFile, babelNode) {
+  const tsNode = sourceFile && findTSNode(sourceFile, babelNode);
+  return tsNode ? checker.getSymbolAtLocation(tsNode) : undefined;
+}
+
+/**
+ * Resolves the symbol used to document a function, method or class field.
+ * @param {NodePath} path - The Babel path of the function or field.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {ts.SourceFile} sourceFile - The TypeScript source file containing the node.
+ * @param {string} [memberName] - The name of the object member the function
+ * defines, from `getMemberBinding`, which takes precedence over its own name.
+ * @returns {ts.Symbol|object} The symbol, or a stand-in exposing `getName()`.
+ */
+function resolveMemberSymbol(path, checker, sourceFile, memberName) {
+  const node = path.node;
+  const classMemberPath = getClassMemberPath(path);
+  let nameNode = null;
+  if (node.id) nameNode = node.id;
+  else if (classMemberPath) nameNode = classMemberPath.node.key;
+  else if (path.parentPath.isVariableDeclarator() && path.parentPath.node.id)
+    nameNode = path.parentPath.node.id;
+  const name =
+    nameNode?.type === 'PrivateName' ? `#${nameNode.id.name}` : nameNode?.name;
+  // A getter and its setter share one symbol, whose first declaration may be
+  // the other accessor
+  const isAccessor = node.kind === 'get' || node.kind === 'set';
+  const symbol =
+    nameNode &&
+    !isAccessor &&
+    (!memberName || memberName === name) &&
+    getSymbolForBabelNode(checker, sourceFile, nameNode);
+  if (symbol) {
+    return symbol;
   }
-  if (inferredJSDoc.returns?.type && inferredJSDoc.returns.type !== 'void') {
-    lines.push(
-      `@returns {${inferredJSDoc.returns.type}} ${inferredJSDoc.returns.description}`
+  // Constructors, accessors, anonymous functions and object members have no
+  // symbol of their own; describe the node itself so its parameters and types
+  // can still be inferred. A default export is known by its export name.
+  const declaration = sourceFile && findTSNode(sourceFile, node);
+  const fallbackName = path.parentPath.isExportDefaultDeclaration()
+    ? 'default'
+    : 'anonymous';
+  return {
+    getName: () => memberName || name || fallbackName,
+    declarations: declaration ? [declaration] : undefined,
+  };
+}
+
+// --- Phase 1: Collect Documentable Nodes ---
+
+/**
+ * Parses a file and collects every node that needs to be documented.
+ * Nodes are collected whether or not they are documented, since `check`,
+ * `coverage` and `docs` read the same targets; --only-new is applied by
+ * `processFilesWithJSDoc`.
+ * @param {string} filePath - The path of the file.
+ * @param {ts.Program} program - The TypeScript program containing the file.
+ * @param {object} options - The options for this file, with any configuration overrides applied.
+ * @returns {Promise<object>} The parsed file: its code, module name,
+ * documentation targets, exported constants and the source edits made so far.
+ */
+async function collectFileTargets(filePath, program, options) {
+  const code = await fs.readFile(filePath, 'utf-8');
+  const babelAst = babelParser.parse(code, {
+    sourceType: 'module',
+    plugins: ['jsx', 'typescript'],
+  });
+  const checker = program.getTypeChecker();
+  const sourceFile = program.getSourceFile(filePath);
+  const moduleName = getModuleName(filePath, babelAst.comments);
+  const file = {
+    filePath,
+    code,
+    moduleName,
+    targets: [],
+    constants: [],
+    edits: [],
+  };
+
+  traverse(babelAst, {
+    enter(path) {
+      const constant = getExportedConstant(path);
+      if (constant) {
+        file.constants.push({
+          filePath,
+          name: constant.name,
+          line: constant.commentTarget.loc.start.line,
+          column: constant.commentTarget.loc.start.column + 1,
+          jsdocComment: getJSDocBlocks(constant.commentTarget.leadingComments),
+          jsdocCommentNode: findJSDocComment(
+            constant.commentTarget.leadingComments
+          ),
+        });
+        return;
+      }
+      if (!isDocumentablePath(path)) {
+        return;
+      }
+      const node = path.node;
+      // A JSDoc class block documents the constructor with `@constructor` and
+      // `@param` tags; TSDoc class blocks leave it a block of its own
+      if (
+        node.kind === 'constructor' &&
+        resolveDocStyle(options.style, filePath) === 'jsdoc'
+      ) {
+        return;
+      }
+      const commentTargetPath = getCommentTargetPath(path);
+      const commentTarget = commentTargetPath.node;
+      const jsdocComment = getJSDocBlocks(commentTarget.leadingComments);
+      const jsdocCommentNode = findJSDocComment(commentTarget.leadingComments);
+
+      const isClass = path.isClassDeclaration() || path.isClassExpression();
+      const member = isClass ? null : getMemberBinding(path, moduleName);
+      const symbol = isClass
+        ? node.id && getSymbolForBabelNode(checker, sourceFile, node.id)
+        : resolveMemberSymbol(path, checker, sourceFile, member?.name);
+      if (!symbol) {
+        return;
+      }
+      const isObjectMember =
+        path.isObjectMethod() || path.parentPath.isObjectProperty();
+      // Constructors are not tagged as members of their class
+      const classMemberPath =
+        !isClass && node.kind !== 'constructor' && getClassMemberPath(path);
+      file.targets.push({
+        filePath,
+        kind: isClass
+          ? 'class'
+          : isClassPropertyPath(path)
+            ? 'property'
+            : 'function',
+        node,
+        line: commentTarget.loc.start.line,
+        column: commentTarget.loc.start.column + 1,
+        // Declarations and members, as opposed to functions passed inline as
+        // values; object members count only if their object has a name
+        standalone: isObjectMember
+          ? Boolean(member?.memberOf)
+          : commentTargetPath !== path ||
+            path.isDeclaration() ||
+            path.isClassMethod() ||
+            Boolean(classMemberPath),
+        symbol,
+        memberOf:
+          member?.memberOf ||
+          (classMemberPath && getClassName(classMemberPath)) ||
+          undefined,
+        // JSDoc reads the name from the code, unless it is not an identifier or
+        // the function expression carries a different one
+        documentedName:
+          member?.memberOf &&
+          (node.id
+            ? node.id.name !== member.name
+            : !IDENTIFIER_PATTERN.test(member.name))
+            ? member.name
+            : undefined,
+        rawCode: generate(node).code,
+        code,
+        commentTarget,
+        jsdocComment,
+        jsdocCommentNode,
+        options,
+      });
+    },
+  });
+  return file;
+}
+
+// --- Phase 2: Infer Documentation ---
+
+/**
+ * Infers the documentation for a single collected node.
+ * @param {object} target - The documentation target collected in phase 1.
+ * @param {ts.TypeChecker} checker - TypeScript TypeChecker instance.
+ * @param {object} options - The CLI options object.
+ * @returns {Promise<object>} The inferred JSDoc properties.
+ */
+async function inferTarget(target, checker, options) {
+  const name = target.symbol.getName();
+  if (target.kind === 'class') {
+    console.log(`  Updating JSDoc for class: ${name} (${target.filePath})`);
+    return inferClassJSDoc(checker, target.symbol, target.rawCode, options);
+  }
+  console.log(
+    `  Generating JSDoc for ${target.kind}: ${name} (${target.filePath})`
+  );
+  const infer =
+    target.kind === 'property'
+      ? inferPropertyJSDoc
+      : inferFunctionOrConstructorJSDoc;
+  const inferredJSDoc = await infer(
+    checker,
+    target.symbol,
+    target.rawCode,
+    options
+  );
+  return {
+    ...inferredJSDoc,
+    memberOf: target.memberOf,
+    documentedName: target.documentedName,
+  };
+}
+
+// --- Phase 3: Apply Documentation ---
+
+/**
+ * Computes the source edit that cleans up an existing docblock with
+ * --remove-tags, for nodes that --only-new keeps out of inference.
+ * @param {object} target - The documentation target collected in phase 1.
+ * @param {object} options - The CLI options object.
+ * @returns {{start: number, end: number, text: string}|null} The edit, or null if
+ * the docblock does not change.
+ */
+function removeTagsFromTarget(target, options) {
+  const { code, commentTarget, jsdocComment, jsdocCommentNode } = target;
+  const strippedLines = removeTagsFromJSDocLines(
+    jsdocComment,
+    options.removeTags
+  );
+  return strippedLines !== jsdocComment
+    ? createDocblockEdit(code, commentTarget, jsdocCommentNode, strippedLines)
+    : null;
+}
+
+/**
+ * Computes the source edit that writes the inferred documentation into a node's docblock.
+ * Every stale `@param` tag that is repaired along the way is reported.
+ * @param {object} target - The documentation target collected in phase 1.
+ * @param {object} inferredJSDoc - The inferred JSDoc properties.
+ * @param {object} options - The CLI options object.
+ * @returns {{start: number, end: number, text: string}|null} The edit, or null if
+ * the docblock does not change.
+ */
+function applyInferredJSDoc(target, inferredJSDoc, options) {
+  const { code, commentTarget, jsdocComment, jsdocCommentNode } = target;
+  const style = resolveDocStyle(options.style, target.filePath);
+  const repairs = [];
+  let newJSDocLines;
+  if (!jsdocComment) {
+    newJSDocLines =
+      style === 'tsdoc'
+        ? buildTSDocLines(inferredJSDoc)
+        : buildJSDocLines(inferredJSDoc);
+  } else if (options.overwriteAllJsdoc) {
+    newJSDocLines = regenerateJSDocBlock(
+      jsdocComment,
+      inferredJSDoc,
+      options.keepTags,
+      style
     );
+  } else if (style === 'tsdoc') {
+    // Re-read the comment with its indentation, which fenced examples need
+    newJSDocLines = updateTSDocBlock(
+      getCommentLines(jsdocCommentNode.value),
+      inferredJSDoc,
+      repairs
+    );
+  } else {
+    newJSDocLines = updateJSDocBlock(jsdocComment, inferredJSDoc, repairs);
   }
-  if (inferredJSDoc.throws?.length) {
-    inferredJSDoc.throws.forEach((thr) =>
-      lines.push(`@throws {Error} ${thr.description}`)
+  for (const repair of repairs) {
+    console.log(
+      `  Repaired stale JSDoc for ${target.symbol.getName()} (${target.filePath}): ${repair}.`
     );
   }
-  if (inferredJSDoc.examples?.length) {
-    inferredJSDoc.examples.forEach((ex) => lines.push(`@example ${ex}`));
+  newJSDocLines = removeTagsFromJSDocLines(newJSDocLines, options.removeTags);
+  if (newJSDocLines.length === 0) {
+    return null;
   }
-  return lines;
+  return createDocblockEdit(
+    code,
+    commentTarget,
+    jsdocCommentNode,
+    newJSDocLines
+  );
 }
 
+// --- Shared: Discover and Collect ---
+
+// The program type-checks plain JavaScript too, so it names a modern target:
+// the ES5 default library has no `Promise`, `Generator` or `AsyncGenerator`
+// types, and inferred types would otherwise depend on the project's @types.
+const COMPILER_OPTIONS = {
+  allowJs: true,
+  checkJs: false,
+  noEmit: true,
+  target: ts.ScriptTarget.ES2022,
+};
+
+/**
+ * Finds the files matching the patterns and collects their documentable nodes.
+ * This is phase 1 of `generate`, and all of `check`, which never modifies files.
+ * @param {string[]} globPatterns - The glob patterns of the files to process.
+ * @param {object} options - The CLI options object.
+ * @returns {Promise<object>} The discovered files, the type checker, the parsed
+ * files and all of their documentation targets.
+ */
+async function collectDocumentationTargets(globPatterns, options) {
+  const files = await discoverFiles(globPatterns, {
+    exclude: options.exclude,
+    extraIgnore: getOutputIgnorePatterns(options.output),
+  });
+  if (files.length === 0) {
+    return { files, checker: null, parsedFiles: [], targets: [] };
+  }
+  const program = ts.createProgram(files, COMPILER_OPTIONS);
+  const parsedFiles = [];
+  for (const filePath of files) {
+    parsedFiles.push(
+      await collectFileTargets(
+        filePath,
+        program,
+        resolveFileOptions(options, filePath)
+      )
+    );
+  }
+  return {
+    files,
+    checker: program.getTypeChecker(),
+    parsedFiles,
+    targets: parsedFiles.flatMap((file) => file.targets),
+  };
+}
+exports.collectDocumentationTargets = collectDocumentationTargets;
+
 // --- Main: Process Files and Update JSDoc ---
 exports.processFilesWithJSDoc = async function processFilesWithJSDoc(
-  globPatterns
+  globPatterns,
+  options = {}
 ) {
-  const files = await glob(globPatterns);
+  const mirrorOutput = !isInPlaceOutput(options.output);
+
+  // Phase 1: collect every documentable node before any AI call is made
+  const { files, checker, parsedFiles, targets } =
+    await collectDocumentationTargets(globPatterns, options);
   console.log(`Found ${files.length} JavaScript/TypeScript files to process.`);
   if (files.length === 0) {
     console.log('No files matching the provided patterns were found.');
     return;
   }
-  const program = ts.createProgram(files, {});
-  const checker = program.getTypeChecker();
-  for (const filePath of files) {
+  console.log(
+    `Collected ${targets.length} documentable node(s) in ${files.length} file(s).`
+  );
+
+  const addEdit = (target, edit) => {
+    if (edit) {
+      parsedFiles
+        .find((file) => file.filePath === target.filePath)
+        .edits.push(edit);
+    }
+  };
+  // Functions passed inline as values are left alone, since a docblock cannot
+  // be written in the middle of an expression. --only-new: existing docblocks
+  // are never sent to the AI, but --remove-tags still cleans them up.
+  const pending = targets.filter((target) => {
+    if (!target.standalone) {
+      return false;
+    }
+    if (target.jsdocComment && target.options.onlyNew) {
+      addEdit(target, removeTagsFromTarget(target, target.options));
+      return false;
+    }
+    return true;
+  });
+
+  // Phase 2: infer documentation with a bounded number of concurrent requests
+  const inferred = await mapWithConcurrency(
+    pending,
+    options.concurrency || DEFAULT_CONCURRENCY,
+    (target) => inferTarget(target, checker, target.options)
+  );
+
+  // Phase 3: splice the results into the original text and write each file once
+  pending.forEach((target, index) => {
+    addEdit(
+      target,
+      inferred[index] &&
+        applyInferredJSDoc(target, inferred[index], target.options)
+    );
+  });
+
+  const patches = [];
+  for (const { filePath, code, edits } of parsedFiles) {
     console.log(`\nProcessing file: ${filePath}`);
-    let code = await fs.readFile(filePath, 'utf-8');
-    const babelAst = babelParser.parse(code, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript'],
-    });
-    let fileModified = false;
-    traverse(babelAst, {
-      async enter(path) {
-        let node = path.node;
-        let jsdocComment = getJSDocBlocks(node.leadingComments);
-        let inferredJSDoc = null;
-        let rawCode = generate(node).code;
-        if (path.isClassDeclaration() || path.isClassExpression()) {
-          const classSymbol = checker.getSymbolAtLocation(node.id || node);
-          if (classSymbol) {
-            console.log(`  Updating JSDoc for class: ${classSymbol.getName()}`);
-            inferredJSDoc = await inferClassJSDoc(
-              checker,
-              classSymbol,
-              rawCode
-            );
-          }
-        } else if (
-          path.isClassMethod() ||
-          path.isFunctionDeclaration() ||
-          path.isFunctionExpression() ||
-          path.isArrowFunctionExpression()
-        ) {
-          let symbol = null;
-          if (node.id) symbol = checker.getSymbolAtLocation(node.id);
-          else if (node.key && path.isClassMethod())
-            symbol = checker.getSymbolAtLocation(node.key);
-          else if (
-            path.parentPath.isVariableDeclarator() &&
-            path.parentPath.node.id
-          )
-            symbol = checker.getSymbolAtLocation(path.parentPath.node.id);
-          else symbol = { getName: () => node.type };
-          if (symbol) {
-            console.log(`  Generating JSDoc for function: ${symbol.getName()}`);
-            inferredJSDoc = await inferFunctionOrConstructorJSDoc(
-              checker,
-              symbol,
-              rawCode
-            );
-          }
-        }
-        if (inferredJSDoc) {
-          let newJSDocLines = jsdocComment
-            ? updateJSDocBlock(jsdocComment, inferredJSDoc)
-            : buildJSDocLines(inferredJSDoc);
-          if (newJSDocLines.length > 0) {
-            const newCommentContent = `*\n * ${newJSDocLines.join('\n * ')}\n`;
-            const newComment = babelParser.parseExpression(
-              `/**${newCommentContent}*/ ''`,
-              { plugins: ['jsx', 'typescript'] }
-            ).leadingComments[0];
-            if (!node.leadingComments) node.leadingComments = [];
-            const existingJsdocIndex = node.leadingComments.findIndex(
-              (c) => c.type === 'CommentBlock' && c.value.startsWith('*')
-            );
-            if (existingJsdocIndex !== -1) {
-              node.leadingComments[existingJsdocIndex] = newComment;
-            } else {
-              node.leadingComments.unshift(newComment);
-            }
-            fileModified = true;
-          }
-        }
-      },
-    });
-    if (fileModified) {
-      const output = generate(babelAst, {
-        retainLines: true,
-        comments: true,
-      }).code;
-      await fs.writeFile(filePath, output, 'utf-8');
-      console.log(`  Successfully updated ${filePath}`);
+    if (edits.length > 0) {
+      // Only the docblocks change; every other byte of the file is preserved
+      const output = applyEdits(code, edits);
+      if (options.dryRun) {
+        const patch = createUnifiedDiff(filePath, code, output);
+        if (patch) patches.push(patch);
+        console.log(`  Computed proposed changes for ${filePath}`);
+      } else {
+        const destination = await writeProcessedFile(filePath, output, options);
+        console.log(
+          mirrorOutput
+            ? `  Successfully wrote ${destination}`
+            : `  Successfully updated ${filePath}`
+        );
+      }
     } else {
       console.log(`  No JSDoc updates needed for ${filePath}`);
+      if (mirrorOutput && !options.dryRun) {
+        // Keep the output tree complete so it can be used as a standalone artifact
+        await writeProcessedFile(filePath, code, options);
+      }
     }
   }
+  if (options.dryRun) {
+    await reportDryRunChanges(patches, options);
+  }
   console.log('JSDoc processing complete.');
 };
+
+// Export for testing purposes
+if (process.env.NODE_ENV === 'test') {
+  exports.COMPILER_OPTIONS = COMPILER_OPTIONS;
+  exports.getJSDocBlocks = getJSDocBlocks;
+  exports.updateJSDocBlock = updateJSDocBlock;
+  exports.buildJSDocLines = buildJSDocLines;
+  exports.regenerateJSDocBlock = regenerateJSDocBlock;
+  exports.removeTagsFromJSDocLines = removeTagsFromJSDocLines;
+}
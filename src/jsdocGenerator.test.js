@@ -0,0 +1,588 @@
+// Mock the AI layer so the generator can be loaded without credentials
+jest.mock('./ai', () => ({
+  ...jest.requireActual('./ai'),
+  callAI: jest.fn(),
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { callAI } = require('./ai');
+const {
+  processFilesWithJSDoc,
+  getJSDocBlocks,
+  updateJSDocBlock,
+  buildJSDocLines,
+  regenerateJSDocBlock,
+  removeTagsFromJSDocLines,
+} = require('./jsdocGenerator.js');
+
+const inferredFunctionJSDoc = {
+  functionName: 'add',
+  description: 'Adds two numbers.',
+  params: [
+    { name: 'a', type: 'number', description: 'The first number.' },
+    { name: 'b', type: 'number', description: 'The second number.' },
+  ],
+  returns: { type: 'number', description: 'The sum.' },
+  throws: [],
+  examples: [],
+};
+
+describe('JSDoc generator helpers', () => {
+  describe('getJSDocBlocks', () => {
+    it('should return the cleaned lines of the JSDoc block', () => {
+      const lines = getJSDocBlocks([
+        { type: 'CommentLine', value: ' not a docblock' },
+        { type: 'CommentBlock', value: '*\n * Adds.\n * @todo tidy up\n ' },
+      ]);
+      expect(lines).toEqual(['Adds.', '@todo tidy up', '']);
+    });
+
+    it('should use the docblock closest to the node and skip file overviews', () => {
+      expect(
+        getJSDocBlocks([
+          { type: 'CommentBlock', value: '*\n * @file Helpers.\n ' },
+          { type: 'CommentBlock', value: '* Old. ' },
+          { type: 'CommentBlock', value: '* Current. ' },
+        ])
+      ).toEqual(['Current.']);
+      expect(
+        getJSDocBlocks([
+          { type: 'CommentBlock', value: '*\n * @module utils\n ' },
+        ])
+      ).toBeNull();
+    });
+
+    it('should return null when there is no JSDoc block', () => {
+      expect(getJSDocBlocks(undefined)).toBeNull();
+      expect(
+        getJSDocBlocks([{ type: 'CommentBlock', value: ' plain ' }])
+      ).toBeNull();
+    });
+  });
+
+  describe('buildJSDocLines', () => {
+    it('should document defaults, destructured properties and rest parameters', () => {
+      const lines = buildJSDocLines({
+        ...inferredFunctionJSDoc,
+        params: [
+          {
+            name: 'options',
+            type: 'object',
+            optional: true,
+            defaultValue: '{}',
+            description: 'Configuration options.',
+            properties: [
+              {
+                name: 'options.port',
+                type: 'number',
+                optional: true,
+                defaultValue: '80',
+                description: 'The port.',
+              },
+            ],
+          },
+          { name: 'rest', type: '...*', description: 'The values of rest.' },
+        ],
+      });
+
+      expect(lines.slice(2, 5)).toEqual([
+        '@param {object} [options={}] - Configuration options.',
+        '@param {number} [options.port=80] - The port.',
+        '@param {...*} rest - The values of rest.',
+      ]);
+    });
+
+    it('should name object members and the object they belong to', () => {
+      const lines = buildJSDocLines({
+        ...inferredFunctionJSDoc,
+        params: [],
+        documentedName: 'to-upper',
+        memberOf: 'module:src/text',
+      });
+
+      expect(lines).toEqual([
+        'Adds two numbers.',
+        '',
+        '@name to-upper',
+        '@memberof module:src/text',
+        '@returns {number} The sum.',
+      ]);
+    });
+
+    it('should tag class members with their modifiers and field types', () => {
+      const lines = buildJSDocLines({
+        propertyName: '#cache',
+        description: 'The cache.',
+        type: 'Map<string, number>',
+        memberOf: 'Store',
+        modifiers: ['instance', 'private', 'readonly'],
+      });
+
+      expect(lines).toEqual([
+        'The cache.',
+        '',
+        '@memberof Store',
+        '@instance',
+        '@private',
+        '@readonly',
+        '@type {Map<string, number>}',
+      ]);
+    });
+
+    it('should mark generators and document what they yield', () => {
+      const lines = buildJSDocLines({
+        ...inferredFunctionJSDoc,
+        params: [],
+        yields: { type: 'number', description: 'Each id.' },
+        returns: { type: 'void', description: '' },
+      });
+
+      expect(lines).toEqual([
+        'Adds two numbers.',
+        '',
+        '@generator',
+        '@yields {number} Each id.',
+      ]);
+    });
+  });
+
+  describe('updateJSDocBlock', () => {
+    it('should repair renamed and removed parameters and report the repairs', () => {
+      const repairs = [];
+      const lines = updateJSDocBlock(
+        [
+          'Adds two numbers.',
+          '@param {number} left - The augend.',
+          '@param {number} b - The addend.',
+          '@param {boolean} round - Whether to round.',
+          '@returns {number} The total.',
+        ],
+        inferredFunctionJSDoc,
+        repairs
+      );
+
+      expect(lines).toEqual([
+        'Adds two numbers.',
+        '',
+        '@param {number} a - The augend.',
+        '@param {number} b - The addend.',
+        '@returns {number} The total.',
+      ]);
+      expect(repairs).toEqual([
+        'renamed @param left to a',
+        'removed @param round, which is no longer a parameter',
+      ]);
+    });
+
+    it('should keep a written @memberof tag', () => {
+      const lines = updateJSDocBlock(
+        [
+          'Adds two numbers.',
+          '@memberof module:math',
+          '@param {number} a - The augend.',
+          '@param {number} b - The addend.',
+        ],
+        { ...inferredFunctionJSDoc, memberOf: 'module:src/math' }
+      );
+
+      expect(lines.filter((line) => line.startsWith('@memberof'))).toEqual([
+        '@memberof module:math',
+      ]);
+    });
+
+    it('should add missing modifier tags and keep a written @type', () => {
+      const lines = updateJSDocBlock(
+        ['The number of open connections.', '@static', '@type {Count}'],
+        {
+          propertyName: 'open',
+          description: 'The open.',
+          type: 'number',
+          memberOf: 'Pool',
+          modifiers: ['static', 'protected'],
+        }
+      );
+
+      expect(lines).toEqual([
+        'The number of open connections.',
+        '',
+        '@memberof Pool',
+        '@static',
+        '@protected',
+        '@type {Count}',
+      ]);
+    });
+
+    it('should keep written @yield descriptions and update their types', () => {
+      const repairs = [];
+      const lines = updateJSDocBlock(
+        [
+          'Counts upwards.',
+          '@param {number} a - The start.',
+          '@param {number} b - The end.',
+          '@yield {string} The next count.',
+        ],
+        {
+          ...inferredFunctionJSDoc,
+          yields: { type: 'number', description: 'Each number value.' },
+          returns: { type: 'void', description: '' },
+        },
+        repairs
+      );
+
+      expect(lines).toEqual([
+        'Counts upwards.',
+        '',
+        '@generator',
+        '@param {number} a - The start.',
+        '@param {number} b - The end.',
+        '@yields {number} The next count.',
+      ]);
+    });
+  });
+
+  describe('regenerateJSDocBlock (--overwrite-all-jsdoc)', () => {
+    const existing = [
+      'Old human description.',
+      '',
+      '@param {number} a - Old text.',
+      '@deprecated Use sum() instead,',
+      'it handles any number of values.',
+      '@license MIT',
+      '@todo remove',
+    ];
+
+    it('should discard the existing block entirely by default', () => {
+      const lines = regenerateJSDocBlock(existing, inferredFunctionJSDoc);
+      expect(lines).toEqual([
+        'Adds two numbers.',
+        '',
+        '@param {number} a - The first number.',
+        '@param {number} b - The second number.',
+        '@returns {number} The sum.',
+      ]);
+    });
+
+    it('should carry over the tags listed in keepTags with their continuation lines', () => {
+      const lines = regenerateJSDocBlock(existing, inferredFunctionJSDoc, [
+        '@deprecated',
+        'License',
+      ]);
+      expect(lines.slice(-3)).toEqual([
+        '@deprecated Use sum() instead,',
+        'it handles any number of values.',
+        '@license MIT',
+      ]);
+      expect(lines).not.toContain('Old human description.');
+      expect(lines).not.toContain('@todo remove');
+    });
+  });
+
+  describe('removeTagsFromJSDocLines (--remove-tags)', () => {
+    it('should remove the listed tags and their continuation lines', () => {
+      const lines = removeTagsFromJSDocLines(
+        [
+          'Adds two numbers.',
+          '',
+          '@todo handle overflow',
+          'and negative zero.',
+          '@param {number} a - The first number.',
+          '@author Jane',
+          '',
+        ],
+        ['todo', 'author']
+      );
+      expect(lines).toEqual([
+        'Adds two numbers.',
+        '',
+        '@param {number} a - The first number.',
+      ]);
+    });
+
+    it('should return the original array when no listed tag is present', () => {
+      const original = ['Adds two numbers.', '@param {number} a - A.'];
+      expect(removeTagsFromJSDocLines(original, ['todo'])).toBe(original);
+      expect(removeTagsFromJSDocLines(original, undefined)).toBe(original);
+    });
+  });
+});
+
+describe('processFilesWithJSDoc', () => {
+  let tempDir;
+
+  // Every run type-checks the files it processes
+  const TIMEOUT = 30000;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aidoccli-generate-'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    callAI.mockReset();
+    // The mocked model describes each function by the name in its prompt
+    callAI.mockImplementation(async (prompt) => {
+      const [, name] = /method "([^"]+)"/.exec(prompt) || [];
+      return JSON.stringify({ description: `Handles ${name}.` });
+    });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tempDir);
+  });
+
+  /**
+   * Writes a file into the temporary directory.
+   * @param {string} name - The file name.
+   * @param {string} code - The contents of the file.
+   * @returns {Promise<string>} The glob pattern of the file.
+   */
+  async function writeFixture(name, code) {
+    const filePath = path.join(tempDir, name);
+    await fs.writeFile(filePath, code);
+    return filePath.split(path.sep).join('/');
+  }
+
+  it(
+    'should leave generated docblocks unchanged on a second run',
+    async () => {
+      const filePath = await writeFixture(
+        'shapes.js',
+        [
+          'class Shape {',
+          '  constructor(size) {',
+          '    this.size = size;',
+          '  }',
+          '}',
+          '',
+          'class Square extends Shape {',
+          '  static count = 0;',
+          '  #sides = 4;',
+          '  get area() {',
+          '    return this.size * this.size;',
+          '  }',
+          '  static async load(url) {',
+          '    return url;',
+          '  }',
+          '}',
+          '',
+          'function* ids(start = 0) {',
+          '  yield start;',
+          '}',
+          '',
+          'function reset() {}',
+          '',
+          'exports.run = function (a) {',
+          '  return a + 1;',
+          '};',
+          '',
+          'module.exports.helpers = {',
+          '  trim(text) {',
+          '    return text.trim();',
+          '  },',
+          "  'to-upper': (text) => text.toUpperCase(),",
+          '};',
+          '',
+        ].join('\n')
+      );
+
+      await processFilesWithJSDoc([filePath], { ai: false });
+      const generated = await fs.readFile(filePath, 'utf-8');
+      await processFilesWithJSDoc([filePath], { ai: false });
+
+      expect(generated).toContain('@memberof Square');
+      expect(await fs.readFile(filePath, 'utf-8')).toBe(generated);
+    },
+    TIMEOUT
+  );
+
+  it(
+    'should document constructor parameters once, without @returns',
+    async () => {
+      const source = [
+        'class Point {',
+        '  constructor(x, y) {',
+        '    this.x = x;',
+        '    this.y = y;',
+        '  }',
+        '}',
+        '',
+      ].join('\n');
+      const jsPath = await writeFixture('point.js', source);
+      const tsPath = await writeFixture('point.ts', source);
+
+      await processFilesWithJSDoc([jsPath, tsPath], { ai: false });
+
+      for (const filePath of [jsPath, tsPath]) {
+        const output = await fs.readFile(filePath, 'utf-8');
+        expect(output.match(/@param \S* ?x\b/g)).toHaveLength(1);
+        expect(output.match(/@param \S* ?y\b/g)).toHaveLength(1);
+        expect(output).not.toContain('@returns');
+      }
+      expect(await fs.readFile(tsPath, 'utf-8')).toContain(
+        '   * Creates a new `Point` instance.\n'
+      );
+      // JSDoc documents the constructor in the class block
+      expect(await fs.readFile(jsPath, 'utf-8')).toMatch(
+        /@constructor[^/]*@param[^/]*\*\/\nclass Point \{\n {2}constructor/
+      );
+    },
+    TIMEOUT
+  );
+
+  it(
+    'should not document functions passed inline as values',
+    async () => {
+      const code = [
+        '/**',
+        ' * Doubles each number.',
+        ' *',
+        ' * @param {number[]} numbers - The numbers.',
+        ' * @returns {number[]} The doubled numbers.',
+        ' */',
+        'function double(numbers) {',
+        '  return numbers.map(function (x) {',
+        '    return x * 2;',
+        '  });',
+        '}',
+        'setup({ onReady() {} }, () => {});',
+        '',
+      ].join('\n');
+      const filePath = await writeFixture('double.js', code);
+
+      await processFilesWithJSDoc([filePath], { ai: false });
+
+      expect(await fs.readFile(filePath, 'utf-8')).toBe(code);
+      expect(console.log).not.toHaveBeenCalledWith(
+        expect.stringContaining('FunctionExpression')
+      );
+    },
+    TIMEOUT
+  );
+
+  it(
+    'should leave documented nodes untouched with onlyNew and never send them to the model',
+    async () => {
+      const documented = [
+        '/**',
+        ' * Description placeholder.',
+        ' * @param {string} x - The x.',
+        ' */',
+        'function legacy(x, y) {}',
+        '',
+      ].join('\n');
+      const filePath = await writeFixture(
+        'legacy.js',
+        `${documented}\nfunction fresh(value) {}\n`
+      );
+
+      await processFilesWithJSDoc([filePath], { onlyNew: true });
+
+      const output = await fs.readFile(filePath, 'utf-8');
+      expect(output.startsWith(documented)).toBe(true);
+      expect(output).toContain('Handles fresh.');
+      expect(callAI).toHaveBeenCalledTimes(1);
+      expect(callAI.mock.calls[0][0]).not.toContain('legacy');
+    },
+    TIMEOUT
+  );
+
+  it(
+    'should leave files on disk unchanged in a dry run',
+    async () => {
+      const code = 'function add(a, b) {\n  return a + b;\n}\n';
+      const filePath = await writeFixture('add.js', code);
+      const patchPath = path.join(tempDir, 'changes.patch');
+
+      await processFilesWithJSDoc([filePath], {
+        dryRun: true,
+        patch: patchPath,
+      });
+
+      expect(await fs.readFile(filePath, 'utf-8')).toBe(code);
+      expect(await fs.readFile(patchPath, 'utf-8')).toContain(
+        '+ * Handles add.'
+      );
+    },
+    TIMEOUT
+  );
+
+  it(
+    'should mirror processed files into the output directory',
+    async () => {
+      const source = 'function greet(name) {}\n';
+      const plain = 'const ANSWER = 42;\n';
+      await fs.outputFile(path.join(tempDir, 'src', 'greet.js'), source);
+      await fs.outputFile(path.join(tempDir, 'src', 'lib', 'plain.js'), plain);
+      // Only files inside the working directory can be mirrored
+      const cwd = process.cwd();
+      process.chdir(tempDir);
+      try {
+        await processFilesWithJSDoc(['src/**/*.js'], { output: 'out' });
+      } finally {
+        process.chdir(cwd);
+      }
+
+      expect(
+        await fs.readFile(path.join(tempDir, 'src', 'greet.js'), 'utf-8')
+      ).toBe(source);
+      expect(
+        await fs.readFile(path.join(tempDir, 'out', 'src', 'greet.js'), 'utf-8')
+      ).toContain('Handles greet.');
+      expect(
+        await fs.readFile(
+          path.join(tempDir, 'out', 'src', 'lib', 'plain.js'),
+          'utf-8'
+        )
+      ).toBe(plain);
+    },
+    TIMEOUT
+  );
+
+  it(
+    'should write every node once all concurrent requests finish',
+    async () => {
+      const names = ['f1', 'f2', 'f3', 'f4', 'f5', 'f6'];
+      const first = await writeFixture(
+        'first.js',
+        names
+          .slice(0, 3)
+          .map((name) => `function ${name}() {}\n`)
+          .join('')
+      );
+      const second = await writeFixture(
+        'second.js',
+        names
+          .slice(3)
+          .map((name) => `function ${name}() {}\n`)
+          .join('')
+      );
+      let inFlight = 0;
+      let maxInFlight = 0;
+      callAI.mockImplementation(async (prompt) => {
+        const [, name] = /method "([^"]+)"/.exec(prompt);
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        // Earlier requests finish last
+        await new Promise((resolve) =>
+          setTimeout(resolve, 70 - Number(name.slice(1)) * 10)
+        );
+        inFlight -= 1;
+        return JSON.stringify({ description: `Handles ${name}.` });
+      });
+
+      await processFilesWithJSDoc([first, second], { concurrency: 2 });
+
+      const output =
+        (await fs.readFile(first, 'utf-8')) +
+        (await fs.readFile(second, 'utf-8'));
+      for (const name of names) {
+        expect(output).toContain(
+          `/**\n * Handles ${name}.\n */\nfunction ${name}() {}`
+        );
+      }
+      expect(callAI).toHaveBeenCalledTimes(names.length);
+      expect(maxInFlight).toBe(2);
+    },
+    TIMEOUT
+  );
+});
@@ -0,0 +1,92 @@
+// src/output/diff.js
+
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+
+// ANSI escape sequences used to colorize unified diffs in the terminal.
+const COLORS = {
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+/**
+ * Creates a unified diff between the original and the rewritten source of a file.
+ * The headers name the file relative to the working directory, with POSIX
+ * separators, so the patch applies with `git apply` or `patch -p1` from there.
+ * @param {string} filePath - The path of the file, used in the diff headers.
+ * @param {string} originalCode - The source code as it currently exists on disk.
+ * @param {string} updatedCode - The source code with the proposed JSDoc changes.
+ * @param {string} [cwd] - The working directory the patch applies in.
+ * @returns {string} The unified diff, or an empty string if the contents are identical.
+ */
+function createUnifiedDiff(
+  filePath,
+  originalCode,
+  updatedCode,
+  cwd = process.cwd()
+) {
+  if (originalCode === updatedCode) {
+    return '';
+  }
+  const absolutePath = path.resolve(cwd, filePath.split('\\').join('/'));
+  const normalizedPath = path
+    .relative(cwd, absolutePath)
+    .split(path.sep)
+    .join('/');
+  return createTwoFilesPatch(
+    `a/${normalizedPath}`,
+    `b/${normalizedPath}`,
+    originalCode,
+    updatedCode,
+    undefined,
+    undefined,
+    { context: 3 }
+  ).replace(/^=+\n/, ''); // Drop the "Index"-style separator so the output is git-apply friendly
+}
+
+/**
+ * Adds terminal colors to a unified diff.
+ * @param {string} patch - The unified diff to colorize.
+ * @returns {string} The colorized diff.
+ */
+function colorizeDiff(patch) {
+  return patch
+    .split('\n')
+    .map((line) => {
+      if (line.startsWith('+++') || line.startsWith('---')) {
+        return `${COLORS.bold}${line}${COLORS.reset}`;
+      }
+      if (line.startsWith('@@')) {
+        return `${COLORS.cyan}${line}${COLORS.reset}`;
+      }
+      if (line.startsWith('+')) {
+        return `${COLORS.green}${line}${COLORS.reset}`;
+      }
+      if (line.startsWith('-')) {
+        return `${COLORS.red}${line}${COLORS.reset}`;
+      }
+      return line;
+    })
+    .join('\n');
+}
+
+/**
+ * Determines whether colored output should be used for the given stream.
+ * Honors the NO_COLOR and FORCE_COLOR environment variable conventions.
+ * @param {NodeJS.WriteStream} stream - The stream the output will be written to.
+ * @returns {boolean} True if the output should be colorized.
+ */
+function shouldColorize(stream = process.stdout) {
+  if (process.env.NO_COLOR) return false;
+  if (process.env.FORCE_COLOR && process.env.FORCE_COLOR !== '0') return true;
+  return Boolean(stream && stream.isTTY);
+}
+
+module.exports = {
+  createUnifiedDiff,
+  colorizeDiff,
+  shouldColorize,
+};
@@ -0,0 +1,70 @@
+const path = require('path');
+const { createUnifiedDiff, colorizeDiff, shouldColorize } = require('./diff');
+
+describe('diff output helpers', () => {
+  describe('createUnifiedDiff', () => {
+    it('should return an empty string when nothing changed', () => {
+      expect(
+        createUnifiedDiff('src/a.js', 'const a = 1;\n', 'const a = 1;\n')
+      ).toBe('');
+    });
+
+    it('should produce a git-style unified diff with a/ and b/ prefixes', () => {
+      const patch = createUnifiedDiff(
+        'src\\a.js',
+        'function a() {}\n',
+        '/**\n * Does a.\n */\nfunction a() {}\n'
+      );
+      expect(patch.startsWith('--- a/src/a.js\n+++ b/src/a.js\n')).toBe(true);
+      expect(patch).toContain('+ * Does a.');
+      expect(patch).toContain(' function a() {}');
+    });
+
+    it('should name absolute paths relative to the working directory', () => {
+      const cwd = path.resolve('project');
+      const patch = createUnifiedDiff(
+        path.join(cwd, 'src', 'a.js'),
+        'a();\n',
+        'b();\n',
+        cwd
+      );
+      expect(patch.startsWith('--- a/src/a.js\n+++ b/src/a.js\n')).toBe(true);
+    });
+  });
+
+  describe('colorizeDiff', () => {
+    it('should wrap added and removed lines in ANSI colors', () => {
+      const colored = colorizeDiff('--- a/x\n+++ b/x\n@@ -1 +1 @@\n-old\n+new');
+      expect(colored).toContain('\x1b[31m-old\x1b[0m');
+      expect(colored).toContain('\x1b[32m+new\x1b[0m');
+      expect(colored).toContain('\x1b[36m@@ -1 +1 @@\x1b[0m');
+      expect(colored).toContain('\x1b[1m--- a/x\x1b[0m');
+    });
+  });
+
+  describe('shouldColorize', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should respect NO_COLOR', () => {
+      process.env.NO_COLOR = '1';
+      expect(shouldColorize({ isTTY: true })).toBe(false);
+    });
+
+    it('should respect FORCE_COLOR for non-TTY streams', () => {
+      delete process.env.NO_COLOR;
+      process.env.FORCE_COLOR = '1';
+      expect(shouldColorize({ isTTY: false })).toBe(true);
+    });
+
+    it('should fall back to the TTY status of the stream', () => {
+      delete process.env.NO_COLOR;
+      delete process.env.FORCE_COLOR;
+      expect(shouldColorize({ isTTY: true })).toBe(true);
+      expect(shouldColorize({ isTTY: false })).toBe(false);
+    });
+  });
+});
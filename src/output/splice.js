@@ -0,0 +1,135 @@
+// src/output/splice.js
+
+/**
+ * Detects the line ending used by a file, so inserted docblocks match it.
+ * @param {string} code - The file contents.
+ * @returns {string} `'\r\n'` if the file uses Windows line endings, otherwise `'\n'`.
+ */
+function detectLineEnding(code) {
+  const firstNewline = code.indexOf('\n');
+  return firstNewline > 0 && code[firstNewline - 1] === '\r' ? '\r\n' : '\n';
+}
+
+/**
+ * Finds the start of the line containing an offset.
+ * @param {string} code - The file contents.
+ * @param {number} offset - An offset into the file.
+ * @returns {number} The offset of the first character on that line.
+ */
+function getLineStart(code, offset) {
+  return code.lastIndexOf('\n', offset - 1) + 1;
+}
+
+/**
+ * Returns the text between the start of a line and an offset on it.
+ * @param {string} code - The file contents.
+ * @param {number} offset - An offset into the file.
+ * @returns {string} The text before the offset on its line.
+ */
+function getLinePrefix(code, offset) {
+  return code.slice(getLineStart(code, offset), offset);
+}
+
+/**
+ * Formats JSDoc lines as a comment block indented to match the code it documents.
+ * Lines containing newlines (such as multi-line examples) are split so every
+ * physical line gets its own ` * ` prefix.
+ * @param {string[]} jsdocLines - The lines of the JSDoc block, without comment markers.
+ * @param {string} indent - The indentation of the documented code.
+ * @param {string} eol - The line ending to use.
+ * @returns {string} The comment, starting at `/**` and ending at `*\/`.
+ */
+function formatJSDocComment(jsdocLines, indent, eol) {
+  const body = jsdocLines
+    .flatMap((line) => line.split(/\r?\n/))
+    .map((line) => `${indent} * ${line}`.trimEnd());
+  return ['/**', ...body, `${indent} */`].join(eol);
+}
+
+/**
+ * Creates the edit that writes a docblock above a node, replacing its existing
+ * docblock if it has one. An empty list of lines removes the existing docblock,
+ * along with the line it occupied.
+ * @param {string} code - The file contents.
+ * @param {object} node - The Babel node that carries the docblock.
+ * @param {object} [existingComment] - The node's current docblock, as a Babel comment.
+ * @param {string[]} jsdocLines - The lines of the new JSDoc block, without comment markers.
+ * @returns {{start: number, end: number, text: string}|null} The edit, or null if
+ * there is nothing to change.
+ */
+function createDocblockEdit(code, node, existingComment, jsdocLines) {
+  const eol = detectLineEnding(code);
+  if (existingComment) {
+    const prefix = getLinePrefix(code, existingComment.start);
+    const ownsLine = prefix.trim() === '';
+    if (jsdocLines.length === 0) {
+      // Remove the comment, and the whole line if nothing else is on it
+      let end = existingComment.end;
+      while (code[end] === ' ' || code[end] === '\t') end++;
+      if (ownsLine && code.startsWith(eol, end)) {
+        return {
+          start: existingComment.start - prefix.length,
+          end: end + eol.length,
+          text: '',
+        };
+      }
+      return { start: existingComment.start, end, text: '' };
+    }
+    const indent = ownsLine ? prefix : prefix.match(/^\s*/)[0];
+    const text = formatJSDocComment(jsdocLines, indent, eol);
+    if (text === code.slice(existingComment.start, existingComment.end)) {
+      return null;
+    }
+    return { start: existingComment.start, end: existingComment.end, text };
+  }
+  if (jsdocLines.length === 0) {
+    return null;
+  }
+  const prefix = getLinePrefix(code, node.start);
+  if (prefix.trim() === '') {
+    // The node starts its own line: put the docblock on the lines above it
+    return {
+      start: node.start,
+      end: node.start,
+      text: formatJSDocComment(jsdocLines, prefix, eol) + eol + prefix,
+    };
+  }
+  // The node follows other code on its line, e.g. a callback argument
+  const indent = prefix.match(/^\s*/)[0];
+  return {
+    start: node.start,
+    end: node.start,
+    text: formatJSDocComment(jsdocLines, indent, eol) + ' ',
+  };
+}
+
+/**
+ * Applies non-overlapping text edits to a string. Everything outside the edited
+ * ranges is left byte-for-byte unchanged.
+ * @param {string} code - The original text.
+ * @param {Array<{start: number, end: number, text: string}>} edits - The edits to apply.
+ * @returns {string} The edited text.
+ * @throws {Error} If two edits overlap.
+ */
+function applyEdits(code, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || a.end - b.end);
+  let result = '';
+  let position = 0;
+  for (const edit of sorted) {
+    if (edit.start < position) {
+      throw new Error(
+        `Overlapping edits at offset ${edit.start}; the file was not changed.`
+      );
+    }
+    result += code.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return result + code.slice(position);
+}
+
+module.exports = {
+  detectLineEnding,
+  formatJSDocComment,
+  createDocblockEdit,
+  applyEdits,
+};
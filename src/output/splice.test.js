@@ -0,0 +1,107 @@
+const babelParser = require('@babel/parser');
+const {
+  detectLineEnding,
+  formatJSDocComment,
+  createDocblockEdit,
+  applyEdits,
+} = require('./splice');
+
+/**
+ * Parses code and returns its first statement.
+ * @param {string} code - The code to parse.
+ * @param {number} [index] - The index of the statement to return.
+ * @returns {object} The Babel node of the statement.
+ */
+function parseStatement(code, index = 0) {
+  return babelParser.parse(code, { sourceType: 'module' }).program.body[index];
+}
+
+/**
+ * Writes a docblock for a statement and returns the edited code.
+ * @param {string} code - The code to edit.
+ * @param {string[]} lines - The JSDoc lines to write.
+ * @param {number} [index] - The index of the statement to document.
+ * @returns {string} The edited code.
+ */
+function documentStatement(code, lines, index = 0) {
+  const node = parseStatement(code, index);
+  const existing = node.leadingComments?.find((c) => c.value.startsWith('*'));
+  const edit = createDocblockEdit(code, node, existing, lines);
+  return edit ? applyEdits(code, [edit]) : code;
+}
+
+describe('source splicing', () => {
+  describe('detectLineEnding', () => {
+    it('should detect LF and CRLF files', () => {
+      expect(detectLineEnding('a\nb\n')).toBe('\n');
+      expect(detectLineEnding('a\r\nb\r\n')).toBe('\r\n');
+      expect(detectLineEnding('single line')).toBe('\n');
+    });
+  });
+
+  describe('formatJSDocComment', () => {
+    it('should indent every line and avoid trailing whitespace', () => {
+      expect(
+        formatJSDocComment(['Does a.', '', '@example\nrun()'], '  ', '\n')
+      ).toBe('/**\n   * Does a.\n   *\n   * @example\n   * run()\n   */');
+    });
+  });
+
+  describe('createDocblockEdit', () => {
+    it('should insert a docblock without touching the rest of the file', () => {
+      const code = 'const a = 1;\nfunction  add(a,b){ return a+b }\n';
+      expect(documentStatement(code, ['Adds.'], 1)).toBe(
+        'const a = 1;\n/**\n * Adds.\n */\nfunction  add(a,b){ return a+b }\n'
+      );
+    });
+
+    it('should match the indentation and line endings of the code', () => {
+      const code = 'class A {\r\n\trun() {}\r\n}\r\n';
+      const method = parseStatement(code).body.body[0];
+      const edit = createDocblockEdit(code, method, undefined, ['Runs.']);
+      expect(applyEdits(code, [edit])).toBe(
+        'class A {\r\n\t/**\r\n\t * Runs.\r\n\t */\r\n\trun() {}\r\n}\r\n'
+      );
+    });
+
+    it('should replace only the existing docblock', () => {
+      const code = "// keep\n/** Old. */\nconst f = () => 'x';\n";
+      expect(documentStatement(code, ['New.'])).toBe(
+        "// keep\n/**\n * New.\n */\nconst f = () => 'x';\n"
+      );
+    });
+
+    it('should return null when the docblock is unchanged', () => {
+      const code = '/**\n * Same.\n */\nfunction f() {}\n';
+      const node = parseStatement(code);
+      expect(
+        createDocblockEdit(code, node, node.leadingComments[0], ['Same.'])
+      ).toBeNull();
+    });
+
+    it('should remove an emptied docblock together with its line', () => {
+      const code = 'let x;\n  /** @todo */\n  function f() {}\n';
+      expect(documentStatement(code, [], 1)).toBe(
+        'let x;\n  function f() {}\n'
+      );
+    });
+  });
+
+  describe('applyEdits', () => {
+    it('should apply edits in offset order regardless of input order', () => {
+      const edits = [
+        { start: 4, end: 5, text: 'B' },
+        { start: 0, end: 1, text: 'A' },
+      ];
+      expect(applyEdits('a b c', edits)).toBe('A b B');
+    });
+
+    it('should reject overlapping edits', () => {
+      const edits = [
+        { start: 0, end: 3, text: '' },
+        { start: 2, end: 4, text: '' },
+      ];
+      expect(() => applyEdits('abcdef', edits)).toThrow('Overlapping edits');
+    });
+  });
+});
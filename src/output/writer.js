@@ -0,0 +1,77 @@
+// src/output/writer.js
+
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Determines whether the output directory refers to the current working directory,
+ * in which case processed files are updated in place.
+ * @param {string} [outputDir] - The output directory from the CLI options.
+ * @param {string} [cwd] - The directory the file patterns are resolved against.
+ * @returns {boolean} True if files should be updated in place.
+ */
+function isInPlaceOutput(outputDir, cwd = process.cwd()) {
+  return !outputDir || path.resolve(cwd, outputDir) === path.resolve(cwd);
+}
+
+/**
+ * Resolves where a processed file should be written, mirroring its path
+ * relative to the working directory inside the output directory.
+ * @param {string} filePath - The path of the source file, as matched by the glob patterns.
+ * @param {string} [outputDir] - The output directory from the CLI options.
+ * @param {string} [cwd] - The directory the file patterns are resolved against.
+ * @returns {string} The path the processed file should be written to.
+ * @throws {Error} If the file lies outside the working directory and cannot be mirrored.
+ */
+function resolveOutputPath(filePath, outputDir, cwd = process.cwd()) {
+  if (isInPlaceOutput(outputDir, cwd)) {
+    return filePath;
+  }
+  const relativePath = path.relative(cwd, path.resolve(cwd, filePath));
+  if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+    throw new Error(
+      `Cannot mirror "${filePath}" into "${outputDir}": the file is outside the working directory.`
+    );
+  }
+  return path.join(outputDir, relativePath);
+}
+
+/**
+ * Builds the glob ignore patterns that keep previously mirrored copies inside
+ * the output directory from being picked up as source files.
+ * @param {string} [outputDir] - The output directory from the CLI options.
+ * @param {string} [cwd] - The directory the file patterns are resolved against.
+ * @returns {string[]} The ignore patterns, empty when updating in place.
+ */
+function getOutputIgnorePatterns(outputDir, cwd = process.cwd()) {
+  if (isInPlaceOutput(outputDir, cwd)) {
+    return [];
+  }
+  const relativeDir = path.relative(cwd, path.resolve(cwd, outputDir));
+  if (relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+    return []; // The output tree lives outside the working directory
+  }
+  return [`${relativeDir.split(path.sep).join('/')}/**`];
+}
+
+/**
+ * Writes the processed contents of a file, either in place or into the output directory.
+ * Missing parent directories in the output tree are created as needed.
+ * @param {string} filePath - The path of the source file.
+ * @param {string} contents - The contents to write.
+ * @param {object} options - The CLI options object.
+ * @param {string} [options.output] - The output directory.
+ * @returns {Promise<string>} The path the contents were written to.
+ */
+async function writeProcessedFile(filePath, contents, options) {
+  const destination = resolveOutputPath(filePath, options.output);
+  await fs.outputFile(destination, contents, 'utf-8');
+  return destination;
+}
+
+module.exports = {
+  isInPlaceOutput,
+  resolveOutputPath,
+  getOutputIgnorePatterns,
+  writeProcessedFile,
+};
@@ -0,0 +1,53 @@
+const path = require('path');
+const {
+  isInPlaceOutput,
+  resolveOutputPath,
+  getOutputIgnorePatterns,
+} = require('./writer');
+
+describe('output writer helpers', () => {
+  const cwd = path.resolve('/project');
+
+  describe('isInPlaceOutput', () => {
+    it('should treat a missing or current directory as in-place', () => {
+      expect(isInPlaceOutput(undefined, cwd)).toBe(true);
+      expect(isInPlaceOutput('.', cwd)).toBe(true);
+      expect(isInPlaceOutput('./', cwd)).toBe(true);
+    });
+
+    it('should treat any other directory as a mirror target', () => {
+      expect(isInPlaceOutput('documented', cwd)).toBe(false);
+    });
+  });
+
+  describe('resolveOutputPath', () => {
+    it('should return the source path when updating in place', () => {
+      expect(resolveOutputPath('src/a.js', '.', cwd)).toBe('src/a.js');
+    });
+
+    it('should mirror the relative directory structure into the output directory', () => {
+      expect(resolveOutputPath('src/lib/a.js', 'out', cwd)).toBe(
+        path.join('out', 'src', 'lib', 'a.js')
+      );
+    });
+
+    it('should throw for files outside the working directory', () => {
+      expect(() => resolveOutputPath('../other/a.js', 'out', cwd)).toThrow(
+        'the file is outside the working directory'
+      );
+    });
+  });
+
+  describe('getOutputIgnorePatterns', () => {
+    it('should ignore the output directory when it is inside the working directory', () => {
+      expect(getOutputIgnorePatterns('build/docs', cwd)).toEqual([
+        'build/docs/**',
+      ]);
+    });
+
+    it('should not ignore anything when updating in place or writing elsewhere', () => {
+      expect(getOutputIgnorePatterns('.', cwd)).toEqual([]);
+      expect(getOutputIgnorePatterns('../elsewhere', cwd)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+// src/utils/concurrency.js
+
+// Number of AI requests run in parallel when --concurrency is not given.
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Maps over items with an async function, running at most `limit` calls at once.
+ * Results keep the order of the input items, regardless of completion order.
+ * @template T, R
+ * @param {T[]} items - The items to process.
+ * @param {number} limit - The maximum number of concurrent calls (at least 1).
+ * @param {(item: T, index: number) => Promise<R>} fn - The async function to apply.
+ * @returns {Promise<R[]>} The results, in input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  mapWithConcurrency,
+};
@@ -0,0 +1,32 @@
+const { mapWithConcurrency } = require('./concurrency');
+
+describe('mapWithConcurrency', () => {
+  it('should preserve input order regardless of completion order', async () => {
+    const delays = [30, 10, 20, 0];
+    const results = await mapWithConcurrency(
+      delays,
+      2,
+      async (delay, index) => {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        return index;
+      }
+    );
+    expect(results).toEqual([0, 1, 2, 3]);
+  });
+
+  it('should never run more than the given number of calls at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }), 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running--;
+    });
+    expect(maxRunning).toBe(3);
+  });
+
+  it('should handle empty input', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
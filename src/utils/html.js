@@ -0,0 +1,23 @@
+// src/utils/html.js
+
+// Characters that must be escaped in HTML text and attribute values.
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapes text for safe inclusion in HTML content or attribute values.
+ * @param {*} value - The value to escape; non-strings are converted to strings.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+module.exports = {
+  escapeHtml,
+};